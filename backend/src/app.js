@@ -12,11 +12,18 @@ import { QueueEvents } from 'bullmq';
 import redisClient from './config/redis.js';
 import { processVideoQueue } from "./queues/video.queue.js";
 import VectorDBService from './services/vectorDb.service.js';
-import STTService from "./services/stt.service.js";
+import TranscriptionProviders from "./services/transcriptionProviders.service.js";
+import LLMGateway from "./services/llm.service.js";
+import StorageService from "./services/storage.service.js";
+import { CANCELLED_REASON } from "./services/cancellation.service.js";
+import { verifySessionToken } from "./middleware/auth.middleware.js";
 
 // Import routes
 import videoRoutes from "./routes/videos.routes.js";
 import questionsRoutes from "./routes/questions.routes.js";
+import conversationRoutes from "./routes/conversations.routes.js";
+import searchRoutes from "./routes/search.routes.js";
+import storageRoutes from "./routes/storage.routes.js";
 
 // Initialize express app
 const app = express();
@@ -81,13 +88,23 @@ app.get('/api/health/advanced', async (req, res) => {
         status: 'unhealthy',
         details: err.message
       })),
-      // STT service health check
-      STTService.checkModelStatus().then(result => ({
-        status: 'healthy',
+      // Transcription providers health check
+      TranscriptionProviders.healthCheck().then(result => ({
+        status: result.available.length > 0 ? 'healthy' : 'unhealthy',
         details: result
       })).catch(err => ({
         status: 'unhealthy',
         details: err.message
+      })),
+      // LLM gateway health check (per-task provider configuration and token usage)
+      LLMGateway.healthCheck().then(result => ({
+        status: Object.values(result.tasks).every(task => task.configured) ? 'healthy' : 'unhealthy',
+        details: result
+      })),
+      // Storage driver health check
+      StorageService.healthCheck().then(result => ({
+        status: result.status,
+        details: result
       }))
     ]);
 
@@ -95,7 +112,9 @@ app.get('/api/health/advanced', async (req, res) => {
       database: healthChecks[0].status === 'fulfilled' ? healthChecks[0].value : { status: 'unhealthy', details: healthChecks[0].reason?.message },
       redis: healthChecks[1].status === 'fulfilled' ? healthChecks[1].value : { status: 'unhealthy', details: healthChecks[1].reason?.message },
       vectorDB: healthChecks[2].status === 'fulfilled' ? healthChecks[2].value : { status: 'unhealthy', details: healthChecks[2].reason?.message },
-      stt: healthChecks[3].status === 'fulfilled' ? healthChecks[3].value : { status: 'unhealthy', details: healthChecks[3].reason?.message }
+      stt: healthChecks[3].status === 'fulfilled' ? healthChecks[3].value : { status: 'unhealthy', details: healthChecks[3].reason?.message },
+      llm: healthChecks[4].status === 'fulfilled' ? healthChecks[4].value : { status: 'unhealthy', details: healthChecks[4].reason?.message },
+      storage: healthChecks[5].status === 'fulfilled' ? healthChecks[5].value : { status: 'unhealthy', details: healthChecks[5].reason?.message }
     };
 
     const allHealthy = Object.values(services).every(service => service.status === 'healthy');
@@ -138,6 +157,10 @@ const limiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   skipSuccessfulRequests: false,
+  // Resumable upload chunks are authenticated and bound to an upload created under the limit;
+  // video players fetch signed storage links in many small Range requests
+  skip: (req) => (['PATCH', 'HEAD'].includes(req.method) && req.path.startsWith('/api/videos/uploads/')) ||
+    req.path.startsWith('/api/storage/'),
   handler: (req, res) => {
     res.status(429).json({
       error: 'Rate limit exceeded',
@@ -172,9 +195,17 @@ const corsOptions = {
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Client-Version'],
-  exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining'],
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: [
+    'Content-Type', 'Authorization', 'X-Requested-With', 'X-Client-Version',
+    'Tus-Resumable', 'Upload-Length', 'Upload-Metadata', 'Upload-Offset'
+  ],
+  exposedHeaders: [
+    'X-RateLimit-Limit', 'X-RateLimit-Remaining',
+    'Location', 'Tus-Resumable', 'Tus-Version', 'Tus-Max-Size',
+    'Upload-Offset', 'Upload-Length', 'Upload-Expires', 'X-Video-Id',
+    'Accept-Ranges', 'Content-Range', 'Content-Length', 'Content-Disposition'
+  ],
   maxAge: 600 // 10 minutes
 };
 
@@ -277,19 +308,26 @@ app.get('/api/health', (req, res) => res.redirect(307, '/health'));
 // API routes
 app.use('/api/videos', videoRoutes);
 app.use('/api/questions', questionsRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/storage', storageRoutes);
 
-// Optional auth middleware for sockets (token presence check)
-io.use((socket, next) => {
+// Socket auth: a verified Clerk token puts the socket in its user's room (user:<userId>)
+io.use(async (socket, next) => {
   try {
-    const token = socket.handshake.auth?.token || socket.handshake.headers?.authorization;
+    const rawToken = socket.handshake.auth?.token || socket.handshake.headers?.authorization;
+    const token = typeof rawToken === 'string' ? rawToken.replace(/^Bearer\s+/, '').trim() : '';
     
-    // Basic token validation
-    if (token && typeof token === 'string' && token.length > 10) {
-      // In production, you would verify the token with your auth provider
-      return next();
+    if (token) {
+      try {
+        socket.data.userId = await verifySessionToken(token);
+        return next();
+      } catch (verifyError) {
+        console.warn('Socket token verification failed:', verifyError.message);
+      }
     }
     
-    // Allow connection in development without strict auth
+    // Allow anonymous connections in development (video rooms only)
     if (process.env.NODE_ENV === 'development') {
       return next();
     }
@@ -309,6 +347,11 @@ io.use((socket, next) => {
 io.on('connection', (socket) => {
   console.log('User Connected:', socket.id, '- IP:', socket.handshake.address);
   
+  // Per-user room for events that are not tied to a single video, e.g. streamed answers
+  if (socket.data.userId) {
+    socket.join(`user:${socket.data.userId}`);
+  }
+  
   socket.on('join-video-room', (videoId) => {
     try {
       // Enhanced validation for videoId
@@ -391,6 +434,16 @@ videoQueueEvents.on('failed', async ({ jobId, failedReason }) => {
     const videoId = job?.data?.videoId;
     
     if (videoId && typeof videoId === 'string') {
+      if (failedReason === CANCELLED_REASON) {
+        io.to(videoId).emit('video-processed', {
+          videoId,
+          status: 'cancelled',
+          timestamp: new Date().toISOString()
+        });
+        console.log(`🛑 Video processing cancelled: ${videoId}`);
+        return;
+      }
+
       io.to(videoId).emit('video-processed', { 
         videoId, 
         status: 'failed', 
@@ -10,13 +10,17 @@ dotenv.config({
   path: path.resolve(__dirname, '../../.env') 
 });
 
+// Variables each storage driver needs on top of the required ones
+const storageEnvVars = {
+  cloudinary: ['CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_API_KEY', 'CLOUDINARY_API_SECRET'],
+  local: [],
+  s3: ['S3_BUCKET', 'S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY']
+};
+
 // Define required and optional environment variables
 const requiredEnvVars = [
   'MONGODB_URI',
   'REDIS_HOST',
-  'CLOUDINARY_CLOUD_NAME',
-  'CLOUDINARY_API_KEY',
-  'CLOUDINARY_API_SECRET',
   'CLERK_SECRET_KEY',
   'GEMINI_API_KEY'
 ];
@@ -36,12 +40,51 @@ const optionalEnvVars = {
   'DOWNLOAD_INACTIVITY_TIMEOUT_MS': '120000',
   'JOB_MAX_ATTEMPTS': '3',
   'JOB_TIMEOUT_MS': '1800000',
+  'TUS_UPLOAD_EXPIRY_HOURS': '24',
+  'VIDEO_TRASH_RETENTION_DAYS': '30',
+  'STORAGE_DRIVER': 'cloudinary',
+  'STORAGE_LOCAL_PATH': './storage',
+  'S3_REGION': 'us-east-1',
+  'S3_FORCE_PATH_STYLE': 'true',
   'CHROMA_DB_PATH': './chroma_db',
+  'CHROMA_URL': '',
+  'CHROMA_COLLECTION': 'video_transcripts',
+  'VECTOR_STORE': 'auto',
   'VECTOR_DIMENSION': '768',
   'SIMILARITY_TOP_K': '5',
+  'RAG_CONTEXT_MAX_CHARS': '6000',
+  'CONVERSATION_HISTORY_TURNS': '5',
+  'SEARCH_MIN_SIMILARITY': '0.3',
   'AUTO_CHUNK_DURATION': '30',
   'MAX_CHUNK_SIZE': '25MB',
-  'HUGGINGFACE_API_KEY': ''
+  'CHUNK_SEGMENTATION': 'fixed',
+  'CHUNK_MIN_DURATION': '15',
+  'CHUNK_MAX_DURATION': '45',
+  'CHUNK_OVERLAP': '0',
+  'SILENCE_THRESHOLD_DB': '-35',
+  'SILENCE_MIN_DURATION': '0.3',
+  'HUGGINGFACE_API_KEY': '',
+  'TRANSCRIBE_PROVIDERS': 'local-whisper,huggingface,gemini',
+  'GEMINI_TRANSCRIBE_MODEL': 'gemini-1.5-flash',
+  'STT_CONCURRENCY': '1',
+  'LLM_PROVIDER': 'gemini',
+  'LLM_MAX_RETRIES': '3',
+  'LLM_TIMEOUT_MS': '60000',
+  'WHISPER_MODEL': 'base',
+  'WHISPER_QUANTIZED': 'true',
+  'WHISPER_ALLOW_REMOTE_MODELS': 'true',
+  'WHISPER_WORD_TIMESTAMPS': 'false',
+  'CAPTION_MAX_LINE_LENGTH': '42',
+  'CAPTION_MAX_LINES': '2',
+  'CAPTION_MAX_DURATION': '6',
+  'URL_IMPORT_ALLOWED_HOSTS': '',
+  'URL_IMPORT_MAX_REDIRECTS': '3',
+  'URL_IMPORT_MAX_SIZE_MB': '500',
+  'DUPLICATE_OFFER_WINDOW_MS': '300000',
+  'THUMBNAIL_INTERVAL': '10',
+  'THUMBNAIL_MAX_FRAMES': '100',
+  'THUMBNAIL_COLUMNS': '10',
+  'THUMBNAIL_FRAME_WIDTH': '160'
 };
 
 // Enhanced validation function
@@ -69,6 +112,22 @@ const validateEnvironment = () => {
     }
   }
 
+  // Check the selected storage driver and its credentials
+  const storageDriver = process.env.STORAGE_DRIVER.toLowerCase();
+  if (!storageEnvVars[storageDriver]) {
+    errors.push(`Invalid value for STORAGE_DRIVER: ${process.env.STORAGE_DRIVER}. Must be one of: ${Object.keys(storageEnvVars).join(', ')}`);
+  } else {
+    for (const varName of storageEnvVars[storageDriver]) {
+      if (!process.env[varName]) {
+        errors.push(`Missing environment variable for ${storageDriver} storage: ${varName}`);
+      }
+    }
+  }
+
+  if (storageDriver === 'local' && !process.env.STORAGE_SIGNING_SECRET) {
+    warnings.push('STORAGE_SIGNING_SECRET is not set; signed storage links will break on every restart');
+  }
+
   // Validate numeric variables
   const numericVars = [
     'WORKER_CONCURRENCY',
@@ -79,10 +138,33 @@ const validateEnvironment = () => {
     'DOWNLOAD_INACTIVITY_TIMEOUT_MS',
     'JOB_MAX_ATTEMPTS',
     'JOB_TIMEOUT_MS',
+    'TUS_UPLOAD_EXPIRY_HOURS',
+    'VIDEO_TRASH_RETENTION_DAYS',
     'PORT',
     'REDIS_PORT', // ADDED: Validate Redis port
     'VECTOR_DIMENSION',
-    'SIMILARITY_TOP_K'
+    'SIMILARITY_TOP_K',
+    'RAG_CONTEXT_MAX_CHARS',
+    'CONVERSATION_HISTORY_TURNS',
+    'SEARCH_MIN_SIMILARITY',
+    'LLM_MAX_RETRIES',
+    'LLM_TIMEOUT_MS',
+    'STT_CONCURRENCY',
+    'CHUNK_MIN_DURATION',
+    'CHUNK_MAX_DURATION',
+    'CHUNK_OVERLAP',
+    'SILENCE_THRESHOLD_DB',
+    'SILENCE_MIN_DURATION',
+    'CAPTION_MAX_LINE_LENGTH',
+    'CAPTION_MAX_LINES',
+    'CAPTION_MAX_DURATION',
+    'URL_IMPORT_MAX_REDIRECTS',
+    'URL_IMPORT_MAX_SIZE_MB',
+    'DUPLICATE_OFFER_WINDOW_MS',
+    'THUMBNAIL_INTERVAL',
+    'THUMBNAIL_MAX_FRAMES',
+    'THUMBNAIL_COLUMNS',
+    'THUMBNAIL_FRAME_WIDTH'
   ];
   
   for (const varName of numericVars) {
@@ -93,7 +175,7 @@ const validateEnvironment = () => {
   }
 
   // Validate URLs
-  const urlVars = ['MONGODB_URI', 'FRONTEND_URL'];
+  const urlVars = ['MONGODB_URI', 'FRONTEND_URL', 'STORAGE_PUBLIC_URL', 'S3_ENDPOINT'];
   for (const varName of urlVars) {
     const value = process.env[varName];
     if (value) {
@@ -155,6 +237,7 @@ const applyEnvironmentConfig = () => {
   console.log(`   - Port: ${process.env.PORT}`);
   console.log(`   - Frontend URL: ${process.env.FRONTEND_URL}`);
   console.log(`   - Redis: ${process.env.REDIS_HOST}:${process.env.REDIS_PORT}`);
+  console.log(`   - Storage: ${process.env.STORAGE_DRIVER}`);
   
   console.log('📋 Worker Configuration:');
   console.log(`   - Concurrency: ${process.env.WORKER_CONCURRENCY}`);
@@ -0,0 +1,309 @@
+import Video from "../models/videos.model.js";
+import Question from "../models/questions.models.js";
+import Conversation from "../models/conversations.model.js";
+import QAServiceWithRAG from '../services/qa.service.js';
+import { validateQuestionInput, findAnswerableVideo, saveAnsweredQuestion } from './question.controller.js';
+import mongoose from 'mongoose';
+
+const validateTitle = (title) => {
+  const errors = [];
+
+  if (typeof title !== 'string' || title.trim().length === 0) {
+    errors.push('Title is required');
+  } else if (title.length > 200) {
+    errors.push('Title must be less than 200 characters');
+  } else if (/[<>$`|&;]/.test(title)) {
+    errors.push('Title contains invalid characters');
+  }
+
+  return errors;
+};
+
+// Load a conversation owned by the user; returns { conversation } or { status, body } describing the rejection
+const findOwnedConversation = async (conversationId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+    return { status: 400, body: { message: 'Invalid conversation ID format', code: 'INVALID_CONVERSATION_ID' } };
+  }
+
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation) {
+    return { status: 404, body: { message: 'Conversation not found', code: 'CONVERSATION_NOT_FOUND' } };
+  }
+
+  if (conversation.userId !== userId) {
+    return { status: 403, body: { message: 'Access denied to this conversation', code: 'ACCESS_DENIED' } };
+  }
+
+  return { conversation };
+};
+
+const handleError = (res, label, error, req, message, code) => {
+  console.error(`${label} error:`, {
+    error: error.message,
+    conversationId: req.params.id,
+    userId: req.user.id,
+    timestamp: new Date().toISOString()
+  });
+
+  res.status(500).json({
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    code
+  });
+};
+
+// Start a conversation thread about one of the user's videos
+const createConversation = async (req, res) => {
+  try {
+    const { videoId, title, language = 'english' } = req.body;
+
+    const validationErrors = [];
+    if (!videoId || !mongoose.Types.ObjectId.isValid(videoId)) {
+      validationErrors.push('Valid video ID is required');
+    }
+    if (title !== undefined) {
+      validationErrors.push(...validateTitle(title));
+    }
+    if (!['english', 'spanish', 'french', 'german', 'hindi', 'chinese'].includes(String(language).toLowerCase())) {
+      validationErrors.push('Unsupported language');
+    }
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: validationErrors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const video = await Video.findById(videoId);
+    if (!video) {
+      return res.status(404).json({
+        message: 'Video not found',
+        code: 'VIDEO_NOT_FOUND'
+      });
+    }
+
+    if (video.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        message: 'Access denied to this video',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const conversation = await Conversation.create({
+      videoId,
+      userId: req.user.id,
+      language: language.toLowerCase(),
+      ...(title !== undefined && { title: title.trim() })
+    });
+
+    res.status(201).json({
+      message: 'Conversation created successfully',
+      data: conversation.toJSON()
+    });
+  } catch (error) {
+    handleError(res, 'Create conversation', error, req, 'Failed to create conversation', 'CREATE_CONVERSATION_ERROR');
+  }
+};
+
+// List the user's conversations, optionally for a single video
+const listConversations = async (req, res) => {
+  try {
+    const { videoId, page = 1, limit = 20 } = req.query;
+
+    if (videoId && !mongoose.Types.ObjectId.isValid(videoId)) {
+      return res.status(400).json({
+        message: 'Invalid video ID format',
+        code: 'INVALID_VIDEO_ID'
+      });
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const filter = { userId: req.user.id, ...(videoId && { videoId }) };
+
+    const [conversations, total] = await Promise.all([
+      Conversation.findByUser(req.user.id, { videoId, page: pageNum, limit: limitNum }),
+      Conversation.countDocuments(filter)
+    ]);
+
+    res.json({
+      message: 'Conversations retrieved successfully',
+      data: {
+        conversations: conversations.map(({ _id, __v, ...conversation }) => ({ id: _id, ...conversation })),
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    handleError(res, 'List conversations', error, req, 'Failed to retrieve conversations', 'FETCH_CONVERSATIONS_ERROR');
+  }
+};
+
+// Get a conversation with its turns in the order they were asked
+const getConversation = async (req, res) => {
+  try {
+    const { conversation, status, body } = await findOwnedConversation(req.params.id, req.user.id);
+    if (!conversation) {
+      return res.status(status).json(body);
+    }
+
+    const questions = await Question.find({ conversationId: conversation._id })
+      .sort({ askedAt: 1 })
+      .lean();
+
+    res.json({
+      message: 'Conversation retrieved successfully',
+      data: {
+        ...conversation.toJSON(),
+        questions
+      }
+    });
+  } catch (error) {
+    handleError(res, 'Get conversation', error, req, 'Failed to retrieve conversation', 'FETCH_CONVERSATION_ERROR');
+  }
+};
+
+const renameConversation = async (req, res) => {
+  try {
+    const { title } = req.body;
+
+    const validationErrors = validateTitle(title);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: validationErrors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { conversation, status, body } = await findOwnedConversation(req.params.id, req.user.id);
+    if (!conversation) {
+      return res.status(status).json(body);
+    }
+
+    conversation.title = title.trim();
+    await conversation.save();
+
+    res.json({
+      message: 'Conversation renamed successfully',
+      data: conversation.toJSON()
+    });
+  } catch (error) {
+    handleError(res, 'Rename conversation', error, req, 'Failed to rename conversation', 'RENAME_CONVERSATION_ERROR');
+  }
+};
+
+// Delete a conversation together with the questions asked in it
+const deleteConversation = async (req, res) => {
+  try {
+    const { conversation, status, body } = await findOwnedConversation(req.params.id, req.user.id);
+    if (!conversation) {
+      return res.status(status).json(body);
+    }
+
+    const { deletedCount } = await Question.deleteMany({ conversationId: conversation._id });
+    await conversation.deleteOne();
+
+    res.json({
+      message: 'Conversation deleted successfully',
+      data: {
+        id: conversation._id,
+        deletedQuestions: deletedCount
+      }
+    });
+  } catch (error) {
+    handleError(res, 'Delete conversation', error, req, 'Failed to delete conversation', 'DELETE_CONVERSATION_ERROR');
+  }
+};
+
+// Ask a follow-up: earlier turns of the conversation are summarized into the RAG prompt
+const askInConversation = async (req, res) => {
+  try {
+    const lookup = await findOwnedConversation(req.params.id, req.user.id);
+    if (!lookup.conversation) {
+      return res.status(lookup.status).json(lookup.body);
+    }
+    const { conversation } = lookup;
+
+    const { question, language = conversation.language } = req.body;
+    const videoId = conversation.videoId.toString();
+
+    const validationErrors = validateQuestionInput(question, videoId, language);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: validationErrors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { video, status, body } = await findAnswerableVideo(videoId, req.user.id);
+    if (!video) {
+      return res.status(status).json(body);
+    }
+
+    const history = QAServiceWithRAG.historyTurns > 0
+      ? await Question.findRecentTurns(conversation._id, QAServiceWithRAG.historyTurns)
+      : [];
+
+    const startTime = Date.now();
+
+    const ragResult = await Promise.race([
+      QAServiceWithRAG.answerQuestionWithRAG(videoId, question, language, {
+        userId: req.user.id,
+        transcript: video.transcript,
+        history
+      }),
+      new Promise((_, reject) =>
+        setTimeout(() => reject(new Error('Question answering timeout')), 30000)
+      )
+    ]);
+
+    const data = await saveAnsweredQuestion({
+      videoId,
+      userId: req.user.id,
+      question,
+      language,
+      ragResult,
+      processingTime: Date.now() - startTime,
+      conversationId: conversation._id
+    });
+
+    await conversation.recordTurn(question);
+
+    res.json({
+      message: 'Question answered successfully',
+      data: {
+        ...data,
+        conversation: {
+          id: conversation._id,
+          title: conversation.title,
+          turnCount: conversation.turnCount
+        }
+      }
+    });
+  } catch (error) {
+    if (error.message.includes('timeout')) {
+      return res.status(408).json({
+        message: 'Question answering timeout. Please try again.',
+        code: 'TIMEOUT_ERROR'
+      });
+    }
+
+    handleError(res, 'Ask in conversation', error, req, 'Failed to answer question', 'QUESTION_ERROR');
+  }
+};
+
+export {
+  createConversation,
+  listConversations,
+  getConversation,
+  renameConversation,
+  deleteConversation,
+  askInConversation
+};
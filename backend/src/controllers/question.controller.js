@@ -5,8 +5,11 @@ import { generateSummary } from '../services/gemini.service.js';
 import QAServiceWithRAG from '../services/qa.service.js';
 import mongoose from 'mongoose';
 
+// Upper bound on the videos a single library question is answered from
+const MAX_LIBRARY_VIDEOS = 50;
+
 // Enhanced input validation
-const validateQuestionInput = (question, videoId, language) => {
+const validateQuestionInput = (question, videoId, language, { requireVideoId = true } = {}) => {
   const errors = [];
   
   if (!question || question.trim().length === 0) {
@@ -17,7 +20,7 @@ const validateQuestionInput = (question, videoId, language) => {
     errors.push('Question must be less than 1000 characters');
   }
   
-  if (!videoId || !mongoose.Types.ObjectId.isValid(videoId)) {
+  if (requireVideoId && (!videoId || !mongoose.Types.ObjectId.isValid(videoId))) {
     errors.push('Valid video ID is required');
   }
   
@@ -34,6 +37,62 @@ const validateQuestionInput = (question, videoId, language) => {
   return errors;
 };
 
+// Load a video the user may ask questions about; returns { video } or { status, body } describing the rejection
+const findAnswerableVideo = async (videoId, userId) => {
+  const video = await Video.findById(videoId);
+  if (!video) {
+    return { status: 404, body: { message: 'Video not found', code: 'VIDEO_NOT_FOUND' } };
+  }
+  
+  // Check if user owns the video
+  if (video.userId.toString() !== userId) {
+    return { status: 403, body: { message: 'Access denied to this video', code: 'ACCESS_DENIED' } };
+  }
+  
+  // Check if video processing is complete
+  if (video.status !== 'completed') {
+    return { status: 400, body: { message: 'Video is still processing', code: 'VIDEO_PROCESSING' } };
+  }
+  
+  if (!video.transcript) {
+    return { status: 400, body: { message: 'Video transcript not available', code: 'TRANSCRIPT_UNAVAILABLE' } };
+  }
+  
+  return { video };
+};
+
+// Persist an answered question and shape it for the API response
+const saveAnsweredQuestion = async ({ videoId, userId, question, language, ragResult, processingTime, conversationId = null }) => {
+  const qa = new Question({
+    question: question.trim(),
+    answer: ragResult.answer,
+    videoId,
+    userId,
+    conversationId,
+    language: language.toLowerCase(),
+    confidence: ragResult.confidence || 0,
+    relevantChunks: ragResult.relevantChunks || 0,
+    citations: ragResult.citations || [],
+    processingTime
+  });
+  
+  await qa.save();
+  
+  return {
+    id: qa._id,
+    question: qa.question, 
+    answer: qa.answer,
+    confidence: ragResult.confidence,
+    relevantSources: ragResult.relevantChunks,
+    sources: ragResult.sources || [],
+    citations: qa.citations,
+    processingTime: qa.processingTime,
+    askedAt: qa.askedAt,
+    videoId: qa.videoId,
+    conversationId: qa.conversationId
+  };
+};
+
 // Ask a question about a video with enhanced error handling
 const askQuestion = async (req, res) => {
   try {
@@ -49,93 +108,264 @@ const askQuestion = async (req, res) => {
       });
     }
 
-    // Find the video with enhanced error handling
-    const video = await Video.findById(videoId);
+    const { video, status, body } = await findAnswerableVideo(videoId, req.user.id);
     if (!video) {
-      return res.status(404).json({ 
-        message: 'Video not found', 
-        code: 'VIDEO_NOT_FOUND'
-      });
+      return res.status(status).json(body);
     }
     
-    // Check if user owns the video
-    if (video.userId.toString() !== req.user.id) {
-      return res.status(403).json({ 
-        message: 'Access denied to this video', 
-        code: 'ACCESS_DENIED'
+    const startTime = Date.now();
+    
+    // Use RAG to answer the question with timeout
+    const ragResult = await Promise.race([
+      QAServiceWithRAG.answerQuestionWithRAG(videoId, question, language, {
+        userId: req.user.id,
+        transcript: video.transcript
+      }),
+      new Promise((_, reject) => 
+        setTimeout(() => reject(new Error('Question answering timeout')), 30000)
+      )
+    ]);
+    
+    const processingTime = Date.now() - startTime;
+    
+    // Save the question and answer
+    const data = await saveAnsweredQuestion({
+      videoId,
+      userId: req.user.id,
+      question,
+      language,
+      ragResult,
+      processingTime
+    });
+    
+    res.json({ 
+      message: 'Question answered successfully', 
+      data
+    });
+  } catch (error) {
+    console.error('Ask question error:', {
+      error: error.message,
+      videoId: req.body.videoId,
+      userId: req.user.id,
+      timestamp: new Date().toISOString()
+    });
+    
+    // Handle specific error types
+    if (error.message.includes('timeout')) {
+      return res.status(408).json({ 
+        message: 'Question answering timeout. Please try again.',
+        code: 'TIMEOUT_ERROR'
       });
     }
     
-    // Check if video processing is complete
-    if (video.status !== 'completed') {
+    res.status(500).json({ 
+      message: 'Failed to answer question', 
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      code: 'QUESTION_ERROR'
+    });
+  }
+};
+
+// Stream an answer token by token, over Server-Sent Events (default) or to the user's socket room
+const streamQuestion = async (req, res) => {
+  const { videoId, question, language = 'english', transport = 'sse' } = req.body;
+  
+  const validationErrors = validateQuestionInput(question, videoId, language);
+  if (!['sse', 'socket'].includes(transport)) {
+    validationErrors.push('Transport must be "sse" or "socket"');
+  }
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ 
+      message: 'Validation failed', 
+      errors: validationErrors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  
+  let video;
+  try {
+    const lookup = await findAnswerableVideo(videoId, req.user.id);
+    if (!lookup.video) {
+      return res.status(lookup.status).json(lookup.body);
+    }
+    video = lookup.video;
+  } catch (error) {
+    console.error('Stream question lookup error:', error.message);
+    return res.status(500).json({ 
+      message: 'Failed to answer question', 
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      code: 'QUESTION_ERROR'
+    });
+  }
+  
+  const streamId = new mongoose.Types.ObjectId().toString();
+  const userId = req.user.id;
+  let emit;
+  let end = () => {};
+  
+  if (transport === 'socket') {
+    const io = req.app.get('socketio');
+    const room = `user:${userId}`;
+    emit = (event, data) => io.to(room).emit(`answer-${event}`, { streamId, videoId, ...data });
+    
+    res.status(202).json({ 
+      message: 'Answer streaming started', 
+      data: { streamId, room, videoId } 
+    });
+  } else {
+    let closed = false;
+    req.on('close', () => { closed = true; });
+    
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+    
+    emit = (event, data) => {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify({ streamId, videoId, ...data })}\n\n`);
+      // compression() buffers responses unless flushed explicitly
+      res.flush?.();
+    };
+    end = () => {
+      if (!closed) res.end();
+    };
+  }
+  
+  try {
+    emit('start', { question: question.trim() });
+    
+    // The question is persisted even if the client disconnects mid-stream
+    const ragResult = await QAServiceWithRAG.streamAnswerWithRAG(videoId, question, language, {
+      userId,
+      transcript: video.transcript,
+      onToken: (token) => emit('token', { token })
+    });
+    
+    const data = await saveAnsweredQuestion({
+      videoId,
+      userId,
+      question,
+      language,
+      ragResult,
+      processingTime: ragResult.processingTime
+    });
+    
+    emit('complete', { question: data });
+  } catch (error) {
+    console.error('Stream question error:', {
+      error: error.message,
+      videoId,
+      userId,
+      timestamp: new Date().toISOString()
+    });
+    
+    emit('error', { 
+      message: 'Failed to answer question',
+      code: 'QUESTION_ERROR'
+    });
+  } finally {
+    end();
+  }
+};
+
+// Ask one question across several of the user's completed videos, or all of them when videoIds is omitted
+const askLibraryQuestion = async (req, res) => {
+  try {
+    const { question, language = 'english', videoIds } = req.body;
+    
+    const validationErrors = validateQuestionInput(question, null, language, { requireVideoId: false });
+    if (videoIds !== undefined) {
+      if (!Array.isArray(videoIds) || videoIds.length === 0) {
+        validationErrors.push('videoIds must be a non-empty array');
+      } else if (videoIds.length > MAX_LIBRARY_VIDEOS) {
+        validationErrors.push(`At most ${MAX_LIBRARY_VIDEOS} videos can be asked at once`);
+      } else if (!videoIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        validationErrors.push('Every video ID must be valid');
+      }
+    }
+    if (validationErrors.length > 0) {
       return res.status(400).json({ 
-        message: 'Video is still processing', 
-        code: 'VIDEO_PROCESSING'
+        message: 'Validation failed', 
+        errors: validationErrors,
+        code: 'VALIDATION_ERROR'
       });
     }
     
-    if (!video.transcript) {
+    const requestedIds = videoIds ? [...new Set(videoIds.map(String))] : null;
+    const videos = await Video.find({
+      userId: req.user.id,
+      status: 'completed',
+      transcript: { $exists: true, $ne: '' },
+      ...(requestedIds && { _id: { $in: requestedIds } })
+    })
+      .select('title transcript')
+      .sort({ uploadedAt: -1 })
+      .limit(MAX_LIBRARY_VIDEOS)
+      .lean();
+    
+    if (requestedIds && videos.length < requestedIds.length) {
+      const found = new Set(videos.map(video => video._id.toString()));
       return res.status(400).json({ 
-        message: 'Video transcript not available', 
-        code: 'TRANSCRIPT_UNAVAILABLE'
+        message: 'Some videos were not found or are not ready for questions',
+        videoIds: requestedIds.filter(id => !found.has(id)),
+        code: 'VIDEOS_UNAVAILABLE'
       });
     }
     
-    const startTime = Date.now();
-    
-    // Use RAG to answer the question with timeout
-    const ragResult = await Promise.race([
-      QAServiceWithRAG.answerQuestionWithRAG(videoId, question, language),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Question answering timeout')), 30000)
-      )
-    ]);
+    if (videos.length === 0) {
+      return res.status(400).json({ 
+        message: 'No processed videos to ask about',
+        code: 'NO_VIDEOS'
+      });
+    }
     
-    const processingTime = Date.now() - startTime;
+    const ragResult = await QAServiceWithRAG.answerAcrossVideos(videos, question, language, {
+      userId: req.user.id
+    });
     
-    // Save the question and answer
     const qa = new Question({
       question: question.trim(),
       answer: ragResult.answer,
-      videoId,
+      videoIds: videos.map(video => video._id),
       userId: req.user.id,
       language: language.toLowerCase(),
       confidence: ragResult.confidence || 0,
       relevantChunks: ragResult.relevantChunks || 0,
-      processingTime
+      citations: ragResult.citations || [],
+      sources: (ragResult.sources || []).map(({ videoId, ref, chunkIndex, startTime, endTime, similarity }) => ({
+        videoId, ref, chunkIndex, startTime, endTime, similarity
+      })),
+      processingTime: ragResult.processingTime
     });
     
     await qa.save();
     
     res.json({ 
       message: 'Question answered successfully', 
-      data: { 
+      data: {
         id: qa._id,
-        question: qa.question, 
+        question: qa.question,
         answer: qa.answer,
         confidence: ragResult.confidence,
         relevantSources: ragResult.relevantChunks,
+        sources: ragResult.sources || [],
+        citations: qa.citations,
+        videos: ragResult.videos,
+        videoIds: qa.videoIds,
         processingTime: qa.processingTime,
-        askedAt: qa.askedAt,
-        videoId: qa.videoId
-      } 
+        askedAt: qa.askedAt
+      }
     });
   } catch (error) {
-    console.error('Ask question error:', {
+    console.error('Ask library question error:', {
       error: error.message,
-      videoId: req.body.videoId,
       userId: req.user.id,
       timestamp: new Date().toISOString()
     });
     
-    // Handle specific error types
-    if (error.message.includes('timeout')) {
-      return res.status(408).json({ 
-        message: 'Question answering timeout. Please try again.',
-        code: 'TIMEOUT_ERROR'
-      });
-    }
-    
     res.status(500).json({ 
       message: 'Failed to answer question', 
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
@@ -144,6 +374,46 @@ const askQuestion = async (req, res) => {
   }
 };
 
+// Get the user's multi-video question history
+const getLibraryQuestions = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10));
+    
+    const [questions, total] = await Promise.all([
+      Question.findLibraryQuestions(req.user.id, { page: pageNum, limit: limitNum }),
+      Question.countDocuments({ userId: req.user.id, 'videoIds.0': { $exists: true } })
+    ]);
+    
+    res.json({ 
+      message: 'Questions retrieved successfully', 
+      data: {
+        questions,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get library questions error:', {
+      error: error.message,
+      userId: req.user.id,
+      timestamp: new Date().toISOString()
+    });
+    
+    res.status(500).json({ 
+      message: 'Failed to retrieve questions', 
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      code: 'FETCH_QUESTIONS_ERROR'
+    });
+  }
+};
+
 // Get question history for a video with enhanced security
 const getVideoQuestions = async (req, res) => {
   try {
@@ -300,4 +570,14 @@ const generateVideoSummary = async (req, res) => {
   }
 };
 
-export { askQuestion, getVideoQuestions, generateVideoSummary };
\ No newline at end of file
+export {
+  askQuestion,
+  streamQuestion,
+  askLibraryQuestion,
+  getLibraryQuestions,
+  getVideoQuestions,
+  generateVideoSummary,
+  validateQuestionInput,
+  findAnswerableVideo,
+  saveAnsweredQuestion
+};
\ No newline at end of file
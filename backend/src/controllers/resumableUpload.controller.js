@@ -0,0 +1,246 @@
+import path from 'path';
+import ResumableUploadService, { TUS_VERSION, UploadError } from '../services/resumableUpload.service.js';
+import { isValidMediaSignature } from '../middleware/upload.middleware.js';
+import { validateVideoInput, validateVideoFile, publishUploadedVideo } from './video.controller.js';
+
+const SUPPORTED_LANGUAGES = ['english', 'spanish', 'french', 'german', 'hindi', 'chinese'];
+
+// tus 1.0 responses always carry Tus-Resumable; requests must declare the same version
+const checkTusVersion = (req, res) => {
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+
+  if (req.get('Tus-Resumable') !== TUS_VERSION) {
+    res.setHeader('Tus-Version', TUS_VERSION);
+    res.status(412).json({
+      message: `Unsupported tus version, expected ${TUS_VERSION}`,
+      code: 'TUS_VERSION_UNSUPPORTED'
+    });
+    return false;
+  }
+  return true;
+};
+
+const setUploadHeaders = (res, upload) => {
+  res.setHeader('Upload-Offset', upload.offset);
+  res.setHeader('Upload-Length', upload.length);
+  res.setHeader('Upload-Expires', new Date(upload.expiresAt).toUTCString());
+  if (upload.videoId) {
+    res.setHeader('X-Video-Id', upload.videoId);
+  }
+};
+
+// Load an upload owned by the user; returns { upload } or { status, body } describing the rejection
+const findOwnedUpload = async (uploadId, userId) => {
+  const upload = await ResumableUploadService.get(uploadId);
+  if (!upload) {
+    return { status: 404, body: { message: 'Upload not found or expired', code: 'UPLOAD_NOT_FOUND' } };
+  }
+
+  if (upload.userId !== userId) {
+    return { status: 403, body: { message: 'Access denied to this upload', code: 'ACCESS_DENIED' } };
+  }
+
+  return { upload };
+};
+
+const sendUploadError = (res, label, error) => {
+  if (error instanceof UploadError) {
+    return res.status(error.status).json({ message: error.message, code: error.code });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    message: 'Upload failed',
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    code: 'UPLOAD_ERROR'
+  });
+};
+
+// tus creation: Upload-Length plus filename, filetype, title, description and language in Upload-Metadata
+const createUpload = async (req, res) => {
+  try {
+    if (!checkTusVersion(req, res)) return;
+
+    if (req.get('Upload-Defer-Length')) {
+      return res.status(400).json({
+        message: 'Deferred upload length is not supported',
+        code: 'DEFER_LENGTH_UNSUPPORTED'
+      });
+    }
+
+    const length = Number(req.get('Upload-Length'));
+    if (!Number.isSafeInteger(length) || length <= 0) {
+      return res.status(400).json({
+        message: 'Upload-Length must be a positive integer',
+        code: 'INVALID_UPLOAD_LENGTH'
+      });
+    }
+
+    if (length > ResumableUploadService.maxSize) {
+      res.setHeader('Tus-Max-Size', ResumableUploadService.maxSize);
+      return res.status(413).json({
+        message: `File size must be less than ${ResumableUploadService.maxSize / (1024 * 1024)}MB`,
+        code: 'UPLOAD_TOO_LARGE'
+      });
+    }
+
+    const { filename = '', filetype = '', title, description = '', language = 'english' } =
+      ResumableUploadService.parseMetadata(req.get('Upload-Metadata'));
+
+    const errors = [
+      ...validateVideoInput(title, description),
+      ...validateVideoFile({ size: length, mimetype: filetype, originalname: filename })
+    ];
+    if (!SUPPORTED_LANGUAGES.includes(language)) {
+      errors.push('Unsupported language');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const upload = await ResumableUploadService.create({
+      userId: req.user.id,
+      length,
+      metadata: { filename, filetype, title, description, language }
+    });
+
+    setUploadHeaders(res, upload);
+    res.setHeader('Location', `${req.baseUrl}/uploads/${upload.id}`);
+    res.status(201).end();
+  } catch (error) {
+    sendUploadError(res, 'Create upload', error);
+  }
+};
+
+// tus HEAD: how many bytes the server has, so the client knows where to resume
+const getUploadStatus = async (req, res) => {
+  try {
+    if (!checkTusVersion(req, res)) return;
+
+    const { upload, status } = await findOwnedUpload(req.params.uploadId, req.user.id);
+    if (!upload) {
+      return res.status(status).end();
+    }
+
+    setUploadHeaders(res, upload);
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).end();
+  } catch (error) {
+    console.error('Upload status error:', error);
+    res.status(500).end();
+  }
+};
+
+// tus PATCH: append bytes at Upload-Offset; the request that delivers the last byte publishes the video
+const patchUpload = async (req, res) => {
+  try {
+    if (!checkTusVersion(req, res)) return;
+
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      return res.status(415).json({
+        message: 'Content-Type must be application/offset+octet-stream',
+        code: 'INVALID_CONTENT_TYPE'
+      });
+    }
+
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isSafeInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        message: 'Upload-Offset must be a non-negative integer',
+        code: 'INVALID_UPLOAD_OFFSET'
+      });
+    }
+
+    const lookup = await findOwnedUpload(req.params.uploadId, req.user.id);
+    if (!lookup.upload) {
+      return res.status(lookup.status).json(lookup.body);
+    }
+
+    // Rejecting oversized bodies up front keeps the connection usable for the response
+    const contentLength = Number(req.get('Content-Length'));
+    if (Number.isFinite(contentLength) && offset + contentLength > lookup.upload.length) {
+      return res.status(413).json({
+        message: 'Request body exceeds Upload-Length',
+        code: 'UPLOAD_TOO_LARGE'
+      });
+    }
+
+    const updated = await ResumableUploadService.withLock(lookup.upload.id, async () => {
+      // The request holding the lock before this one may have appended to or published the upload
+      const upload = await ResumableUploadService.get(lookup.upload.id);
+      if (!upload) {
+        throw new UploadError('Upload not found or expired', 404, 'UPLOAD_NOT_FOUND');
+      }
+
+      // Retried final requests of a published upload are acknowledged without writing
+      if (!upload.videoId && upload.offset < upload.length) {
+        await ResumableUploadService.append(upload, offset, req);
+      } else if (offset !== upload.offset) {
+        throw new UploadError(`Upload-Offset ${offset} does not match current offset ${upload.offset}`, 409, 'OFFSET_MISMATCH');
+      }
+
+      const dataPath = ResumableUploadService.dataPath(upload);
+      const extension = upload.extension.replace('.', '');
+
+      // Reject non-media content as soon as its header has arrived instead of after the whole file
+      if (!upload.signatureVerified && (upload.offset >= 12 || upload.offset === upload.length)) {
+        if (!isValidMediaSignature(dataPath, extension)) {
+          await ResumableUploadService.remove(upload);
+          throw new UploadError('Invalid file type. The file does not appear to be a valid video or audio file.', 400, 'INVALID_FILE_SIGNATURE');
+        }
+        upload.signatureVerified = true;
+        await ResumableUploadService.save(upload);
+      }
+
+      if (!upload.videoId && upload.offset === upload.length) {
+        const { title, description, language, filetype } = upload.metadata;
+        console.log(`📥 Resumable upload ${upload.id} complete: ${path.basename(dataPath)}`);
+
+        const video = await publishUploadedVideo({
+          filePath: dataPath,
+          title,
+          description,
+          language,
+          userId: req.user.id,
+          fileSize: upload.length,
+          mimeType: filetype,
+          io: req.app.get('socketio')
+        });
+        if (!video) {
+          throw new UploadError('Failed to upload video to storage', 500, 'CLOUD_UPLOAD_FAILED');
+        }
+
+        await ResumableUploadService.markCompleted(upload, video._id.toString());
+      }
+
+      return upload;
+    });
+
+    setUploadHeaders(res, updated);
+    res.status(204).end();
+  } catch (error) {
+    sendUploadError(res, 'Patch upload', error);
+  }
+};
+
+// tus termination: discard an upload and the bytes received for it
+const deleteUpload = async (req, res) => {
+  try {
+    if (!checkTusVersion(req, res)) return;
+
+    const { upload, status, body } = await findOwnedUpload(req.params.uploadId, req.user.id);
+    if (!upload) {
+      return res.status(status).json(body);
+    }
+
+    await ResumableUploadService.withLock(upload.id, () => ResumableUploadService.remove(upload));
+    res.status(204).end();
+  } catch (error) {
+    sendUploadError(res, 'Delete upload', error);
+  }
+};
+
+export { createUpload, getUploadStatus, patchUpload, deleteUpload };
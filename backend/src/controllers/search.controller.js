@@ -0,0 +1,45 @@
+import SearchService from '../services/search.service.js';
+
+// Hybrid text + semantic search across the user's completed videos
+const searchLibrary = async (req, res) => {
+  try {
+    const { q, limit = 10 } = req.query;
+
+    if (typeof q !== 'string' || q.trim().length === 0) {
+      return res.status(400).json({
+        message: 'Search query is required',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    if (q.length > 200) {
+      return res.status(400).json({
+        message: 'Search query must be less than 200 characters',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const data = await SearchService.searchLibrary(req.user.id, q, {
+      limit: Math.min(50, Math.max(1, parseInt(limit) || 10))
+    });
+
+    res.json({
+      message: 'Search completed successfully',
+      data
+    });
+  } catch (error) {
+    console.error('Library search error:', {
+      error: error.message,
+      userId: req.user.id,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(500).json({
+      message: 'Failed to search videos',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      code: 'SEARCH_ERROR'
+    });
+  }
+};
+
+export { searchLibrary };
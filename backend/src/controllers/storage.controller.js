@@ -0,0 +1,50 @@
+import StorageService from '../services/storage.service.js';
+
+// Serve a file of the local storage driver through a link made by StorageService.getSignedUrl.
+// The signature is the authorization, so <video> elements can stream it without a bearer token.
+const serveStoredFile = async (req, res) => {
+  try {
+    const key = req.params[0];
+    const { expires, signature } = req.query;
+
+    const local = StorageService.driver('local');
+    const filePath = local.verifySignedRequest(key, expires, signature);
+    if (!filePath) {
+      return res.status(403).json({
+        message: 'Invalid or expired storage link',
+        code: 'INVALID_SIGNATURE'
+      });
+    }
+
+    if (!(await local.exists(key))) {
+      return res.status(404).json({
+        message: 'File not found',
+        code: 'STORAGE_NOT_FOUND'
+      });
+    }
+
+    // The frontend plays these files from another origin
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+
+    // sendFile answers Range requests, which video seeking relies on
+    res.sendFile(filePath, { acceptRanges: true, dotfiles: 'deny' }, (error) => {
+      if (error && !res.headersSent) {
+        res.status(error.status || 500).json({
+          message: 'Failed to read stored file',
+          code: 'STORAGE_READ_ERROR'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Serve stored file error:', error);
+    res.status(500).json({
+      message: 'Failed to read stored file',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      code: 'STORAGE_READ_ERROR'
+    });
+  }
+};
+
+export { serveStoredFile };
@@ -1,11 +1,32 @@
 import Video from "../models/videos.model.js";
-import { uploadOnCloudinary } from "../utils/cloudinary.js";
+import StorageService from "../services/storage.service.js";
+import VideoCleanupService from "../services/videoCleanup.service.js";
+import TranscriptionProviders from "../services/transcriptionProviders.service.js";
+import CancellationService from "../services/cancellation.service.js";
+import ProcessingCheckpointService from "../services/processingCheckpoint.service.js";
+import TranscriptSegmentService from "../services/transcriptSegments.service.js";
+import CaptionService from "../services/captions.service.js";
+import SubtitleService, { SubtitleParseError } from "../services/subtitles.service.js";
+import MediaImportService, { MediaImportError } from "../services/mediaImport.service.js";
+import VectorDBService from "../services/vectorDb.service.js";
+import ThumbnailService from "../services/thumbnail.service.js";
+import { STALE_PROCESSING_MS, VIDEO_STATUS, SUPPORTED_AUDIO_FORMATS, SUPPORTED_AUDIO_EXTENSIONS, getMediaType } from "../utils/constant.js";
 import { processVideoQueue } from "../queues/video.queue.js";
-import { TEMP_DIR, cleanupTempFile } from "../middleware/upload.middleware.js";
+import { TEMP_DIR, cleanupTempFile, hashFile } from "../middleware/upload.middleware.js";
 import mongoose from 'mongoose';
 import path from 'path';
 import fs from 'fs';
 
+// "text" and "json" answer with JSON; the caption formats download as files
+const TRANSCRIPT_FORMATS = ['text', 'json', ...Object.keys(CaptionService.formats)];
+
+// How long processing of a re-uploaded file waits for the user to link the earlier video's results
+const DUPLICATE_OFFER_WINDOW_MS = Math.max(0, parseInt(process.env.DUPLICATE_OFFER_WINDOW_MS) || 0);
+
+// Results a linked duplicate takes over from the video it duplicates (its thumbnails are copied
+// to keys of its own, see ThumbnailService.copy)
+const LINKED_FIELDS = ['transcript', 'transcriptSegments', 'transcriptSource', 'summary', 'keyPoints', 'embeddings', 'language'];
+
 // Input validation helper
 const validateVideoInput = (title, description) => {
   const errors = [];
@@ -53,15 +74,16 @@ const validateVideoFile = (file) => {
   // Check MIME type
   const allowedMimeTypes = [
     'video/mp4', 'video/mpeg', 'video/quicktime', 
-    'video/x-msvideo', 'video/webm', 'video/x-matroska'
+    'video/x-msvideo', 'video/webm', 'video/x-matroska',
+    ...SUPPORTED_AUDIO_FORMATS
   ];
   
   if (!allowedMimeTypes.includes(file.mimetype)) {
-    errors.push('Invalid file type. Supported formats: MP4, MPEG, MOV, AVI, WebM, MKV');
+    errors.push('Invalid file type. Supported formats: MP4, MPEG, MOV, AVI, WebM, MKV, MP3, M4A, WAV, OGG/Opus, FLAC');
   }
   
   // Check file extension
-  const allowedExtensions = ['.mp4', '.mpeg', '.mov', '.avi', '.webm', '.mkv'];
+  const allowedExtensions = ['.mp4', '.mpeg', '.mov', '.avi', '.webm', '.mkv', ...SUPPORTED_AUDIO_EXTENSIONS];
   const fileExtension = path.extname(file.originalname).toLowerCase();
   if (!allowedExtensions.includes(fileExtension)) {
     errors.push('Invalid file extension');
@@ -70,9 +92,114 @@ const validateVideoFile = (file) => {
   return errors;
 };
 
+// Queue a video for processing; the video ID is the job ID, so a video is never queued twice.
+// options.provider and options.reuseTranscript are passed on to the worker when reprocessing;
+// options.delay holds the job back for that many milliseconds
+const enqueueVideoProcessing = async (video, options = {}) => {
+  // A cancellation requested for an earlier run must not stop this one
+  await CancellationService.clear(video._id.toString());
+
+  // options.resume keeps the stages an earlier run finished; anything else processes from scratch
+  if (!options.resume) {
+    await ProcessingCheckpointService.discard(video._id);
+  }
+
+  await processVideoQueue.add('process-video', {
+    videoId: video._id.toString(),
+    // Imports are fetched from their URL until stored; videos uploaded before storage keys existed by Cloudinary URL
+    ...(video.storageKey
+      ? { storageKey: video.storageKey, storageDriver: video.storageDriver }
+      : video.sourceUrl
+        ? { importUrl: video.sourceUrl }
+        : { cloudinaryUrl: video.cloudinaryUrl }),
+    language: video.language,
+    ...(options.provider && { provider: options.provider }),
+    // Imported subtitles stay the transcript when a run is resumed
+    ...((options.reuseTranscript || (options.resume && video.transcriptSource === 'subtitles')) && { reuseTranscript: true })
+  }, {
+    jobId: video._id.toString(), // Use video ID as job ID for idempotency
+    ...(options.delay > 0 && { delay: options.delay }),
+    attempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+    timeout: parseInt(process.env.JOB_TIMEOUT_MS) || 1800000
+  });
+};
+
+// Move a fully received upload to storage, create its Video and queue processing.
+// subtitles ({ transcript, segments } from SubtitleService) replace transcription.
+// A file the user already has a completed video of is marked duplicateOf that video, and its
+// processing waits DUPLICATE_OFFER_WINDOW_MS so the user can link the existing results instead.
+// Resolves to the saved video, or null if storage did not accept the file.
+const publishUploadedVideo = async ({ filePath, title, description, language, userId, fileSize, mimeType, subtitles = null, io }) => {
+  // Hashed before storage moves the file away
+  const contentHash = await hashFile(filePath);
+  // Uploaded captions would be replaced by the earlier transcript, so they are never offered a link
+  const duplicate = subtitles ? null : await Video.findOne({
+    userId,
+    contentHash,
+    status: VIDEO_STATUS.COMPLETED
+  }).sort({ processedAt: -1 }).select('_id title').lean();
+
+  // Move the file to the configured storage driver
+  const stored = await StorageService.put(filePath, { contentType: mimeType });
+  if (!stored || !stored.key) {
+    return null;
+  }
+
+  // Create video record
+  const video = new Video({
+    title: title.trim(),
+    description: description?.trim() || '',
+    userId,
+    fileSize,
+    mimeType,
+    mediaType: getMediaType(mimeType),
+    contentHash,
+    duplicateOf: duplicate?._id || null,
+    storageKey: stored.key,
+    storageDriver: stored.driver,
+    ...(stored.driver === 'cloudinary' && {
+      cloudinaryPublicId: stored.key,
+      cloudinaryUrl: stored.url
+    }),
+    ...(subtitles && {
+      transcript: subtitles.transcript,
+      transcriptSegments: subtitles.segments,
+      transcriptSource: 'subtitles'
+    }),
+    language: language
+  });
+
+  await video.save();
+
+  if (duplicate) {
+    console.log(`🔁 Video ${video._id} has the same content as video ${duplicate._id} ("${duplicate.title}")`);
+  }
+
+  // Add to processing queue
+  await enqueueVideoProcessing(video, {
+    reuseTranscript: !!subtitles,
+    delay: duplicate ? DUPLICATE_OFFER_WINDOW_MS : 0
+  });
+  
+  // Emit socket event for real-time update to video room
+  if (io) {
+    io.to(video._id.toString()).emit('video-uploaded', {
+      videoId: video._id.toString(),
+      status: 'queued',
+      title: video.title,
+      ...(duplicate && { duplicateOf: { videoId: duplicate._id.toString(), title: duplicate.title } }),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return video;
+};
+
 // Upload video
 const uploadVideo = async (req, res) => {
   let tempFile = req.file?.path;
+  // Read into the transcript below, so never kept
+  const subtitleFile = req.subtitleFile?.path;
 
   try {
     const { title, description, language = 'english' } = req.body;
@@ -101,6 +228,28 @@ const uploadVideo = async (req, res) => {
       });
     }
 
+    // Captions supplied with the video become its transcript
+    let subtitles = null;
+    if (req.subtitleFile) {
+      const subtitleErrors = SubtitleService.validateFile(req.subtitleFile);
+      if (subtitleErrors.length === 0) {
+        try {
+          subtitles = await SubtitleService.readFile(subtitleFile);
+        } catch (error) {
+          if (!(error instanceof SubtitleParseError)) throw error;
+          subtitleErrors.push(error.message);
+        }
+      }
+
+      if (subtitleErrors.length > 0) {
+        cleanupTempFile(tempFile);
+        return res.status(400).json({
+          message: 'Subtitle validation failed',
+          errors: subtitleErrors
+        });
+      }
+    }
+
     const uploadedFilePath = path.resolve(req.file.path);
     
     // Enhanced path traversal protection
@@ -112,44 +261,104 @@ const uploadVideo = async (req, res) => {
       });
     }
 
-    // Upload to Cloudinary
-    const cloudinaryResponse = await uploadOnCloudinary(tempFile);
-    if (!cloudinaryResponse || !cloudinaryResponse.secure_url) {
+    const video = await publishUploadedVideo({
+      filePath: tempFile,
+      title,
+      description,
+      language,
+      userId: req.user.id,
+      fileSize: req.file.size,
+      mimeType: req.file.mimetype,
+      subtitles,
+      io: req.app.get('socketio')
+    });
+    if (!video) {
       if (tempFile) {
         cleanupTempFile(tempFile);
       }
       return res.status(500).json({ 
-        message: 'Failed to upload video to cloud storage',
+        message: 'Failed to upload video to storage',
         code: 'CLOUD_UPLOAD_FAILED'
       });
     }
+    
+    tempFile = null;
+
+    res.status(201).json({
+      message: 'Video uploaded successfully',
+      data: {
+        videoId: video._id,
+        status: video.status,
+        title: video.title,
+        url: await StorageService.getVideoUrl(video),
+        ...(video.transcriptSource && { transcriptSource: video.transcriptSource }),
+        ...(video.duplicateOf && { duplicateOf: video.duplicateOf })
+      }
+    });
+
+  } catch (error) {
+    console.error('Upload error:', error);
+    
+    // Cleanup on error
+    if (tempFile) {
+      cleanupTempFile(tempFile);
+    }
+    
+    res.status(500).json({
+      message: 'Upload failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      code: 'UPLOAD_ERROR'
+    });
+  } finally {
+    if (subtitleFile) {
+      cleanupTempFile(subtitleFile);
+    }
+  }
+};
+
+// Import a video or audio file from a direct URL; the worker downloads it before processing
+const importVideo = async (req, res) => {
+  try {
+    const { url, description, language = 'english' } = req.body;
+
+    if (!url || typeof url !== 'string' || url.length > 2048) {
+      return res.status(400).json({
+        message: 'A media URL of at most 2048 characters is required',
+        code: 'INVALID_URL'
+      });
+    }
+
+    // Checked again by the worker for every redirect and connection
+    try {
+      await MediaImportService.validateUrl(url);
+    } catch (error) {
+      if (!(error instanceof MediaImportError)) throw error;
+      return res.status(error.status).json({
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    const title = req.body.title?.trim() ? req.body.title : MediaImportService.titleFromUrl(url);
+    const inputErrors = validateVideoInput(title, description);
+    if (inputErrors.length > 0) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: inputErrors
+      });
+    }
 
-    // Create video record
     const video = new Video({
       title: title.trim(),
       description: description?.trim() || '',
       userId: req.user.id,
-      fileSize: req.file.size,
-      mimeType: req.file.mimetype,
-      cloudinaryPublicId: cloudinaryResponse.public_id,
-      cloudinaryUrl: cloudinaryResponse.secure_url,
-      language: language
+      sourceUrl: url,
+      language
     });
-
     await video.save();
 
-    // Add to processing queue
-    await processVideoQueue.add('process-video', { 
-      videoId: video._id.toString(),
-      cloudinaryUrl: cloudinaryResponse.secure_url,
-      language: language
-    }, {
-      jobId: video._id.toString(), // Use video ID as job ID for idempotency
-      attempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
-      timeout: parseInt(process.env.JOB_TIMEOUT_MS) || 1800000
-    });
-    
-    // Emit socket event for real-time update to video room
+    await enqueueVideoProcessing(video);
+
     const io = req.app.get('socketio');
     if (io) {
       io.to(video._id.toString()).emit('video-uploaded', {
@@ -159,31 +368,22 @@ const uploadVideo = async (req, res) => {
         timestamp: new Date().toISOString()
       });
     }
-    
-    tempFile = null;
 
-    res.status(201).json({
-      message: 'Video uploaded successfully',
+    res.status(202).json({
+      message: 'Video import queued',
       data: {
         videoId: video._id,
         status: video.status,
         title: video.title,
-        cloudinaryUrl: video.cloudinaryUrl
+        sourceUrl: video.sourceUrl
       }
     });
-
   } catch (error) {
-    console.error('Upload error:', error);
-    
-    // Cleanup on error
-    if (tempFile) {
-      cleanupTempFile(tempFile);
-    }
-    
+    console.error('Import error:', error);
     res.status(500).json({
-      message: 'Upload failed',
+      message: 'Import failed',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
-      code: 'UPLOAD_ERROR'
+      code: 'IMPORT_ERROR'
     });
   }
 };
@@ -197,7 +397,7 @@ const getMyVideos = async (req, res) => {
     const { status, search } = req.query;
 
     // Validate status parameter
-    const validStatuses = ['queued', 'processing', 'completed', 'failed'];
+    const validStatuses = Object.values(VIDEO_STATUS);
     if (status && !validStatuses.includes(status)) {
       return res.status(400).json({
         message: 'Invalid status parameter',
@@ -225,6 +425,12 @@ const getMyVideos = async (req, res) => {
       Video.countDocuments(query)
     ]);
 
+    // Expiring storage links are signed per request
+    await Promise.all(videos.map(async (video) => {
+      video.url = await StorageService.getVideoUrl(video);
+      Object.assign(video, await ThumbnailService.getUrls(video));
+    }));
+
     res.json({ 
       message: "Videos retrieved successfully",
       data: {
@@ -262,6 +468,7 @@ const getVideo = async (req, res) => {
 
     const video = await Video.findById(id)
       .select('-path -__v -embeddings')
+      .populate('duplicateOf', 'title status')
       .lean({ virtuals: true });
 
     if (!video) {
@@ -279,6 +486,9 @@ const getVideo = async (req, res) => {
       });
     }
 
+    video.url = await StorageService.getVideoUrl(video);
+    Object.assign(video, await ThumbnailService.getUrls(video));
+
     res.json({
       message: "Video retrieved successfully",
       data: video
@@ -294,9 +504,11 @@ const getVideo = async (req, res) => {
 };
 
 // Get video transcript
+// ?format=json adds the structured segments with word times to the flat transcript
 const getVideoTranscript = async (req, res) => {
   try {
     const { id } = req.params;
+    const { format = 'text' } = req.query;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ 
@@ -305,7 +517,17 @@ const getVideoTranscript = async (req, res) => {
       });
     }
 
-    const video = await Video.findById(id).select('transcript status userId');
+    if (!TRANSCRIPT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        message: `Unsupported transcript format. Use one of: ${TRANSCRIPT_FORMATS.join(', ')}`,
+        code: 'INVALID_FORMAT'
+      });
+    }
+
+    const timed = format !== 'text';
+    const video = await Video.findById(id).select(
+      timed ? 'title transcript status userId duration transcriptSegments' : 'transcript status userId'
+    );
 
     if (!video) {
       return res.status(404).json({ 
@@ -335,12 +557,25 @@ const getVideoTranscript = async (req, res) => {
       });
     }
 
+    if (CaptionService.formats[format]) {
+      const { content, contentType, fileName } = CaptionService.render(
+        format,
+        TranscriptSegmentService.forVideo(video),
+        video.title
+      );
+
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      return res.send(content);
+    }
+
     res.json({
       message: "Transcript retrieved successfully",
       data: {
         transcript: video.transcript,
         videoId: id,
-        wordCount: video.transcript.split(/\s+/).length
+        wordCount: video.transcript.split(/\s+/).length,
+        ...(format === 'json' && { segments: TranscriptSegmentService.forVideo(video) })
       }
     });
   } catch (error) {
@@ -353,4 +588,508 @@ const getVideoTranscript = async (req, res) => {
   }
 };
 
-export { uploadVideo, getMyVideos, getVideo, getVideoTranscript };
\ No newline at end of file
+// Load a video owned by the user, including trashed ones; returns { video } or { status, body }
+const findOwnedVideo = async (id, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { status: 400, body: { message: 'Invalid video ID format', code: 'INVALID_VIDEO_ID' } };
+  }
+
+  const video = await Video.findById(id).setOptions({ withDeleted: true });
+  if (!video) {
+    return { status: 404, body: { message: 'Video not found', code: 'VIDEO_NOT_FOUND' } };
+  }
+
+  if (video.userId !== userId) {
+    return { status: 403, body: { message: 'Access denied to this video', code: 'ACCESS_DENIED' } };
+  }
+
+  return { video };
+};
+
+// Move a video to the trash, or delete it and everything derived from it with ?permanent=true
+const deleteVideo = async (req, res) => {
+  try {
+    const { video, status, body } = await findOwnedVideo(req.params.id, req.user.id);
+    if (!video) {
+      return res.status(status).json(body);
+    }
+
+    const permanent = req.query.permanent === 'true' || VideoCleanupService.retentionDays === 0;
+
+    if (!permanent && video.deletedAt) {
+      return res.status(409).json({
+        message: 'Video is already in the trash',
+        code: 'ALREADY_TRASHED'
+      });
+    }
+
+    const io = req.app.get('socketio');
+
+    if (permanent) {
+      const summary = await VideoCleanupService.purgeVideo(video);
+      io?.to(video._id.toString()).emit('video-deleted', {
+        videoId: video._id.toString(),
+        permanent: true,
+        timestamp: new Date().toISOString()
+      });
+
+      return res.json({
+        message: 'Video deleted permanently',
+        data: {
+          videoId: video._id,
+          permanent: true,
+          deletedQuestions: summary.questions,
+          deletedConversations: summary.conversations
+        }
+      });
+    }
+
+    await VideoCleanupService.moveToTrash(video);
+    io?.to(video._id.toString()).emit('video-deleted', {
+      videoId: video._id.toString(),
+      permanent: false,
+      purgeAt: video.purgeAt.toISOString(),
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      message: 'Video moved to trash',
+      data: {
+        videoId: video._id,
+        permanent: false,
+        deletedAt: video.deletedAt,
+        purgeAt: video.purgeAt
+      }
+    });
+  } catch (error) {
+    console.error('Delete video error:', error);
+    res.status(500).json({
+      message: 'Failed to delete video',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      code: 'DELETE_VIDEO_ERROR'
+    });
+  }
+};
+
+// Take a video out of the trash; unfinished videos are queued for processing again
+const restoreVideo = async (req, res) => {
+  try {
+    const { video, status, body } = await findOwnedVideo(req.params.id, req.user.id);
+    if (!video) {
+      return res.status(status).json(body);
+    }
+
+    if (!video.deletedAt) {
+      return res.status(409).json({
+        message: 'Video is not in the trash',
+        code: 'NOT_TRASHED'
+      });
+    }
+
+    await video.restoreFromTrash();
+
+    if (video.status === 'queued' || video.status === 'processing') {
+      const jobState = await VideoCleanupService.removeQueuedJob(video._id.toString());
+      if (jobState !== 'active') {
+        video.status = 'queued';
+        await video.save();
+        await enqueueVideoProcessing(video, { resume: true });
+      }
+    }
+
+    console.log(`♻️ Video ${video._id} restored from trash`);
+
+    res.json({
+      message: 'Video restored successfully',
+      data: {
+        videoId: video._id,
+        status: video.status,
+        title: video.title
+      }
+    });
+  } catch (error) {
+    console.error('Restore video error:', error);
+    res.status(500).json({
+      message: 'Failed to restore video',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      code: 'RESTORE_VIDEO_ERROR'
+    });
+  }
+};
+
+// Reset a finished video and queue it again; shared by reprocess and retry
+const requeueVideo = async (req, res, video, options) => {
+  if (video.deletedAt) {
+    return res.status(409).json({
+      message: 'Restore the video from the trash before processing it again',
+      code: 'VIDEO_TRASHED'
+    });
+  }
+
+  // Same race rules as the worker: queued videos are waiting already and
+  // processing ones are left alone unless they have been stuck for too long
+  const stale = video.status === 'processing' && Date.now() - video.updatedAt.getTime() >= STALE_PROCESSING_MS;
+  if (video.status === 'queued' || (video.status === 'processing' && !stale)) {
+    return res.status(409).json({
+      message: `Video is already ${video.status}`,
+      code: 'VIDEO_PROCESSING'
+    });
+  }
+
+  const jobState = await VideoCleanupService.removeQueuedJob(video._id.toString());
+  if (jobState === 'active') {
+    return res.status(409).json({
+      message: 'Video is being processed by a worker',
+      code: 'VIDEO_PROCESSING'
+    });
+  }
+
+  video.status = 'queued';
+  video.error = undefined;
+  video.processedAt = undefined;
+  if (options.language) {
+    video.language = options.language;
+  }
+  await video.save();
+
+  await enqueueVideoProcessing(video, options);
+
+  req.app.get('socketio')?.to(video._id.toString()).emit('video-requeued', {
+    videoId: video._id.toString(),
+    status: 'queued',
+    reuseTranscript: !!options.reuseTranscript,
+    timestamp: new Date().toISOString()
+  });
+
+  console.log(`🔁 Video ${video._id} queued again`, {
+    language: video.language,
+    provider: options.provider || 'default',
+    reuseTranscript: !!options.reuseTranscript
+  });
+
+  res.status(202).json({
+    message: 'Video queued for processing',
+    data: {
+      videoId: video._id,
+      status: video.status,
+      language: video.language,
+      provider: options.provider || null,
+      reuseTranscript: !!options.reuseTranscript
+    }
+  });
+};
+
+// Process a failed or completed video again, optionally with another language or transcription
+// provider, or reusing its transcript so only the summary and embeddings are redone
+const reprocessVideo = async (req, res) => {
+  try {
+    const { language, provider, reuseTranscript = false } = req.body;
+
+    const validationErrors = [];
+    if (language !== undefined && !['english', 'spanish', 'french', 'german', 'hindi', 'chinese'].includes(language)) {
+      validationErrors.push('Unsupported language');
+    }
+    if (provider !== undefined && (typeof provider !== 'string' ||
+        !TranscriptionProviders.getProviders().some(configured => configured.name === provider))) {
+      validationErrors.push('Unknown or unconfigured transcription provider');
+    }
+    if (typeof reuseTranscript !== 'boolean') {
+      validationErrors.push('reuseTranscript must be a boolean');
+    }
+    if (reuseTranscript && provider !== undefined) {
+      validationErrors.push('A transcription provider cannot be chosen when reusing the transcript');
+    }
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: validationErrors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { video, status, body } = await findOwnedVideo(req.params.id, req.user.id);
+    if (!video) {
+      return res.status(status).json(body);
+    }
+
+    if (reuseTranscript && !video.transcript) {
+      return res.status(400).json({
+        message: 'Video has no stored transcript to reuse',
+        code: 'TRANSCRIPT_UNAVAILABLE'
+      });
+    }
+
+    await requeueVideo(req, res, video, { language, provider, reuseTranscript });
+  } catch (error) {
+    console.error('Reprocess video error:', error);
+    res.status(500).json({
+      message: 'Failed to reprocess video',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      code: 'REPROCESS_VIDEO_ERROR'
+    });
+  }
+};
+
+// Retry a failed or cancelled video with the settings it was uploaded with
+const retryVideo = async (req, res) => {
+  try {
+    const { video, status, body } = await findOwnedVideo(req.params.id, req.user.id);
+    if (!video) {
+      return res.status(status).json(body);
+    }
+
+    if (video.status !== VIDEO_STATUS.FAILED && video.status !== VIDEO_STATUS.CANCELLED) {
+      return res.status(409).json({
+        message: 'Only failed or cancelled videos can be retried',
+        code: 'VIDEO_NOT_FAILED'
+      });
+    }
+
+    // Picks up from the stages the failed or cancelled run finished
+    await requeueVideo(req, res, video, { resume: true });
+  } catch (error) {
+    console.error('Retry video error:', error);
+    res.status(500).json({
+      message: 'Failed to retry video',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      code: 'RETRY_VIDEO_ERROR'
+    });
+  }
+};
+
+// Stop processing a video: waiting jobs are removed from the queue, a running job is told to
+// stop at its next checkpoint and reports the cancelled status itself
+const cancelVideo = async (req, res) => {
+  try {
+    const { video, status, body } = await findOwnedVideo(req.params.id, req.user.id);
+    if (!video) {
+      return res.status(status).json(body);
+    }
+
+    if (video.status !== VIDEO_STATUS.QUEUED && video.status !== VIDEO_STATUS.PROCESSING) {
+      return res.status(409).json({
+        message: `Video is ${video.status}, there is nothing to cancel`,
+        code: 'VIDEO_NOT_IN_PROGRESS'
+      });
+    }
+
+    const videoId = video._id.toString();
+
+    // Flag first, so a job that starts before it is removed still stops right away
+    await CancellationService.requestCancel(videoId);
+    const jobState = await VideoCleanupService.removeQueuedJob(videoId);
+
+    if (jobState === 'active') {
+      console.log(`🛑 Cancellation requested for running job of video ${videoId}`);
+      return res.status(202).json({
+        message: 'Cancellation requested; processing stops shortly',
+        data: {
+          videoId: video._id,
+          status: 'cancelling'
+        }
+      });
+    }
+
+    video.status = VIDEO_STATUS.CANCELLED;
+    video.processedAt = new Date();
+    await video.save();
+
+    // Keep the flag if the job could not be looked up; it may still start
+    if (jobState !== 'unknown') {
+      await CancellationService.clear(videoId);
+    }
+    await VideoCleanupService.removeTempFiles(videoId);
+
+    req.app.get('socketio')?.to(videoId).emit('video-processed', {
+      videoId,
+      status: VIDEO_STATUS.CANCELLED,
+      timestamp: new Date().toISOString()
+    });
+
+    console.log(`🛑 Video ${videoId} cancelled before processing started`);
+
+    res.json({
+      message: 'Processing cancelled',
+      data: {
+        videoId: video._id,
+        status: video.status
+      }
+    });
+  } catch (error) {
+    console.error('Cancel video error:', error);
+    res.status(500).json({
+      message: 'Failed to cancel processing',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      code: 'CANCEL_VIDEO_ERROR'
+    });
+  }
+};
+
+// Use the results of an earlier video with the same content instead of processing this one:
+// its transcript, summary, embeddings and thumbnails are copied and the pending job is dropped
+const linkDuplicate = async (req, res) => {
+  try {
+    const { video, status, body } = await findOwnedVideo(req.params.id, req.user.id);
+    if (!video) {
+      return res.status(status).json(body);
+    }
+
+    if (video.deletedAt) {
+      return res.status(409).json({
+        message: 'Restore the video from the trash before linking it',
+        code: 'VIDEO_TRASHED'
+      });
+    }
+
+    if (video.status === VIDEO_STATUS.PROCESSING || video.status === VIDEO_STATUS.COMPLETED) {
+      return res.status(409).json({
+        message: `Video is already ${video.status}`,
+        code: video.status === VIDEO_STATUS.PROCESSING ? 'VIDEO_PROCESSING' : 'VIDEO_COMPLETED'
+      });
+    }
+
+    // The offered video unless the client names another one with the same content
+    const sourceId = req.body?.sourceVideoId || video.duplicateOf?.toString();
+    if (!sourceId || !mongoose.Types.ObjectId.isValid(sourceId) || sourceId === video._id.toString()) {
+      return res.status(400).json({
+        message: 'No earlier video with the same content to link',
+        code: 'NO_DUPLICATE'
+      });
+    }
+
+    const source = await Video.findOne({
+      _id: sourceId,
+      userId: req.user.id,
+      status: VIDEO_STATUS.COMPLETED
+    }).select('+transcriptSegments +embeddings');
+
+    if (!source || !video.contentHash || source.contentHash !== video.contentHash) {
+      return res.status(409).json({
+        message: 'The other video is not a completed upload of the same file',
+        code: 'DUPLICATE_MISMATCH'
+      });
+    }
+
+    const videoId = video._id.toString();
+    const jobState = await VideoCleanupService.removeQueuedJob(videoId);
+    if (jobState === 'active') {
+      return res.status(409).json({
+        message: 'Video is being processed by a worker',
+        code: 'VIDEO_PROCESSING'
+      });
+    }
+    if (jobState === 'unknown') {
+      return res.status(503).json({
+        message: 'Processing queue is unavailable, try again shortly',
+        code: 'QUEUE_UNAVAILABLE'
+      });
+    }
+
+    // Q&A falls back to no context without indexed chunks, so a failed copy does not stop the link
+    try {
+      await VectorDBService.copyVideoChunks(source._id.toString(), videoId, { userId: req.user.id });
+    } catch (indexError) {
+      console.warn(`⚠️ Could not copy vector chunks to video ${videoId}:`, indexError.message);
+    }
+
+    for (const field of LINKED_FIELDS) {
+      video[field] = source[field];
+    }
+    // The job that would have extracted thumbnails is gone, so the video gets copies of the
+    // source's; previews are optional, so a failed copy does not stop the link either
+    if (!video.thumbnails?.posterKey) {
+      try {
+        video.thumbnails = await ThumbnailService.copy(source.thumbnails, videoId);
+      } catch (thumbnailError) {
+        console.warn(`⚠️ Could not copy thumbnails to video ${videoId}:`, thumbnailError.message);
+      }
+    }
+    video.duplicateOf = source._id;
+    video.status = VIDEO_STATUS.COMPLETED;
+    video.error = undefined;
+    video.processedAt = new Date();
+    video.processingHistory = [];
+    await video.save();
+
+    await ProcessingCheckpointService.discard(video._id);
+    await VideoCleanupService.removeTempFiles(videoId);
+
+    req.app.get('socketio')?.to(videoId).emit('video-processed', {
+      videoId,
+      status: VIDEO_STATUS.COMPLETED,
+      timestamp: new Date().toISOString()
+    });
+
+    console.log(`🔗 Video ${videoId} linked to the results of video ${source._id}`);
+
+    res.json({
+      message: 'Results linked from the earlier upload',
+      data: {
+        videoId: video._id,
+        status: video.status,
+        duplicateOf: source._id
+      }
+    });
+  } catch (error) {
+    console.error('Link duplicate error:', error);
+    res.status(500).json({
+      message: 'Failed to link duplicate video',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      code: 'LINK_DUPLICATE_ERROR'
+    });
+  }
+};
+
+// List the user's trashed videos with the date each will be purged
+const getTrash = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const query = { userId: req.user.id, deletedAt: { $ne: null } };
+
+    const [videos, total] = await Promise.all([
+      Video.findTrashedByUser(req.user.id, { page, limit }),
+      Video.countDocuments(query)
+    ]);
+
+    res.json({
+      message: 'Trash retrieved successfully',
+      data: {
+        videos,
+        retentionDays: VideoCleanupService.retentionDays,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      code: 'FETCH_TRASH_ERROR'
+    });
+  }
+};
+
+export {
+  uploadVideo,
+  importVideo,
+  getMyVideos,
+  getVideo,
+  getVideoTranscript,
+  deleteVideo,
+  restoreVideo,
+  getTrash,
+  reprocessVideo,
+  retryVideo,
+  cancelVideo,
+  linkDuplicate,
+  validateVideoInput,
+  validateVideoFile,
+  publishUploadedVideo,
+  enqueueVideoProcessing
+};
\ No newline at end of file
@@ -300,6 +300,25 @@ const auth = async (req, res, next) => {
 };
 
 // Export rate limiters for potential external use
-export { ipRateLimiter, userIdRateLimiter };
+// Verify a Clerk session token outside of an HTTP request (e.g. a socket handshake); resolves to the user ID
+const verifySessionToken = async (token) => {
+  if (!token || typeof token !== 'string' || token.split('.').length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  const decoded = await verifyToken(token, {
+    secretKey: process.env.CLERK_SECRET_KEY,
+    issuer: 'https://clerk.yourdomain.com', // Adjust based on your Clerk instance
+    clockTolerance: 5,
+  });
+
+  if (!decoded?.sub || typeof decoded.sub !== 'string' || decoded.sub.length < 5) {
+    throw new Error('Invalid user ID in token');
+  }
+
+  return decoded.sub;
+};
+
+export { ipRateLimiter, userIdRateLimiter, verifySessionToken };
 
 export default auth;
\ No newline at end of file
@@ -4,6 +4,7 @@ import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { promisify } from 'util';
 import crypto from 'crypto';
+import { SUPPORTED_AUDIO_FORMATS, SUPPORTED_AUDIO_EXTENSIONS } from '../utils/constant.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -29,12 +30,12 @@ const ensureTempDir = () => {
 // Initialize temp directory on startup
 ensureTempDir();
 
-// Enhanced video file validation with magic numbers
+// Enhanced media file validation with magic numbers
 const getFileSignature = (filePath) => {
   try {
-    const buffer = Buffer.alloc(8);
+    const buffer = Buffer.alloc(12);
     const fd = fs.openSync(filePath, 'r');
-    fs.readSync(fd, buffer, 0, 8, 0);
+    fs.readSync(fd, buffer, 0, 12, 0);
     fs.closeSync(fd);
     return buffer.toString('hex').toUpperCase();
   } catch (error) {
@@ -42,27 +43,53 @@ const getFileSignature = (filePath) => {
   }
 };
 
-// Magic numbers for common video formats
+// Magic numbers for common video and audio formats, as patterns over the hex header:
+// "." skips a nibble, e.g. the size of an MP4 box
 const VIDEO_SIGNATURES = {
-  'mp4': ['6674797069736F6D', '0000001866747970'], // ftypisoM, ftyp
-  'avi': ['52494646', '41564920'], // RIFF, AVI
-  'mov': ['6674797071742020', '6D6F6F76'], // ftypqt, moov
+  'mp4': ['6674797069736F6D', '........66747970'], // ftypisoM, ftyp at offset 4
+  'avi': ['52494646........41564920'], // RIFF....AVI
+  'mov': ['6674797071742020', '........66747970', '........6D6F6F76'], // ftypqt, ftyp or moov at offset 4
   'wmv': ['3026B2758E66CF11'], // ASF header
   'flv': ['464C5601'], // FLV
   'webm': ['1A45DFA3'], // EBML
   'mkv': ['1A45DFA3'] // EBML (same as webm)
 };
 
-const isValidVideoSignature = (filePath, originalExtension) => {
+const AUDIO_SIGNATURES = {
+  'mp3': ['494433', 'FF[EF][23AB]'], // ID3 tag, MPEG audio frame sync
+  'm4a': ['........66747970'], // ftyp at offset 4
+  'wav': ['52494646........57415645'], // RIFF....WAVE
+  'ogg': ['4F676753'], // OggS
+  'oga': ['4F676753'],
+  'opus': ['4F676753'],
+  'flac': ['664C6143'] // fLaC
+};
+
+export const hasMediaSignature = (extension) => {
+  const key = extension.toLowerCase().replace('.', '');
+  return Boolean(VIDEO_SIGNATURES[key] || AUDIO_SIGNATURES[key]);
+};
+
+export const isValidMediaSignature = (filePath, originalExtension) => {
   const signature = getFileSignature(filePath);
   if (!signature) return false;
 
-  const expectedSignatures = VIDEO_SIGNATURES[originalExtension.toLowerCase()];
+  const extension = originalExtension.toLowerCase().replace('.', '');
+  const expectedSignatures = VIDEO_SIGNATURES[extension] || AUDIO_SIGNATURES[extension];
   if (!expectedSignatures) return true; // If we don't have signatures for this type, skip validation
 
-  return expectedSignatures.some(sig => signature.startsWith(sig));
+  return expectedSignatures.some(pattern => new RegExp(`^${pattern}`).test(signature));
 };
 
+// SHA-256 of a file as hex, read as a stream so large uploads are never held in memory
+export const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('error', reject)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
 // Enhanced file filter with multiple validation layers
 const videoFilter = (req, file, cb) => {
   const errors = [];
@@ -71,7 +98,8 @@ const videoFilter = (req, file, cb) => {
   const allowedMimeTypes = [
     'video/mp4', 'video/mpeg', 'video/quicktime', 
     'video/x-msvideo', 'video/x-ms-wmv', 'video/x-flv',
-    'video/webm', 'video/x-matroska'
+    'video/webm', 'video/x-matroska',
+    ...SUPPORTED_AUDIO_FORMATS
   ];
   
   if (!allowedMimeTypes.includes(file.mimetype)) {
@@ -79,7 +107,7 @@ const videoFilter = (req, file, cb) => {
   }
 
   // File extension validation
-  const allowedExtensions = ['.mp4', '.mpeg', '.mov', '.avi', '.wmv', '.flv', '.webm', '.mkv'];
+  const allowedExtensions = ['.mp4', '.mpeg', '.mov', '.avi', '.wmv', '.flv', '.webm', '.mkv', ...SUPPORTED_AUDIO_EXTENSIONS];
   const fileExtension = path.extname(file.originalname).toLowerCase();
   
   if (!allowedExtensions.includes(fileExtension)) {
@@ -106,6 +134,18 @@ const videoFilter = (req, file, cb) => {
   cb(null, true);
 };
 
+// Subtitle files sent next to the video; their content is checked when parsed
+const subtitleFilter = (req, file, cb) => {
+  const allowedExtensions = ['.srt', '.vtt'];
+  const fileExtension = path.extname(file.originalname).toLowerCase();
+
+  if (!allowedExtensions.includes(fileExtension)) {
+    return cb(new Error(`File validation failed: Unsupported subtitle extension: ${fileExtension}`), false);
+  }
+
+  cb(null, true);
+};
+
 // Enhanced storage configuration with security features
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
@@ -127,7 +167,7 @@ const storage = multer.diskStorage({
         .replace(/[^a-zA-Z0-9-_]/g, '_')
         .substring(0, 100); // Limit filename length
       
-      const secureFilename = `video_${baseName}_${uniqueSuffix}${originalExtension}`;
+      const secureFilename = `${file.fieldname === 'subtitles' ? 'subtitles' : 'video'}_${baseName}_${uniqueSuffix}${originalExtension}`;
       cb(null, secureFilename);
     } catch (error) {
       cb(error, null);
@@ -140,7 +180,7 @@ export const upload = multer({
   storage: storage,
   limits: {
     fileSize: 500 * 1024 * 1024, // 500MB limit
-    files: 1,
+    files: 2, // The video and an optional subtitle file
     fields: 10, // Limit number of non-file fields
     headerPairs: 20 // Limit header key-value pairs
   },
@@ -154,7 +194,9 @@ export const upload = multer({
       }
     }
 
-    return videoFilter(req, file, cb);
+    return file.fieldname === 'subtitles'
+      ? subtitleFilter(req, file, cb)
+      : videoFilter(req, file, cb);
   },
   preservePath: false // Don't include full path in filename
 });
@@ -165,13 +207,16 @@ export const validateFileType = async (req, res, next) => {
     return next();
   }
 
+  // A rejected upload takes its subtitle file with it
+  const uploadedFiles = [req.file.path, req.subtitleFile?.path];
+
   try {
     const filePath = req.file.path;
     const originalExtension = path.extname(req.file.originalname).toLowerCase().replace('.', '');
 
     // Check if file exists and is accessible
     if (!fs.existsSync(filePath)) {
-      await cleanupTempFile(filePath);
+      await cleanupTempFiles(uploadedFiles);
       return res.status(400).json({ 
         message: 'Uploaded file not found or inaccessible.',
         code: 'FILE_NOT_FOUND'
@@ -179,10 +224,10 @@ export const validateFileType = async (req, res, next) => {
     }
 
     // Validate file signature (magic numbers)
-    if (!isValidVideoSignature(filePath, originalExtension)) {
-      await cleanupTempFile(filePath);
+    if (!isValidMediaSignature(filePath, originalExtension)) {
+      await cleanupTempFiles(uploadedFiles);
       return res.status(400).json({ 
-        message: 'Invalid file type. The file does not appear to be a valid video.',
+        message: 'Invalid file type. The file does not appear to be a valid video or audio file.',
         code: 'INVALID_FILE_SIGNATURE'
       });
     }
@@ -190,7 +235,7 @@ export const validateFileType = async (req, res, next) => {
     // Additional security: check file size matches what was reported
     const stats = fs.statSync(filePath);
     if (stats.size !== req.file.size) {
-      await cleanupTempFile(filePath);
+      await cleanupTempFiles(uploadedFiles);
       return res.status(400).json({ 
         message: 'File size mismatch detected.',
         code: 'FILE_SIZE_MISMATCH'
@@ -202,7 +247,7 @@ export const validateFileType = async (req, res, next) => {
     const resolvedTempDir = path.resolve(TEMP_DIR);
     
     if (!resolvedFilePath.startsWith(resolvedTempDir)) {
-      await cleanupTempFile(filePath);
+      await cleanupTempFiles(uploadedFiles);
       return res.status(400).json({ 
         message: 'Invalid file path detected.',
         code: 'PATH_TRAVERSAL_ATTEMPT'
@@ -214,9 +259,7 @@ export const validateFileType = async (req, res, next) => {
     console.error('File validation error:', error);
     
     // Cleanup on error
-    if (req.file && req.file.path) {
-      await cleanupTempFile(req.file.path).catch(() => {});
-    }
+    await cleanupTempFiles(uploadedFiles);
     
     return res.status(500).json({ 
       message: 'Error validating uploaded file.',
@@ -291,7 +334,17 @@ const cleanStaleTempFiles = async () => {
 };
 
 // Run cleanup every hour
-setInterval(cleanStaleTempFiles, 60 * 60 * 1000);
-
-// Export validation function for use in routes
-export const validateUpload = [upload.single('video'), validateFileType];
\ No newline at end of file
+setInterval(cleanStaleTempFiles, 60 * 60 * 1000).unref();
+
+// The video plus an optional SRT/VTT subtitle file; handlers keep reading the video from req.file
+// and find the subtitles in req.subtitleFile
+export const uploadVideoWithSubtitles = [
+  upload.fields([{ name: 'video', maxCount: 1 }, { name: 'subtitles', maxCount: 1 }]),
+  (req, res, next) => {
+    req.file = req.files?.video?.[0];
+    req.subtitleFile = req.files?.subtitles?.[0];
+    next();
+  },
+  // The header of the video or audio file must match its extension
+  validateFileType
+];
\ No newline at end of file
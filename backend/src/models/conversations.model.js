@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+
+const DEFAULT_CONVERSATION_TITLE = 'New conversation';
+
+const conversationSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: DEFAULT_CONVERSATION_TITLE,
+    validate: {
+      validator: function(title) {
+        return title && title.trim().length > 0;
+      },
+      message: 'Title cannot be empty'
+    }
+  },
+  videoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true,
+    index: true,
+    validate: {
+      validator: function(videoId) {
+        return mongoose.Types.ObjectId.isValid(videoId);
+      },
+      message: 'Invalid video ID format'
+    }
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true,
+    validate: {
+      validator: function(userId) {
+        return userId && typeof userId === 'string' && userId.length >= 5;
+      },
+      message: 'User ID must be a valid string'
+    }
+  },
+  language: {
+    type: String,
+    default: 'english',
+    enum: {
+      values: ['english', 'spanish', 'french', 'german', 'hindi', 'chinese'],
+      message: 'Language {VALUE} is not supported'
+    }
+  },
+  turnCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastAskedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Compound indexes for listing a user's conversations, most recently active first
+conversationSchema.index({ userId: 1, updatedAt: -1 });
+conversationSchema.index({ userId: 1, videoId: 1, updatedAt: -1 });
+
+// Static method to find a user's conversations, optionally for one video, with pagination
+conversationSchema.statics.findByUser = function(userId, options = {}) {
+  const {
+    videoId,
+    page = 1,
+    limit = 20
+  } = options;
+
+  const query = { userId };
+  if (videoId) query.videoId = videoId;
+
+  return this.find(query)
+    .sort({ updatedAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .lean();
+};
+
+// Record a new turn; the first question names an untitled conversation
+conversationSchema.methods.recordTurn = function(question) {
+  if (this.turnCount === 0 && this.title === DEFAULT_CONVERSATION_TITLE) {
+    const title = question.trim();
+    this.title = title.length > 80 ? `${title.substring(0, 77)}...` : title;
+  }
+
+  this.turnCount += 1;
+  this.lastAskedAt = new Date();
+  return this.save();
+};
+
+export default mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// Outputs of the processing stages a video has finished, so a retried job resumes where the
+// previous attempt stopped. Removed once the video is processed or reprocessing starts over.
+const processingCheckpointSchema = new mongoose.Schema({
+  videoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true,
+    unique: true,
+    validate: {
+      validator: function(videoId) {
+        return mongoose.Types.ObjectId.isValid(videoId);
+      },
+      message: 'Invalid video ID format'
+    }
+  },
+  // Hash of the source, language and provider the outputs were produced with
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  // Processing runs that have worked from this checkpoint
+  runs: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Stage name -> { completedAt, output }
+  stages: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Chunk index -> transcription, saved as each chunk finishes
+  transcriptions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+export default mongoose.model('ProcessingCheckpoint', processingCheckpointSchema);
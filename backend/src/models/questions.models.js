@@ -23,10 +23,13 @@ const questionSchema = new mongoose.Schema({
       message: 'Answer cannot be empty or whitespace only'
     }
   },
+  // Questions asked across several videos leave videoId unset and list them in videoIds instead
   videoId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Video',
-    required: true,
+    required: function() {
+      return !(this.videoIds && this.videoIds.length > 0);
+    },
     index: true,
     validate: {
       validator: function(videoId) {
@@ -46,6 +49,17 @@ const questionSchema = new mongoose.Schema({
       message: 'User ID must be a valid string'
     }
   },
+  videoIds: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Video' }],
+    default: undefined
+  },
+  // Set when the question was asked as a turn of a conversation thread
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    default: null,
+    index: true
+  },
   language: {
     type: String,
     default: 'english',
@@ -83,6 +97,53 @@ const questionSchema = new mongoose.Schema({
       message: 'Relevant chunks cannot be negative'
     }
   },
+  citations: [{
+    _id: false,
+    label: {
+      type: String,
+      required: true,
+      match: [/^\d{1,2}(:\d{2}){1,2}$/, 'Citation label must be a timestamp']
+    },
+    time: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    startTime: {
+      type: Number,
+      min: 0
+    },
+    endTime: {
+      type: Number,
+      min: 0
+    },
+    chunkIndex: {
+      type: Number,
+      min: 0
+    },
+    // Multi-video answers: the cited video and its reference in the answer text (e.g. "V2")
+    videoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Video'
+    },
+    ref: {
+      type: String,
+      match: [/^V\d+$/, 'Citation reference must look like V1']
+    }
+  }],
+  // Transcript excerpts a multi-video answer was grounded on
+  sources: {
+    type: [{
+      _id: false,
+      videoId: { type: mongoose.Schema.Types.ObjectId, ref: 'Video', required: true },
+      ref: { type: String },
+      chunkIndex: { type: Number, min: 0 },
+      startTime: { type: Number, min: 0 },
+      endTime: { type: Number, min: 0 },
+      similarity: { type: Number, min: 0, max: 1 }
+    }],
+    default: undefined
+  },
   askedAt: {
     type: Date,
     default: Date.now,
@@ -129,6 +190,8 @@ questionSchema.index({ videoId: 1, askedAt: -1 });
 questionSchema.index({ userId: 1, askedAt: -1 });
 questionSchema.index({ videoId: 1, userId: 1 });
 questionSchema.index({ askedAt: -1 });
+questionSchema.index({ conversationId: 1, askedAt: -1 });
+questionSchema.index({ videoIds: 1 });
 
 // Text index for search functionality
 questionSchema.index({
@@ -161,6 +224,28 @@ questionSchema.statics.findByVideo = function(videoId, options = {}) {
     .lean();
 };
 
+// Static method to find a user's multi-video questions with pagination
+questionSchema.statics.findLibraryQuestions = function(userId, options = {}) {
+  const { page = 1, limit = 10 } = options;
+
+  return this.find({ userId, 'videoIds.0': { $exists: true } })
+    .sort({ askedAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .lean();
+};
+
+// Static method to get the latest turns of a conversation, oldest first
+questionSchema.statics.findRecentTurns = async function(conversationId, limit = 5) {
+  const turns = await this.find({ conversationId })
+    .sort({ askedAt: -1 })
+    .limit(limit)
+    .select('question answer citations askedAt')
+    .lean();
+
+  return turns.reverse();
+};
+
 // Static method to get question statistics for a video
 questionSchema.statics.getVideoStats = function(videoId) {
   return this.aggregate([
@@ -205,7 +290,8 @@ questionSchema.pre('save', function(next) {
 
 // Post-save middleware
 questionSchema.post('save', function(doc, next) {
-  console.log(`Question ${doc._id} saved for video ${doc.videoId}`);
+  const target = doc.videoId ? `video ${doc.videoId}` : `${doc.videoIds?.length || 0} videos`;
+  console.log(`Question ${doc._id} saved for ${target}`);
   next();
 });
 
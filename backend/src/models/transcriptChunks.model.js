@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+// Transcript chunks backing the local (Mongo) vector index used when ChromaDB is not configured
+const transcriptChunkSchema = new mongoose.Schema({
+  videoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true,
+    index: true,
+    validate: {
+      validator: function(videoId) {
+        return mongoose.Types.ObjectId.isValid(videoId);
+      },
+      message: 'Invalid video ID format'
+    }
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true,
+    validate: {
+      validator: function(userId) {
+        return userId && typeof userId === 'string' && userId.length >= 5;
+      },
+      message: 'User ID must be a valid string'
+    }
+  },
+  chunkIndex: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  text: {
+    type: String,
+    required: true,
+    validate: {
+      validator: function(text) {
+        return text && text.trim().length > 0;
+      },
+      message: 'Chunk text cannot be empty'
+    }
+  },
+  startTime: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  endTime: {
+    type: Number,
+    min: 0,
+    default: 0,
+    validate: {
+      validator: function(endTime) {
+        return endTime >= (this.startTime || 0);
+      },
+      message: 'End time cannot be before start time'
+    }
+  },
+  embedding: {
+    type: [Number],
+    default: undefined,
+    validate: {
+      validator: function(embedding) {
+        if (!embedding) return true;
+        return embedding.every(num => typeof num === 'number' && isFinite(num));
+      },
+      message: 'Embedding must be an array of numbers'
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (_doc, ret) => {
+      delete ret.__v;
+      delete ret.embedding;
+      return ret;
+    }
+  }
+});
+
+// One entry per chunk of a video; re-indexing a video overwrites its chunks
+transcriptChunkSchema.index({ videoId: 1, chunkIndex: 1 }, { unique: true });
+transcriptChunkSchema.index({ userId: 1, videoId: 1 });
+
+// Static method to load the searchable chunks of one video, or an array of videos, for a user
+transcriptChunkSchema.statics.findForSearch = function(videoId, userId) {
+  const query = { videoId: Array.isArray(videoId) ? { $in: videoId } : videoId };
+  if (userId) query.userId = userId;
+
+  return this.find(query)
+    .select('videoId userId chunkIndex text startTime endTime embedding')
+    .sort({ chunkIndex: 1 })
+    .lean();
+};
+
+export default mongoose.model('TranscriptChunk', transcriptChunkSchema);
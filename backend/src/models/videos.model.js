@@ -1,5 +1,37 @@
 import mongoose from 'mongoose';
-import {VIDEO_STATUS} from "../utils/constant.js"
+import {VIDEO_STATUS, PROCESSING_STAGE, MEDIA_TYPE, SUPPORTED_AUDIO_FORMATS, STORAGE_DRIVERS} from "../utils/constant.js"
+
+const transcriptWordSchema = new mongoose.Schema({
+  text: { type: String, required: true },
+  startTime: { type: Number, min: 0 },
+  endTime: { type: Number, min: 0 },
+  confidence: { type: Number, min: 0, max: 1, default: null }
+}, { _id: false });
+
+const transcriptSegmentSchema = new mongoose.Schema({
+  chunkIndex: { type: Number, min: 0 },
+  startTime: { type: Number, min: 0 },
+  endTime: { type: Number, min: 0 },
+  text: { type: String },
+  words: { type: [transcriptWordSchema], default: undefined },
+  // provider: word times measured by the transcription provider; estimated: spread over the segment
+  wordTiming: { type: String, enum: ['provider', 'estimated'] },
+  confidence: { type: Number, min: 0, max: 1, default: null },
+  provider: { type: String, default: null }
+}, { _id: false });
+
+// Poster and keyframe sprite of a video (see thumbnail.service.js); tile i of the sprite shows
+// the video at i * interval seconds
+const thumbnailsSchema = new mongoose.Schema({
+  storageDriver: { type: String, enum: STORAGE_DRIVERS },
+  posterKey: { type: String },
+  spriteKey: { type: String },
+  interval: { type: Number, min: 0 },
+  frameCount: { type: Number, min: 0 },
+  columns: { type: Number, min: 1 },
+  frameWidth: { type: Number, min: 1 },
+  frameHeight: { type: Number, min: 1 }
+}, { _id: false });
 
 const videoSchema = new mongoose.Schema({
   title: { 
@@ -31,6 +63,22 @@ const videoSchema = new mongoose.Schema({
     type: String, 
     select: false 
   },
+  // Where the uploaded file lives: a key understood by the storage driver it was stored with
+  storageKey: {
+    type: String,
+    index: true,
+    validate: {
+      validator: function(key) {
+        return !key || (!key.includes('..') && !key.startsWith('/'));
+      },
+      message: 'Storage key must be a relative path'
+    }
+  },
+  storageDriver: {
+    type: String,
+    enum: STORAGE_DRIVERS
+  },
+  // Set for videos stored on Cloudinary (the only storage before storage drivers existed)
   cloudinaryPublicId: { 
     type: String,
     index: true
@@ -44,6 +92,17 @@ const videoSchema = new mongoose.Schema({
       message: 'Cloudinary URL must be a valid HTTPS URL'
     }
   },
+  // Direct media URL of a video imported with POST /api/videos/import
+  sourceUrl: {
+    type: String,
+    maxlength: 2048,
+    validate: {
+      validator: function(url) {
+        return !url || /^https?:\/\//.test(url);
+      },
+      message: 'Source URL must be an http or https URL'
+    }
+  },
   fileSize: { 
     type: Number, 
     min: 0, 
@@ -55,13 +114,37 @@ const videoSchema = new mongoose.Schema({
       message: 'File size must be between 0 and 500MB'
     }
   },
+  // SHA-256 of the uploaded file, to recognise a user uploading the same recording again
+  contentHash: {
+    type: String,
+    match: [/^[a-f0-9]{64}$/, 'Content hash must be a SHA-256 hex digest']
+  },
+  // Earlier completed video of the same user with the same contentHash. Its results can be
+  // linked with POST /api/videos/:id/link-duplicate instead of processing this one
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    default: null
+  },
   mimeType: { 
     type: String,
     enum: [
       'video/mp4', 'video/mpeg', 'video/quicktime', 
-      'video/x-msvideo', 'video/webm', 'video/x-matroska'
+      'video/x-msvideo', 'video/webm', 'video/x-matroska',
+      ...SUPPORTED_AUDIO_FORMATS
     ]
   },
+  // Audio-only uploads have no picture to play; clients show a waveform instead
+  mediaType: {
+    type: String,
+    enum: Object.values(MEDIA_TYPE),
+    default: MEDIA_TYPE.VIDEO
+  },
+  // Extracted by the worker for videos; audio-only uploads have none
+  thumbnails: {
+    type: thumbnailsSchema,
+    default: null
+  },
   transcript: { 
     type: String,
     validate: {
@@ -72,6 +155,18 @@ const videoSchema = new mongoose.Schema({
       message: 'Transcript must be a string'
     }
   },
+  // Structured transcript (see transcriptSegments.service.js). Holds every word, so it is
+  // only loaded when selected with +transcriptSegments. Videos processed before segments had
+  // text only record the provider of each chunk.
+  transcriptSegments: {
+    type: [transcriptSegmentSchema],
+    select: false
+  },
+  // stt: transcribed from the audio; subtitles: imported from captions uploaded with the video
+  transcriptSource: {
+    type: String,
+    enum: ['stt', 'subtitles']
+  },
   summary: {
     type: String,
     validate: {
@@ -157,6 +252,24 @@ const videoSchema = new mongoose.Schema({
       message: 'Processed date must be a valid date'
     }
   },
+  // Stages finished by the current processing, in order. A run resumed from a checkpoint
+  // only adds the stages it had to do itself; reprocessing starts a new history
+  processingHistory: [{
+    _id: false,
+    stage: { type: String, enum: Object.values(PROCESSING_STAGE), required: true },
+    run: { type: Number, min: 1, default: 1 },
+    completedAt: { type: Date, default: Date.now }
+  }],
+  // Soft delete: trashed videos are hidden from every query and purged at purgeAt
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  purgeAt: {
+    type: Date,
+    default: null
+  },
   error: { 
     type: String, 
     maxlength: 500,
@@ -189,7 +302,8 @@ const videoSchema = new mongoose.Schema({
   }
 });
 
-// Virtual url mirrors cloudinaryUrl for frontend compatibility
+// Virtual url mirrors cloudinaryUrl for frontend compatibility.
+// Other drivers only have expiring links, which controllers add with StorageService.getVideoUrl
 videoSchema.virtual('url').get(function() {
   return this.cloudinaryUrl;
 });
@@ -207,6 +321,39 @@ videoSchema.methods.isProcessable = function() {
   return this.status === VIDEO_STATUS.QUEUED || this.status === VIDEO_STATUS.PROCESSING;
 };
 
+// Instance method to move a video to the trash for the given number of days
+videoSchema.methods.moveToTrash = function(retentionDays) {
+  this.deletedAt = new Date();
+  this.purgeAt = new Date(this.deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000);
+  return this.save();
+};
+
+// Instance method to take a video back out of the trash
+videoSchema.methods.restoreFromTrash = function() {
+  this.deletedAt = null;
+  this.purgeAt = null;
+  return this.save();
+};
+
+// Static method to find a user's trashed videos, soonest purge first
+videoSchema.statics.findTrashedByUser = function(userId, options = {}) {
+  const { page = 1, limit = 20 } = options;
+
+  return this.find({ userId, deletedAt: { $ne: null } })
+    .select('title description status fileSize language uploadedAt deletedAt purgeAt')
+    .sort({ purgeAt: 1 })
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .lean();
+};
+
+// Static method to find trashed videos whose retention period is over
+videoSchema.statics.findExpiredTrash = function(limit = 50) {
+  return this.find({ deletedAt: { $ne: null }, purgeAt: { $lte: new Date() } })
+    .sort({ purgeAt: 1 })
+    .limit(limit);
+};
+
 // Static method to find videos by user with pagination
 videoSchema.statics.findByUser = function(userId, options = {}) {
   const {
@@ -242,7 +389,7 @@ videoSchema.statics.findByUser = function(userId, options = {}) {
 // Static method to get video statistics for a user
 videoSchema.statics.getUserStats = function(userId) {
   return this.aggregate([
-    { $match: { userId } },
+    { $match: { userId, deletedAt: null } },
     {
       $group: {
         _id: '$status',
@@ -258,6 +405,7 @@ videoSchema.statics.getUserStats = function(userId) {
 videoSchema.index({ userId: 1, uploadedAt: -1 }); // For user's recent videos
 videoSchema.index({ userId: 1, status: 1, uploadedAt: -1 }); // For filtering by status
 videoSchema.index({ cloudinaryPublicId: 1 }); // For quick lookups by Cloudinary ID
+videoSchema.index({ userId: 1, contentHash: 1 }); // For duplicate uploads
 videoSchema.index({ 'updatedAt': 1 }); // For cleanup operations
 
 // Text index for search functionality
@@ -274,6 +422,15 @@ videoSchema.index({
   name: 'video_text_search'
 });
 
+// Trashed videos are left out of queries unless the filter mentions deletedAt
+// or the query is run with .setOptions({ withDeleted: true })
+videoSchema.pre(['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'], function() {
+  if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) {
+    return;
+  }
+  this.where({ deletedAt: null });
+});
+
 // Pre-save middleware for validation
 videoSchema.pre('save', function(next) {
   // Ensure uploadedAt is set on new documents
@@ -0,0 +1,69 @@
+import express from 'express';
+import {
+  createConversation,
+  listConversations,
+  getConversation,
+  renameConversation,
+  deleteConversation,
+  askInConversation
+} from "../controllers/conversation.controller.js";
+import auth from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+/**
+ * @route POST /api/conversations
+ * @desc Start a conversation thread about a video
+ * @access Private
+ * @param {string} videoId - Video ID
+ * @param {string} title - Conversation title (defaults to the first question)
+ * @param {string} language - Default response language
+ */
+router.post('/', auth, createConversation);
+
+/**
+ * @route GET /api/conversations
+ * @desc List the authenticated user's conversations, most recently active first
+ * @access Private
+ * @param {string} videoId - Only conversations about this video
+ * @param {number} page - Page number (default: 1)
+ * @param {number} limit - Items per page (default: 20, max: 100)
+ */
+router.get('/', auth, listConversations);
+
+/**
+ * @route GET /api/conversations/:id
+ * @desc Get a conversation with its questions in the order they were asked
+ * @access Private
+ * @param {string} id - Conversation ID
+ */
+router.get('/:id', auth, getConversation);
+
+/**
+ * @route PATCH /api/conversations/:id
+ * @desc Rename a conversation
+ * @access Private
+ * @param {string} id - Conversation ID
+ * @param {string} title - New title
+ */
+router.patch('/:id', auth, renameConversation);
+
+/**
+ * @route DELETE /api/conversations/:id
+ * @desc Delete a conversation and the questions asked in it
+ * @access Private
+ * @param {string} id - Conversation ID
+ */
+router.delete('/:id', auth, deleteConversation);
+
+/**
+ * @route POST /api/conversations/:id/ask
+ * @desc Ask a follow-up question; the last CONVERSATION_HISTORY_TURNS turns are summarized into the prompt
+ * @access Private
+ * @param {string} id - Conversation ID
+ * @param {string} question - Question text
+ * @param {string} language - Response language (defaults to the conversation's)
+ */
+router.post('/:id/ask', auth, askInConversation);
+
+export default router;
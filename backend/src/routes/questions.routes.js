@@ -1,5 +1,12 @@
 import express from 'express';
-import { askQuestion, generateVideoSummary, getVideoQuestions } from "../controllers/question.controller.js";
+import {
+  askQuestion,
+  streamQuestion,
+  askLibraryQuestion,
+  getLibraryQuestions,
+  generateVideoSummary,
+  getVideoQuestions
+} from "../controllers/question.controller.js";
 import auth from "../middleware/auth.middleware.js";
 
 const router = express.Router();
@@ -14,9 +21,42 @@ const router = express.Router();
  */
 router.post('/ask', auth, askQuestion);
 
+/**
+ * @route POST /api/questions/ask/stream
+ * @desc Ask a question and stream the answer as it is generated.
+ *       "sse" responds with text/event-stream events (start, token, complete, error);
+ *       "socket" responds 202 and emits answer-start/token/complete/error to the user:<userId> room
+ * @access Private
+ * @param {string} videoId - Video ID
+ * @param {string} question - Question text
+ * @param {string} language - Response language
+ * @param {string} transport - "sse" (default) or "socket"
+ */
+router.post('/ask/stream', auth, streamQuestion);
+
+/**
+ * @route POST /api/questions/ask/library
+ * @desc Ask one question across several videos (all completed videos when videoIds is omitted).
+ *       Citations are tagged [V<n> mm:ss] and resolved to the video and timestamp they came from
+ * @access Private
+ * @param {string} question - Question text
+ * @param {string} language - Response language
+ * @param {string[]} videoIds - Videos to ask (optional, max 50)
+ */
+router.post('/ask/library', auth, askLibraryQuestion);
+
+/**
+ * @route GET /api/questions/library
+ * @desc Get the user's multi-video question history
+ * @access Private
+ * @param {number} page - Page number (default: 1)
+ * @param {number} limit - Items per page (default: 10, max: 100)
+ */
+router.get('/library', auth, getLibraryQuestions);
+
 /**
  * @route GET /api/questions/video/:videoId
- * @desc Get question history for a specific video
+ * @desc Get question history, with timestamp citations, for a specific video
  * @access Private
  * @param {string} videoId - Video ID
  */
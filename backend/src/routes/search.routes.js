@@ -0,0 +1,17 @@
+import express from 'express';
+import { searchLibrary } from "../controllers/search.controller.js";
+import auth from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+/**
+ * @route GET /api/search
+ * @desc Search all of the user's completed videos by title, description and transcript meaning.
+ *       Each result carries transcript snippets with highlight offsets and jump-to timestamps
+ * @access Private
+ * @param {string} q - Search query
+ * @param {number} limit - Maximum number of videos (default: 10, max: 50)
+ */
+router.get('/', auth, searchLibrary);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import { serveStoredFile } from "../controllers/storage.controller.js";
+
+const router = express.Router();
+
+/**
+ * @route GET /api/storage/*
+ * @desc Stream a file kept by the local storage driver (supports Range requests)
+ * @access Public with a signed link
+ * @param {string} expires - Unix time the link expires at
+ * @param {string} signature - HMAC of the key and expiry
+ */
+router.get('/*', serveStoredFile);
+
+export default router;
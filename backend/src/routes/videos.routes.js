@@ -1,20 +1,69 @@
 import express from 'express';
-import { uploadVideo, getMyVideos, getVideo, getVideoTranscript } from "../controllers/video.controller.js";
+import { uploadVideo, importVideo, getMyVideos, getVideo, getVideoTranscript, deleteVideo, restoreVideo, getTrash, reprocessVideo, retryVideo, cancelVideo, linkDuplicate } from "../controllers/video.controller.js";
+import { createUpload, getUploadStatus, patchUpload, deleteUpload } from "../controllers/resumableUpload.controller.js";
 import auth from "../middleware/auth.middleware.js";
-import { upload } from '../middleware/upload.middleware.js';
+import { uploadVideoWithSubtitles } from '../middleware/upload.middleware.js';
 
 const router = express.Router();
 
 /**
  * @route POST /api/videos/upload
- * @desc Upload a new video for processing
+ * @desc Upload a new video for processing; with subtitles, transcription is skipped
  * @access Private
  * @param {string} title - Video title
  * @param {string} description - Video description
  * @param {file} video - Video file
+ * @param {file} subtitles - Optional SRT or WebVTT captions used as the transcript
  * @param {string} language - Processing language
  */
-router.post('/upload', auth, upload.single('video'), uploadVideo);
+router.post('/upload', auth, uploadVideoWithSubtitles, uploadVideo);
+
+/**
+ * @route POST /api/videos/import
+ * @desc Import a video or audio file from a direct media URL. Responds 202; the worker downloads
+ *       the file (public addresses only, size and redirect limits) and then processes it as usual
+ * @access Private
+ * @param {string} url - Direct http(s) URL of the media file
+ * @param {string} title - Video title (default: the file name in the URL)
+ * @param {string} description - Video description
+ * @param {string} language - Processing language
+ */
+router.post('/import', auth, importVideo);
+
+/**
+ * @route POST /api/videos/uploads
+ * @desc Create a resumable upload (tus 1.0 creation). Responds 201 with its URL in Location
+ * @access Private
+ * @header {string} Tus-Resumable - 1.0.0
+ * @header {number} Upload-Length - Total file size in bytes
+ * @header {string} Upload-Metadata - base64 filename, filetype, title, description and language
+ */
+router.post('/uploads', auth, createUpload);
+
+/**
+ * @route HEAD /api/videos/uploads/:uploadId
+ * @desc Get the offset to resume an upload from (Upload-Offset); X-Video-Id once it is complete
+ * @access Private
+ * @param {string} uploadId - Upload ID
+ */
+router.head('/uploads/:uploadId', auth, getUploadStatus);
+
+/**
+ * @route PATCH /api/videos/uploads/:uploadId
+ * @desc Append bytes at Upload-Offset; the final byte queues the video for processing
+ * @access Private
+ * @param {string} uploadId - Upload ID
+ * @header {number} Upload-Offset - Offset the body starts at
+ */
+router.patch('/uploads/:uploadId', auth, patchUpload);
+
+/**
+ * @route DELETE /api/videos/uploads/:uploadId
+ * @desc Abort a resumable upload (tus termination)
+ * @access Private
+ * @param {string} uploadId - Upload ID
+ */
+router.delete('/uploads/:uploadId', auth, deleteUpload);
 
 /**
  * @route GET /api/videos/my-videos
@@ -27,6 +76,15 @@ router.post('/upload', auth, upload.single('video'), uploadVideo);
  */
 router.get('/my-videos', auth, getMyVideos);
 
+/**
+ * @route GET /api/videos/trash
+ * @desc Get authenticated user's trashed videos with the date each will be purged
+ * @access Private
+ * @param {number} page - Page number (default: 1)
+ * @param {number} limit - Items per page (default: 20, max: 100)
+ */
+router.get('/trash', auth, getTrash);
+
 /**
  * @route GET /api/videos/:id
  * @desc Get specific video by ID
@@ -37,10 +95,67 @@ router.get('/:id', auth, getVideo);
 
 /**
  * @route GET /api/videos/:id/transcript
- * @desc Get video transcript
+ * @desc Get video transcript; format=json adds timed segments with word times,
+ *       srt, vtt and txt download it as a caption file
  * @access Private
  * @param {string} id - Video ID
+ * @param {string} format - text (default), json, srt, vtt or txt
  */
 router.get('/:id/transcript', auth, getVideoTranscript);
 
+/**
+ * @route DELETE /api/videos/:id
+ * @desc Move a video to the trash. With permanent=true, delete it now together with its
+ *       stored file, questions, conversations, vector chunks and processing job
+ * @access Private
+ * @param {string} id - Video ID
+ * @param {boolean} permanent - Skip the trash (default: false)
+ */
+router.delete('/:id', auth, deleteVideo);
+
+/**
+ * @route POST /api/videos/:id/restore
+ * @desc Restore a trashed video; unfinished videos are queued for processing again
+ * @access Private
+ * @param {string} id - Video ID
+ */
+router.post('/:id/restore', auth, restoreVideo);
+
+/**
+ * @route POST /api/videos/:id/reprocess
+ * @desc Process a failed or completed video again
+ * @access Private
+ * @param {string} id - Video ID
+ * @param {string} language - Processing language (default: the video's current language)
+ * @param {string} provider - Transcription provider to try first, e.g. local-whisper
+ * @param {boolean} reuseTranscript - Keep the stored transcript and only redo summary and embeddings
+ */
+router.post('/:id/reprocess', auth, reprocessVideo);
+
+/**
+ * @route POST /api/videos/:id/retry
+ * @desc Retry a failed or cancelled video with its original settings
+ * @access Private
+ * @param {string} id - Video ID
+ */
+router.post('/:id/retry', auth, retryVideo);
+
+/**
+ * @route POST /api/videos/:id/cancel
+ * @desc Cancel processing of a queued or processing video. Responds 202 while a running job stops
+ * @access Private
+ * @param {string} id - Video ID
+ */
+router.post('/:id/cancel', auth, cancelVideo);
+
+/**
+ * @route POST /api/videos/:id/link-duplicate
+ * @desc Use the transcript, summary and embeddings of an earlier completed upload of the same
+ *       file instead of processing this video; drops its pending processing job
+ * @access Private
+ * @param {string} id - Video ID
+ * @param {string} sourceVideoId - Earlier video to link (default: the one in duplicateOf)
+ */
+router.post('/:id/link-duplicate', auth, linkDuplicate);
+
 export default router;
\ No newline at end of file
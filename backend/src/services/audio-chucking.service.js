@@ -4,6 +4,7 @@ import fs from 'fs';
 import path from 'path';
 import { promisify } from 'util';
 import { v4 as uuidv4 } from 'uuid';
+import { MEDIA_TYPE } from '../utils/constant.js';
 
 // Enhanced FFmpeg configuration with validation
 try {
@@ -23,6 +24,15 @@ class AudioChunkingService {
     this.chunkDuration = Math.max(10, Math.min(300, Number(process.env.AUTO_CHUNK_DURATION) || 30));
     this.maxChunkSize = 25 * 1024 * 1024;
     this.maxRetries = 3;
+
+    // fixed: cut every chunkDuration seconds; silence: cut at pauses found by ffmpeg silencedetect
+    this.segmentation = (process.env.CHUNK_SEGMENTATION || 'fixed').toLowerCase() === 'silence' ? 'silence' : 'fixed';
+    this.minChunkDuration = Math.max(5, Math.min(300, Number(process.env.CHUNK_MIN_DURATION) || 15));
+    this.maxChunkDuration = Math.max(this.minChunkDuration, Math.min(300, Number(process.env.CHUNK_MAX_DURATION) || 45));
+    this.silenceThresholdDb = Number(process.env.SILENCE_THRESHOLD_DB) || -35;
+    this.minSilenceDuration = Math.max(0.1, Number(process.env.SILENCE_MIN_DURATION) || 0.3);
+    // Seconds each chunk repeats from the end of the previous one, so a word cut in half is heard whole once
+    this.overlap = Math.max(0, Math.min(5, Number(process.env.CHUNK_OVERLAP) || 0));
   }
 
   // Enhanced file validation
@@ -47,12 +57,45 @@ class AudioChunkingService {
     return stats;
   }
 
-  async extractAudio(videoPath, outputDir) {
-    return new Promise((resolve, reject) => {
-      const audioFileName = `audio_${uuidv4()}.wav`;
-      const audioPath = path.join(outputDir, audioFileName);
+  // 16 kHz mono 16-bit PCM WAV, the format extractAudio produces, read from the RIFF header
+  async isTranscriptionReadyWav(filePath) {
+    let handle;
+    try {
+      handle = await fs.promises.open(filePath, 'r');
+      const { bytesRead, buffer } = await handle.read(Buffer.alloc(36), 0, 36, 0);
+
+      return bytesRead === 36 &&
+        buffer.toString('ascii', 0, 4) === 'RIFF' &&
+        buffer.toString('ascii', 8, 16) === 'WAVEfmt ' &&
+        buffer.readUInt16LE(20) === 1 && // PCM
+        buffer.readUInt16LE(22) === 1 && // mono
+        buffer.readUInt32LE(24) === 16000 &&
+        buffer.readUInt16LE(34) === 16;
+    } catch (error) {
+      return false;
+    } finally {
+      await handle?.close();
+    }
+  }
 
-      console.log(`🎵 Extracting audio from: ${path.basename(videoPath)}`);
+  // options.mediaType 'audio' marks an audio-only upload: a WAV already in the target format is
+  // copied as is, anything else is converted without looking for a video stream
+  async extractAudio(videoPath, outputDir, options = {}) {
+    // A fixed options.fileName lets a retried job find the audio again
+    const audioFileName = options.fileName || `audio_${uuidv4()}.wav`;
+    const audioPath = path.join(outputDir, audioFileName);
+    const audioOnly = options.mediaType === MEDIA_TYPE.AUDIO;
+
+    if (audioOnly && await this.isTranscriptionReadyWav(videoPath)) {
+      await fs.promises.copyFile(videoPath, audioPath);
+      console.log(`✅ Audio upload used as is: ${path.basename(videoPath)}`);
+      return audioPath;
+    }
+
+    return new Promise((resolve, reject) => {
+      console.log(audioOnly
+        ? `🎵 Converting audio upload: ${path.basename(videoPath)}`
+        : `🎵 Extracting audio from: ${path.basename(videoPath)}`);
 
       const command = ffmpeg(videoPath)
         .output(audioPath)
@@ -64,6 +107,11 @@ class AudioChunkingService {
           '-ar 16000'
         ]);
 
+      if (audioOnly) {
+        // Cover art in MP3/M4A/FLAC tags shows up as a video stream
+        command.noVideo();
+      }
+
       command
         .on('start', (commandLine) => {
           if (process.env.NODE_ENV === 'development') {
@@ -100,6 +148,9 @@ class AudioChunkingService {
 
       // Set timeout for extraction
       command.run();
+      const untrack = options.cancellation?.track(command);
+      command.on('end', () => untrack?.());
+      command.on('error', () => untrack?.());
       
       // Timeout handling
       const timeout = setTimeout(() => {
@@ -125,8 +176,100 @@ class AudioChunkingService {
     });
   }
 
-  async splitAudioIntoChunks(audioPath, outputDir) {
+  // Pauses in the audio as [{ start, end }] in seconds, from ffmpeg's silencedetect filter.
+  // A pause still running at the end of the audio has no end and is left out.
+  async detectSilences(audioPath, options = {}) {
+    return new Promise((resolve, reject) => {
+      const silences = [];
+      let silenceStart = null;
+
+      const command = ffmpeg(audioPath)
+        .audioFilters(`silencedetect=noise=${this.silenceThresholdDb}dB:d=${this.minSilenceDuration}`)
+        .format('null')
+        .output('-')
+        .on('stderr', (line) => {
+          const started = line.match(/silence_start: (-?[\d.]+)/);
+          const ended = line.match(/silence_end: ([\d.]+)/);
+          if (started) {
+            silenceStart = Math.max(0, Number(started[1]));
+          } else if (ended && silenceStart !== null) {
+            silences.push({ start: silenceStart, end: Number(ended[1]) });
+            silenceStart = null;
+          }
+        })
+        .on('end', () => resolve(silences))
+        .on('error', (err) => reject(new Error(`Silence detection failed: ${err.message}`)));
+
+      command.run();
+      const untrack = options.cancellation?.track(command);
+      command.on('end', () => untrack?.());
+      command.on('error', () => untrack?.());
+    });
+  }
+
+  planFixedCuts(duration) {
+    const cuts = [];
+    for (let time = 0; time < duration; time += this.chunkDuration) {
+      cuts.push(time);
+    }
+    cuts.push(duration);
+    return cuts;
+  }
+
+  // Each cut goes in the middle of the longest pause between min and max chunk duration after the
+  // previous cut; without a pause in that window the audio is cut at max duration. The window ends
+  // early where needed to leave the last chunk at least min duration long.
+  planSilenceCuts(duration, silences) {
+    const cuts = [0];
+    let lastCut = 0;
+
+    while (duration - lastCut > this.maxChunkDuration) {
+      const windowStart = lastCut + this.minChunkDuration;
+      const windowEnd = Math.max(windowStart, Math.min(lastCut + this.maxChunkDuration, duration - this.minChunkDuration));
+
+      let best = null;
+      for (const silence of silences) {
+        const middle = (silence.start + silence.end) / 2;
+        const length = silence.end - silence.start;
+        if (middle >= windowStart && middle <= windowEnd && (!best || length >= best.length)) {
+          best = { middle, length };
+        }
+      }
+
+      lastCut = best ? best.middle : windowEnd;
+      cuts.push(lastCut);
+    }
+
+    cuts.push(duration);
+    return cuts;
+  }
+
+  // Time ranges of the chunks; with an overlap every chunk but the first starts that much before its cut
+  async planChunks(audioPath, duration, options = {}) {
+    let cuts = null;
+
+    if (this.segmentation === 'silence') {
+      try {
+        const silences = await this.detectSilences(audioPath, options);
+        cuts = this.planSilenceCuts(duration, silences);
+        console.log(`🔇 Found ${silences.length} pauses; cutting at ${cuts.length - 2} of them or at max duration`);
+      } catch (error) {
+        options.cancellation?.throwIfCancelled();
+        console.warn(`⚠️ ${error.message}; falling back to fixed ${this.chunkDuration}s chunks`);
+      }
+    }
+
+    cuts = cuts || this.planFixedCuts(duration);
+
+    return cuts.slice(0, -1).map((cut, i) => {
+      const startTime = i === 0 ? cut : Math.max(0, cut - this.overlap);
+      return { startTime, endTime: cuts[i + 1], overlap: cut - startTime };
+    });
+  }
+
+  async splitAudioIntoChunks(audioPath, outputDir, options = {}) {
     let duration;
+    const chunks = [];
     try {
       duration = await this.getAudioDuration(audioPath);
       
@@ -134,22 +277,23 @@ class AudioChunkingService {
         throw new Error('Audio file has zero duration');
       }
 
-      const totalChunks = Math.ceil(duration / this.chunkDuration);
-      const chunks = [];
+      const ranges = await this.planChunks(audioPath, duration, options);
 
-      console.log(`🎵 Splitting ${duration.toFixed(2)}s audio into ${totalChunks} chunks`);
+      console.log(`🎵 Splitting ${duration.toFixed(2)}s audio into ${ranges.length} ${this.segmentation} chunks`);
 
-      for (let i = 0; i < totalChunks; i++) {
-        const startTime = i * this.chunkDuration;
-        const chunkDuration = Math.min(this.chunkDuration, duration - startTime);
+      for (const [i, { startTime, endTime, overlap }] of ranges.entries()) {
+        const chunkDuration = endTime - startTime;
         
         if (chunkDuration <= 0) continue;
+        options.cancellation?.throwIfCancelled();
 
-        const chunkFileName = `chunk_${i}_${uuidv4()}.wav`;
+        const chunkFileName = options.filePrefix
+          ? `${options.filePrefix}_chunk_${i}.wav`
+          : `chunk_${i}_${uuidv4()}.wav`;
         const chunkPath = path.join(outputDir, chunkFileName);
 
         await new Promise((resolve, reject) => {
-          ffmpeg(audioPath)
+          const command = ffmpeg(audioPath)
             .output(chunkPath)
             .setStartTime(startTime)
             .setDuration(chunkDuration)
@@ -164,8 +308,9 @@ class AudioChunkingService {
                     path: chunkPath,
                     index: i,
                     startTime: startTime,
-                    endTime: startTime + chunkDuration,
+                    endTime: endTime,
                     duration: chunkDuration,
+                    overlap,
                     size: stats.size
                   });
                   console.log(`✅ Chunk ${i} created: ${(stats.size / 1024 / 1024).toFixed(2)}MB`);
@@ -177,8 +322,12 @@ class AudioChunkingService {
                 reject(error);
               }
             })
-            .on('error', reject)
-            .run();
+            .on('error', reject);
+
+          command.run();
+          const untrack = options.cancellation?.track(command);
+          command.on('end', () => untrack?.());
+          command.on('error', () => untrack?.());
         });
 
         await sleep(100); // Small delay to prevent system overload
@@ -187,38 +336,46 @@ class AudioChunkingService {
       return chunks;
     } catch (error) {
       console.error('❌ Audio chunking failed:', error);
+      // Chunks written before the failure or cancellation are not returned to anyone
+      await this.cleanupFiles(chunks.map(c => c.path));
       throw error;
     }
   }
 
-  async processVideoForChunking(videoPath) {
+  // Validate the video and extract its audio next to it, retrying failed extractions
+  async extractAudioWithRetry(videoPath, options = {}) {
+    await this.validateVideoFile(videoPath);
+
+    const label = options.mediaType === MEDIA_TYPE.AUDIO ? 'audio' : 'video';
+    console.log(`📹 Processing ${label}: ${path.basename(videoPath)}`);
+    const stats = await statAsync(videoPath);
+    console.log(`📊 File size: ${(stats.size / (1024 * 1024)).toFixed(2)}MB`);
+
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      try {
+        return await this.extractAudio(videoPath, path.dirname(videoPath), options);
+      } catch (error) {
+        // A killed ffmpeg is not worth retrying
+        options.cancellation?.throwIfCancelled();
+        if (attempt === this.maxRetries) {
+          throw error;
+        }
+        console.log(`🔄 Retry ${attempt} for audio extraction...`);
+        await sleep(2000 * attempt);
+      }
+    }
+  }
+
+  // options.cancellation (see cancellation.service.js) stops extraction and splitting early
+  async processVideoForChunking(videoPath, options = {}) {
     let audioPath = null;
     let chunks = [];
 
     try {
-      // Enhanced validation
-      await this.validateVideoFile(videoPath);
-
-      console.log(`📹 Processing video: ${path.basename(videoPath)}`);
-      const stats = await statAsync(videoPath);
-      console.log(`📊 Video size: ${(stats.size / (1024 * 1024)).toFixed(2)}MB`);
-
-      // Extract audio with retry logic
-      for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-        try {
-          audioPath = await this.extractAudio(videoPath, path.dirname(videoPath));
-          break;
-        } catch (error) {
-          if (attempt === this.maxRetries) {
-            throw error;
-          }
-          console.log(`🔄 Retry ${attempt} for audio extraction...`);
-          await sleep(2000 * attempt);
-        }
-      }
+      audioPath = await this.extractAudioWithRetry(videoPath, options);
 
       // Split audio into chunks
-      chunks = await this.splitAudioIntoChunks(audioPath, path.dirname(videoPath));
+      chunks = await this.splitAudioIntoChunks(audioPath, path.dirname(videoPath), options);
       
       const totalDuration = await this.getAudioDuration(audioPath);
       
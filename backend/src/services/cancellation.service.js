@@ -0,0 +1,115 @@
+import redisClient from '../config/redis.js';
+
+// Failure reason of jobs stopped on request, so queue listeners can tell them from real failures
+export const CANCELLED_REASON = 'Processing cancelled by user';
+
+class CancelledError extends Error {
+  constructor(videoId) {
+    super(`${CANCELLED_REASON}: ${videoId}`);
+    this.name = 'CancelledError';
+    this.videoId = videoId;
+  }
+}
+
+// Cancellation state of one running job. Long steps call checkpoint() between units of work;
+// ffmpeg commands registered with track() are killed as soon as cancellation is seen.
+class ProcessingCancellation {
+  constructor(videoId, service) {
+    this.videoId = videoId;
+    this.service = service;
+    this.cancelled = false;
+    this.commands = new Set();
+    this.timer = null;
+  }
+
+  cancel() {
+    if (this.cancelled) return;
+    this.cancelled = true;
+    console.log(`🛑 Cancelling processing of video ${this.videoId}`);
+
+    for (const command of this.commands) {
+      try {
+        command.kill('SIGKILL');
+      } catch (error) {
+        console.warn('⚠️ Failed to kill ffmpeg command:', error.message);
+      }
+    }
+    this.commands.clear();
+  }
+
+  throwIfCancelled() {
+    if (this.cancelled) {
+      throw new CancelledError(this.videoId);
+    }
+  }
+
+  // Ask Redis directly instead of waiting for the next poll
+  async checkpoint() {
+    if (!this.cancelled && await this.service.isRequested(this.videoId)) {
+      this.cancel();
+    }
+    this.throwIfCancelled();
+  }
+
+  // Register a running ffmpeg command; returns a function to call once it has finished
+  track(command) {
+    if (this.cancelled) {
+      command.kill('SIGKILL');
+    } else {
+      this.commands.add(command);
+    }
+    return () => this.commands.delete(command);
+  }
+
+  dispose() {
+    clearInterval(this.timer);
+    this.commands.clear();
+  }
+}
+
+// Cancellation requests are Redis flags, so the API can reach jobs running in a separate worker process
+class CancellationService {
+  constructor() {
+    this.pollMs = 2000;
+    // Flags outlive any job that could still pick them up, then expire on their own
+    this.ttlSeconds = 24 * 60 * 60;
+  }
+
+  keyFor(videoId) {
+    return `video:cancel:${videoId}`;
+  }
+
+  async requestCancel(videoId) {
+    await redisClient.set(this.keyFor(videoId), Date.now().toString(), 'EX', this.ttlSeconds);
+  }
+
+  async isRequested(videoId) {
+    try {
+      return (await redisClient.exists(this.keyFor(videoId))) === 1;
+    } catch (error) {
+      console.warn(`⚠️ Could not read cancellation flag for video ${videoId}:`, error.message);
+      return false;
+    }
+  }
+
+  async clear(videoId) {
+    await redisClient.del(this.keyFor(videoId));
+  }
+
+  // Worker side: a cancellation handle whose flag is refreshed from Redis while the job runs
+  watch(videoId) {
+    const cancellation = new ProcessingCancellation(videoId, this);
+
+    cancellation.timer = setInterval(async () => {
+      if (!cancellation.cancelled && await this.isRequested(videoId)) {
+        cancellation.cancel();
+      }
+    }, this.pollMs);
+    cancellation.timer.unref();
+
+    return cancellation;
+  }
+}
+
+export { CancelledError };
+export default new CancellationService();
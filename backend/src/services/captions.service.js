@@ -0,0 +1,129 @@
+const readNumber = (name, fallback, min) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : Math.max(min, value);
+};
+
+// Caption files built from the structured transcript (TranscriptSegmentService.forVideo).
+// Each segment is split into cues of at most maxLines lines of maxLineLength characters that
+// stay on screen for at most maxDuration seconds; cues never run across two segments.
+class CaptionService {
+  constructor() {
+    this.maxLineLength = readNumber('CAPTION_MAX_LINE_LENGTH', 42, 10);
+    this.maxLines = Math.floor(readNumber('CAPTION_MAX_LINES', 2, 1));
+    this.maxDuration = readNumber('CAPTION_MAX_DURATION', 6, 1);
+
+    this.formats = {
+      srt: { extension: 'srt', contentType: 'application/x-subrip', render: segments => this.toSrt(this.buildCues(segments)) },
+      vtt: { extension: 'vtt', contentType: 'text/vtt', render: segments => this.toVtt(this.buildCues(segments)) },
+      txt: { extension: 'txt', contentType: 'text/plain', render: segments => this.toText(segments) }
+    };
+  }
+
+  // Greedy wrap; a word longer than a line gets a line of its own
+  wrap(words) {
+    const lines = [];
+    for (const word of words) {
+      const last = lines[lines.length - 1];
+      if (last !== undefined && last.length + 1 + word.length <= this.maxLineLength) {
+        lines[lines.length - 1] = `${last} ${word}`;
+      } else {
+        lines.push(word);
+      }
+    }
+    return lines;
+  }
+
+  buildCues(segments) {
+    const cues = [];
+
+    const pushCue = words => {
+      if (words.length === 0) return;
+      const previousEnd = cues.length > 0 ? cues[cues.length - 1].endTime : 0;
+      const startTime = Math.max(words[0].startTime, previousEnd);
+
+      cues.push({
+        startTime,
+        // A single slow word still leaves the screen in time
+        endTime: Math.min(Math.max(startTime, words[words.length - 1].endTime), startTime + this.maxDuration),
+        lines: this.wrap(words.map(word => word.text))
+      });
+    };
+
+    for (const segment of segments) {
+      let current = [];
+
+      for (const word of segment.words || []) {
+        if (!word.text) continue;
+
+        const candidate = [...current, word];
+        const tooLong = this.wrap(candidate.map(w => w.text)).length > this.maxLines;
+        const tooSlow = word.endTime - candidate[0].startTime > this.maxDuration;
+
+        if (current.length > 0 && (tooLong || tooSlow)) {
+          pushCue(current);
+          current = [word];
+        } else {
+          current = candidate;
+        }
+      }
+
+      pushCue(current);
+    }
+
+    return cues;
+  }
+
+  // 3725.5 -> "01:02:05,500" (SRT) / "01:02:05.500" (WebVTT)
+  formatTimestamp(seconds, separator) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    const pad = (value, size = 2) => String(value).padStart(size, '0');
+
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+  }
+
+  toSrt(cues) {
+    return cues.map((cue, i) => [
+      i + 1,
+      `${this.formatTimestamp(cue.startTime, ',')} --> ${this.formatTimestamp(cue.endTime, ',')}`,
+      ...cue.lines
+    ].join('\n')).join('\n\n') + '\n';
+  }
+
+  // WebVTT reads "<" as the start of a tag and "&" as the start of an entity; escaping ">" also
+  // keeps "-->" out of cue text
+  escapeVttText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  toVtt(cues) {
+    const body = cues.map(cue => [
+      `${this.formatTimestamp(cue.startTime, '.')} --> ${this.formatTimestamp(cue.endTime, '.')}`,
+      ...cue.lines.map(line => this.escapeVttText(line))
+    ].join('\n')).join('\n\n');
+
+    return `WEBVTT\n\n${body}\n`;
+  }
+
+  // Plain text without timings, one segment per line
+  toText(segments) {
+    return segments.map(segment => segment.text).join('\n') + '\n';
+  }
+
+  // Rendered file for a caption format: { content, contentType, fileName }
+  render(format, segments, title = 'transcript') {
+    const { extension, contentType, render } = this.formats[format];
+    const baseName = title.replace(/[^\w\s.-]+/g, '').trim().replace(/\s+/g, '_').slice(0, 100) || 'transcript';
+
+    return {
+      content: render(segments),
+      contentType: `${contentType}; charset=utf-8`,
+      fileName: `${baseName}.${extension}`
+    };
+  }
+}
+
+export default new CaptionService();
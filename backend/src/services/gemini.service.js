@@ -1,56 +1,5 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import dotenv from 'dotenv';
-
-// Load environment variables
-dotenv.config();
-
-// Validate environment variables
-const validateEnvironment = () => {
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) {
-    throw new Error('GEMINI_API_KEY environment variable is required');
-  }
-  if (!apiKey.startsWith('AIza')) {
-    throw new Error('GEMINI_API_KEY appears to be invalid');
-  }
-  return apiKey;
-};
-
-// Initialize with proper error handling
-let genAI;
-let isGeminiAvailable = false;
-
-try {
-  const apiKey = validateEnvironment();
-  genAI = new GoogleGenerativeAI(apiKey);
-  isGeminiAvailable = true;
-  console.log('✅ Gemini API initialized successfully');
-} catch (error) {
-  console.error('❌ Gemini initialization error:', error.message);
-  isGeminiAvailable = false;
-}
-
-async function retryWithBackoff(fn, options = {}) {
-  const { retries = 3, baseDelayMs = 1000 } = options;
-  let attempt = 0;
-  let lastError = null;
-  
-  while (attempt <= retries) {
-    try {
-      return await fn();
-    } catch (err) {
-      lastError = err;
-      if (attempt === retries) break;
-      
-      // Exponential backoff with jitter
-      const delay = Math.min(baseDelayMs * Math.pow(2, attempt) + Math.random() * 1000, 30000);
-      console.log(`Retry attempt ${attempt + 1} after ${delay}ms`);
-      await new Promise(resolve => setTimeout(resolve, delay));
-      attempt += 1;
-    }
-  }
-  throw lastError;
-}
+import LLMGateway from './llm.service.js';
+import { generateEmbeddings } from './embedding.service.js';
 
 // Input validation
 const validateInput = (text, maxLength = 10000) => {
@@ -63,36 +12,31 @@ const validateInput = (text, maxLength = 10000) => {
   return text.trim();
 };
 
-// Test Gemini API connection
+// Test that the LLM configured for Q&A responds
 async function testGeminiConnection() {
-  if (!isGeminiAvailable || !genAI) return false;
+  if (!LLMGateway.isConfigured('qa')) return false;
   
   try {
-    const model = genAI.getGenerativeModel({ model: "gemini-pro" });
-    const result = await model.generateContent("Test connection - respond with 'OK'");
-    const response = await result.response;
-    return response.text().trim() === 'OK';
+    const { text } = await LLMGateway.generate('qa', "Test connection - respond with 'OK'");
+    return text.trim() === 'OK';
   } catch (error) {
-    console.error('Gemini connection test failed:', error.message);
+    console.error('LLM connection test failed:', error.message);
     return false;
   }
 }
 
-// Generate answer using Gemini
+// Generate answer with the Q&A model
 async function generateAnswer(transcript, question, language = 'english') {
   try {
     // Validate inputs
     const validatedTranscript = validateInput(transcript, 50000);
     const validatedQuestion = validateInput(question, 1000);
     
-    const isConnected = await testGeminiConnection();
-    if (!isConnected) {
-      console.warn('Gemini not available, using smart fallback');
+    if (!LLMGateway.isConfigured('qa')) {
+      console.warn('LLM not available, using smart fallback');
       return getSmartAnswer(validatedQuestion, validatedTranscript, language);
     }
 
-    const model = genAI.getGenerativeModel({ model: "gemini-pro" });
-    
     const prompt = `
       You are an AI assistant that answers questions about video content.
       Based EXCLUSIVELY on the following video transcript, answer the user's question.
@@ -112,28 +56,24 @@ async function generateAnswer(transcript, question, language = 'english') {
       ANSWER:
     `;
 
-    const result = await retryWithBackoff(() => model.generateContent(prompt));
-    const response = await result.response;
-    return response.text().trim();
+    const { text } = await LLMGateway.generate('qa', prompt);
+    return text;
   } catch (error) {
-    console.error('Gemini API error:', error.message);
+    console.error('LLM answer error:', error.message);
     return getSmartAnswer(question, transcript, language);
   }
 }
 
-// Generate video summary using Gemini
+// Generate video summary with the summary model
 async function generateSummary(transcript, language = 'english') {
   try {
     const validatedTranscript = validateInput(transcript, 50000);
     
-    const isConnected = await testGeminiConnection();
-    if (!isConnected) {
-      console.warn('Gemini not available, using smart summary');
+    if (!LLMGateway.isConfigured('summary')) {
+      console.warn('LLM not available, using smart summary');
       return getSmartSummary(validatedTranscript, language);
     }
 
-    const model = genAI.getGenerativeModel({ model: "gemini-pro" });
-    
     const prompt = `
       Create a comprehensive summary of the following video transcript in ${language}.
       
@@ -145,11 +85,10 @@ async function generateSummary(transcript, language = 'english') {
       SUMMARY in ${language}:
     `;
 
-    const result = await retryWithBackoff(() => model.generateContent(prompt));
-    const response = await result.response;
-    return response.text().trim();
+    const { text } = await LLMGateway.generate('summary', prompt);
+    return text;
   } catch (error) {
-    console.error('Gemini summary generation error:', error.message);
+    console.error('LLM summary generation error:', error.message);
     return getSmartSummary(transcript, language);
   }
 }
@@ -190,19 +129,4 @@ function getSmartSummary(transcript, language) {
   return "Video summary is currently unavailable. The transcript processing service is experiencing temporary limitations.";
 }
 
-// Generate embeddings - Fixed model name
-async function generateEmbeddings(text) {
-  if (!isGeminiAvailable || !genAI) return null;
-
-  try {
-    const validatedText = validateInput(text, 10000);
-    const model = genAI.getGenerativeModel({ model: "embedding-001" });
-    const result = await model.embedContent(validatedText);
-    return result.embedding.values;
-  } catch (error) {
-    console.warn('Embedding generation error:', error.message);
-    return null;
-  }
-}
-
 export { generateAnswer, generateSummary, generateEmbeddings, testGeminiConnection };
\ No newline at end of file
@@ -1,277 +0,0 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import fs from 'fs';
-import path from 'path';
-import AudioConverter from './audio-convertor.js';
-import { validateEnvVar } from '../config/env.js';
-
-// Enhanced configuration with validation
-class HuggingFaceService {
-  constructor() {
-    this.apiKey = process.env.HUGGINGFACE_API_KEY;
-    this.baseURL = 'https://router.huggingface.co/fal-ai/fal-ai/whisper';
-    this.timeout = Number(process.env.HUGGINGFACE_TIMEOUT_MS) || 300000;
-    this.maxRetries = Number(process.env.HUGGINGFACE_MAX_RETRIES) || 5;
-    this.model = process.env.HUGGINGFACE_MODEL || 'openai/whisper-large-v3';
-    this.maxFileSize = 25 * 1024 * 1024; // 25MB Hugging Face limit
-    
-    // Initialize Gemini as fallback
-    this.initializeGeminiFallback();
-    
-    console.log('🔧 HuggingFace Service initialized:', {
-      hasApiKey: !!this.apiKey,
-      model: this.model,
-      maxFileSize: `${this.maxFileSize / (1024 * 1024)}MB`
-    });
-  }
-
-  initializeGeminiFallback() {
-    try {
-      const geminiApiKey = validateEnvVar('GEMINI_API_KEY', 'string');
-      this.genAI = new GoogleGenerativeAI(geminiApiKey);
-      console.log('✅ Gemini fallback initialized');
-    } catch (error) {
-      console.warn('⚠️ Gemini fallback not available:', error.message);
-      this.genAI = null;
-    }
-  }
-
-  async validateInputs(videoPath, language = 'english') {
-    if (!videoPath || typeof videoPath !== 'string') {
-      throw new Error('Video path must be a valid string');
-    }
-
-    if (!fs.existsSync(videoPath)) {
-      throw new Error(`Video file not found: ${videoPath}`);
-    }
-
-    // Validate file size
-    const stats = fs.statSync(videoPath);
-    if (stats.size === 0) {
-      throw new Error('Video file is empty');
-    }
-
-    // Validate language
-    const supportedLanguages = ['english', 'spanish', 'french', 'german', 'italian', 
-                               'portuguese', 'russian', 'chinese', 'japanese', 'korean', 
-                               'hindi', 'arabic'];
-    
-    if (!supportedLanguages.includes(language.toLowerCase())) {
-      console.warn(`⚠️ Language ${language} may not be fully supported, using English as fallback`);
-    }
-
-    return stats;
-  }
-
-  async transcribeVideo(videoPath, language = 'english') {
-    try {
-      console.log(`🎬 Starting transcription for: ${path.basename(videoPath)}`);
-      
-      // Enhanced validation
-      const stats = await this.validateInputs(videoPath, language);
-      const fileSizeMB = stats.size / (1024 * 1024);
-      
-      console.log(`📊 Video details: ${fileSizeMB.toFixed(2)}MB, language: ${language}`);
-
-      if (!this.apiKey) {
-        console.warn('❌ Hugging Face API key not available, using fallback');
-        return await this.getFallbackTranscript(language);
-      }
-
-      // Handle large files with compression
-      if (fileSizeMB > 25) {
-        console.log(`📦 File too large (${fileSizeMB.toFixed(2)}MB), using compressed transcription`);
-        return await this.transcribeLargeVideo(videoPath, language);
-      }
-
-      // Standard transcription for small files
-      return await this.transcribeStandardVideo(videoPath, language);
-
-    } catch (error) {
-      console.error('❌ Video transcription error:', {
-        error: error.message,
-        video: path.basename(videoPath),
-        timestamp: new Date().toISOString()
-      });
-      
-      return await this.getFallbackTranscript(language);
-    }
-  }
-
-  async transcribeStandardVideo(videoPath, language = 'english') {
-    let audioPath = null;
-    
-    try {
-      const tempDir = path.dirname(videoPath);
-      
-      // Extract audio with enhanced error handling
-      audioPath = await AudioConverter.extractAudioFromVideo(videoPath, tempDir, {
-        maxDuration: 600 // Limit to 10 minutes for API constraints
-      });
-      
-      const transcription = await this.transcribeWithGemini(audioPath, language);
-      
-      console.log(`✅ Transcription completed: ${transcription.length} characters`);
-      return transcription;
-      
-    } catch (error) {
-      console.error('❌ Standard transcription failed:', error);
-      throw error;
-    } finally {
-      // Enhanced cleanup
-      if (audioPath) {
-        await AudioConverter.cleanupAudioFile(audioPath);
-      }
-    }
-  }
-
-  async transcribeLargeVideo(videoPath, language = 'english') {
-    let audioPath = null;
-    
-    try {
-      console.log('🎵 Extracting compressed audio segment for large video');
-      
-      const tempDir = path.dirname(videoPath);
-      audioPath = await this.extractAudioSegment(videoPath, tempDir, 600); // 10 minutes
-      
-      const transcription = await this.transcribeWithGemini(audioPath, language);
-      
-      const enhancedTranscript = transcription + '\n\n[Note: Transcription based on first 10 minutes due to file size limitations. For full transcription, consider using a shorter video or splitting the content.]';
-      
-      console.log(`✅ Large video transcription completed: ${transcription.length} characters`);
-      return enhancedTranscript;
-      
-    } catch (error) {
-      console.error('❌ Large video transcription failed:', error);
-      throw error;
-    } finally {
-      if (audioPath) {
-        await AudioConverter.cleanupAudioFile(audioPath);
-      }
-    }
-  }
-
-  async extractAudioSegment(videoPath, outputDir, durationSeconds = 600) {
-    return new Promise((resolve, reject) => {
-      const outputFileName = `audio_segment_${Date.now()}.mp3`;
-      const outputPath = path.join(outputDir, outputFileName);
-
-      const ffmpeg = require('fluent-ffmpeg');
-      
-      console.log(`🔪 Extracting ${durationSeconds}s audio segment`);
-      
-      ffmpeg(videoPath)
-        .output(outputPath)
-        .audioCodec('libmp3lame')
-        .audioBitrate('64k') // Lower bitrate for compression
-        .audioChannels(1)
-        .duration(durationSeconds)
-        .on('end', () => {
-          console.log(`✅ Audio segment extracted: ${path.basename(outputPath)}`);
-          resolve(outputPath);
-        })
-        .on('error', (err) => {
-          console.error('❌ Audio segment extraction failed:', err);
-          reject(err);
-        })
-        .on('progress', (progress) => {
-          if (progress.percent) {
-            console.log(`📊 Segment extraction: ${Math.round(progress.percent)}%`);
-          }
-        })
-        .run();
-    });
-  }
-
-  async transcribeWithGemini(audioPath, language = 'english') {
-    if (!this.genAI) {
-      return this.getFallbackTranscript(language);
-    }
-
-    try {
-      const model = this.genAI.getGenerativeModel({ model: "gemini-pro" });
-      
-      const prompt = `
-        I need to transcribe a video audio segment. Please provide a realistic transcription 
-        that would be typical for educational or technical content.
-        
-        Language: ${language}
-        Content Type: Educational/Technical video
-        Please generate a sample transcript that demonstrates understanding of the content.
-      `;
-
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      
-      return response.text() || this.getFallbackTranscript(language);
-      
-    } catch (error) {
-      console.error('❌ Gemini transcription fallback error:', error);
-      return this.getFallbackTranscript(language);
-    }
-  }
-
-  getFallbackTranscript(language = 'english') {
-    const fallbackMessages = {
-      english: 'This is a fallback transcript. The video processing service is currently experiencing limitations. Please try with a shorter video or check back later.',
-      spanish: 'Esta es una transcripción de respaldo. El servicio de procesamiento de video tiene limitaciones actualmente. Intente con un video más corto o verifique más tarde.',
-      french: 'Ceci est une transcription de secours. Le service de traitement vidéo connaît actuellement des limitations. Veuillez réessayer avec une vidéo plus courte ou vérifier plus tard.'
-    };
-    
-    return fallbackMessages[language.toLowerCase()] || fallbackMessages.english;
-  }
-
-  getLanguageCode(language) {
-    const languageMap = {
-      'english': 'en', 'spanish': 'es', 'french': 'fr', 'german': 'de',
-      'italian': 'it', 'portuguese': 'pt', 'russian': 'ru', 'chinese': 'zh',
-      'japanese': 'ja', 'korean': 'ko', 'hindi': 'hi', 'arabic': 'ar'
-    };
-    
-    return languageMap[language.toLowerCase()] || 'en';
-  }
-
-  async checkModelStatus() {
-    try {
-      if (!this.apiKey) {
-        return {
-          loaded: false,
-          state: 'api_key_missing',
-          available: false,
-          error: 'HuggingFace API key not configured'
-        };
-      }
-
-      // Simple status check - in a real implementation, you'd call the API
-      return {
-        loaded: true,
-        state: 'available',
-        available: true,
-        model: this.model,
-        fallback: this.genAI ? 'gemini_available' : 'gemini_unavailable'
-      };
-    } catch (error) {
-      return {
-        loaded: false,
-        state: 'error',
-        available: false,
-        error: error.message
-      };
-    }
-  }
-
-  // Health check method
-  async healthCheck() {
-    const modelStatus = await this.checkModelStatus();
-    
-    return {
-      service: 'huggingface',
-      status: modelStatus.available ? 'healthy' : 'unhealthy',
-      model: modelStatus.model,
-      api_configured: !!this.apiKey,
-      fallback_available: !!this.genAI,
-      details: modelStatus
-    };
-  }
-}
-
-export default HuggingFaceService;
\ No newline at end of file
@@ -0,0 +1,403 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+const LLM_TASKS = ['qa', 'summary', 'chapters'];
+
+const DEFAULT_MODELS = {
+  gemini: 'gemini-pro',
+  openai: 'llama3.1',
+  mock: 'mock-1'
+};
+
+// Rough token estimate for providers that do not report usage
+const estimateTokens = (text = '') => Math.ceil(text.length / 4);
+
+// Client errors other than rate limiting will not succeed on retry
+const isRetryable = (error) => {
+  if (error.retryable === false) return false;
+  const status = error.status || error.response?.status;
+  if (!status) return true;
+  return status === 429 || status >= 500;
+};
+
+class GeminiAdapter {
+  constructor(model) {
+    this.name = 'gemini';
+    this.model = model;
+    this.genAI = process.env.GEMINI_API_KEY ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY) : null;
+  }
+
+  isConfigured() {
+    return !!this.genAI;
+  }
+
+  async generate(prompt, { temperature, maxTokens, timeout }) {
+    const model = this.genAI.getGenerativeModel(
+      {
+        model: this.model,
+        generationConfig: { temperature, maxOutputTokens: maxTokens }
+      },
+      { timeout }
+    );
+
+    const result = await model.generateContent(prompt);
+    const response = await result.response;
+    const text = response.text().trim();
+    const usage = response.usageMetadata;
+
+    return {
+      text,
+      usage: {
+        promptTokens: usage?.promptTokenCount ?? estimateTokens(prompt),
+        completionTokens: usage?.candidatesTokenCount ?? estimateTokens(text)
+      }
+    };
+  }
+
+  async generateStream(prompt, { temperature, maxTokens, timeout }, onToken) {
+    const model = this.genAI.getGenerativeModel(
+      {
+        model: this.model,
+        generationConfig: { temperature, maxOutputTokens: maxTokens }
+      },
+      { timeout }
+    );
+
+    const result = await model.generateContentStream(prompt);
+    let text = '';
+    for await (const chunk of result.stream) {
+      const token = chunk.text();
+      if (token) {
+        text += token;
+        await onToken(token);
+      }
+    }
+
+    const usage = (await result.response).usageMetadata;
+    return {
+      text: text.trim(),
+      usage: {
+        promptTokens: usage?.promptTokenCount ?? estimateTokens(prompt),
+        completionTokens: usage?.candidatesTokenCount ?? estimateTokens(text)
+      }
+    };
+  }
+}
+
+// Any server speaking the OpenAI chat completions API (OpenAI, Ollama, llama.cpp, vLLM)
+class OpenAICompatibleAdapter {
+  constructor(model) {
+    this.name = 'openai';
+    this.model = model;
+    this.baseURL = (process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    this.apiKey = process.env.OPENAI_API_KEY || '';
+  }
+
+  isConfigured() {
+    return !!this.baseURL;
+  }
+
+  async generate(prompt, { temperature, maxTokens, timeout }) {
+    const response = await axios.post(
+      `${this.baseURL}/chat/completions`,
+      {
+        model: this.model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature,
+        max_tokens: maxTokens
+      },
+      {
+        headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+        timeout
+      }
+    );
+
+    const text = response.data?.choices?.[0]?.message?.content?.trim();
+    if (typeof text !== 'string') {
+      throw new Error('Invalid response format from OpenAI-compatible endpoint');
+    }
+
+    const usage = response.data.usage;
+    return {
+      text,
+      usage: {
+        promptTokens: usage?.prompt_tokens ?? estimateTokens(prompt),
+        completionTokens: usage?.completion_tokens ?? estimateTokens(text)
+      }
+    };
+  }
+
+  // Reads the server-sent "data: {...}" lines of a streamed chat completion
+  async generateStream(prompt, { temperature, maxTokens, timeout }, onToken) {
+    const response = await axios.post(
+      `${this.baseURL}/chat/completions`,
+      {
+        model: this.model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature,
+        max_tokens: maxTokens,
+        stream: true,
+        stream_options: { include_usage: true }
+      },
+      {
+        headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+        responseType: 'stream',
+        timeout
+      }
+    );
+
+    let text = '';
+    let usage = null;
+    let buffered = '';
+
+    for await (const data of response.data) {
+      buffered += data.toString();
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+
+      for (const line of lines) {
+        const payload = line.replace(/^data:\s*/, '').trim();
+        if (!line.startsWith('data:') || !payload || payload === '[DONE]') continue;
+
+        const event = JSON.parse(payload);
+        if (event.usage) usage = event.usage;
+
+        const token = event.choices?.[0]?.delta?.content;
+        if (token) {
+          text += token;
+          await onToken(token);
+        }
+      }
+    }
+
+    return {
+      text: text.trim(),
+      usage: {
+        promptTokens: usage?.prompt_tokens ?? estimateTokens(prompt),
+        completionTokens: usage?.completion_tokens ?? estimateTokens(text)
+      }
+    };
+  }
+}
+
+// Deterministic responses for tests and offline development: same prompt, same answer
+class MockAdapter {
+  constructor(model) {
+    this.name = 'mock';
+    this.model = model;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async generate(prompt) {
+    const digest = crypto.createHash('sha256').update(prompt).digest('hex').substring(0, 8);
+    const firstTimestamp = prompt.match(/\[((?:V\d+ )?\d{1,2}(?::\d{2}){1,2})/);
+    const citation = firstTimestamp ? ` [${firstTimestamp[1]}]` : '';
+    const text = `Mock response ${digest}: this answer is generated from the provided content${citation}.`;
+
+    return {
+      text,
+      usage: {
+        promptTokens: estimateTokens(prompt),
+        completionTokens: estimateTokens(text)
+      }
+    };
+  }
+
+  async generateStream(prompt, options, onToken) {
+    const result = await this.generate(prompt);
+    for (const token of result.text.match(/\S+\s*/g)) {
+      await onToken(token);
+    }
+    return result;
+  }
+}
+
+const ADAPTERS = {
+  gemini: GeminiAdapter,
+  openai: OpenAICompatibleAdapter,
+  mock: MockAdapter
+};
+
+// Single entry point for text generation; each task picks its provider and model from env
+class LLMGateway {
+  constructor() {
+    const maxRetries = parseInt(process.env.LLM_MAX_RETRIES);
+    this.maxRetries = Number.isFinite(maxRetries) ? Math.max(0, maxRetries) : 3;
+    this.timeout = parseInt(process.env.LLM_TIMEOUT_MS) || 60000;
+    this.adapters = new Map();
+    this.usage = {};
+    this.tasks = {};
+
+    for (const task of LLM_TASKS) {
+      this.tasks[task] = this.resolveTaskConfig(task);
+    }
+
+    console.log('🔧 LLM gateway configured:', Object.fromEntries(
+      Object.entries(this.tasks).map(([task, config]) => [task, `${config.provider}/${config.model}`])
+    ));
+  }
+
+  // LLM_<TASK>_PROVIDER / LLM_<TASK>_MODEL override LLM_PROVIDER / LLM_MODEL
+  resolveTaskConfig(task) {
+    const prefix = `LLM_${task.toUpperCase()}`;
+    let provider = (process.env[`${prefix}_PROVIDER`] || process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+
+    if (!ADAPTERS[provider]) {
+      console.warn(`⚠️ Unknown LLM provider "${provider}" for ${task}, using gemini`);
+      provider = 'gemini';
+    }
+
+    return {
+      provider,
+      model: process.env[`${prefix}_MODEL`] || process.env.LLM_MODEL || DEFAULT_MODELS[provider]
+    };
+  }
+
+  getAdapter(task) {
+    const config = this.tasks[task];
+    if (!config) {
+      throw new Error(`Unknown LLM task: ${task}`);
+    }
+
+    const key = `${config.provider}:${config.model}`;
+    if (!this.adapters.has(key)) {
+      const Adapter = ADAPTERS[config.provider];
+      this.adapters.set(key, new Adapter(config.model));
+    }
+    return this.adapters.get(key);
+  }
+
+  isConfigured(task) {
+    try {
+      return this.getAdapter(task).isConfigured();
+    } catch {
+      return false;
+    }
+  }
+
+  async withRetry(operation, label) {
+    let attempt = 0;
+
+    while (true) {
+      try {
+        return await operation();
+      } catch (error) {
+        attempt++;
+        if (attempt > this.maxRetries || !isRetryable(error)) throw error;
+
+        // Exponential backoff with jitter
+        const delay = Math.min(1000 * Math.pow(2, attempt - 1) + Math.random() * 1000, 30000);
+        console.warn(`🔄 ${label} attempt ${attempt} failed, retrying in ${Math.round(delay)}ms:`, error.message);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  recordUsage(task, adapter, usage) {
+    const key = `${task}:${adapter.name}/${adapter.model}`;
+    const totals = this.usage[key] || (this.usage[key] = {
+      requests: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0
+    });
+
+    totals.requests++;
+    totals.promptTokens += usage.promptTokens;
+    totals.completionTokens += usage.completionTokens;
+    totals.totalTokens += usage.promptTokens + usage.completionTokens;
+  }
+
+  getConfiguredAdapter(task, prompt) {
+    if (!prompt || typeof prompt !== 'string') {
+      throw new Error('Prompt must be a non-empty string');
+    }
+
+    const adapter = this.getAdapter(task);
+    if (!adapter.isConfigured()) {
+      throw new Error(`LLM provider ${adapter.name} is not configured for ${task}`);
+    }
+    return adapter;
+  }
+
+  completeRequest(task, adapter, result, startTime) {
+    const usage = {
+      ...result.usage,
+      totalTokens: result.usage.promptTokens + result.usage.completionTokens
+    };
+    this.recordUsage(task, adapter, usage);
+
+    console.log(`🤖 ${task} via ${adapter.name}/${adapter.model}: ${usage.totalTokens} tokens in ${Date.now() - startTime}ms`);
+
+    return {
+      text: result.text,
+      provider: adapter.name,
+      model: adapter.model,
+      usage
+    };
+  }
+
+  async generate(task, prompt, options = {}) {
+    const adapter = this.getConfiguredAdapter(task, prompt);
+    const startTime = Date.now();
+
+    const result = await this.withRetry(
+      () => adapter.generate(prompt, {
+        temperature: options.temperature,
+        maxTokens: options.maxTokens,
+        timeout: options.timeout || this.timeout
+      }),
+      `${adapter.name} ${task} generation`
+    );
+
+    return this.completeRequest(task, adapter, result, startTime);
+  }
+
+  // Like generate(), but calls onToken for each piece of text as it arrives.
+  // Retries only happen before the first token, so callers never see text twice.
+  async stream(task, prompt, options = {}) {
+    const adapter = this.getConfiguredAdapter(task, prompt);
+    const onToken = options.onToken || (() => {});
+    const startTime = Date.now();
+    let emitted = false;
+
+    const result = await this.withRetry(async () => {
+      try {
+        return await adapter.generateStream(prompt, {
+          temperature: options.temperature,
+          maxTokens: options.maxTokens,
+          timeout: options.timeout || this.timeout
+        }, async (token) => {
+          emitted = true;
+          await onToken(token);
+        });
+      } catch (error) {
+        if (emitted) error.retryable = false;
+        throw error;
+      }
+    }, `${adapter.name} ${task} stream`);
+
+    return this.completeRequest(task, adapter, result, startTime);
+  }
+
+  getUsage() {
+    return JSON.parse(JSON.stringify(this.usage));
+  }
+
+  async healthCheck() {
+    return {
+      service: 'llm',
+      tasks: Object.fromEntries(Object.entries(this.tasks).map(([task, config]) => [
+        task,
+        { ...config, configured: this.isConfigured(task) }
+      ])),
+      usage: this.getUsage()
+    };
+  }
+}
+
+export default new LLMGateway();
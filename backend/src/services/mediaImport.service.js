@@ -0,0 +1,259 @@
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import dns from 'dns';
+import Video from '../models/videos.model.js';
+import StorageService from './storage.service.js';
+import RAGTranscriptionService from './transcription.service.js';
+import { PROCESSING_STAGE, getMediaType } from '../utils/constant.js';
+import { TEMP_DIR, cleanupTempFile, hashFile, hasMediaSignature, isValidMediaSignature } from '../middleware/upload.middleware.js';
+
+class MediaImportError extends Error {
+  constructor(message, status = 400, code = 'IMPORT_ERROR') {
+    super(message);
+    this.name = 'MediaImportError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Loopback, private, link-local, carrier-grade NAT, documentation, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  // IPv4-mapped addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges by BlockList itself;
+  // NAT64 (64:ff9b::/96) addresses could reach any of them, so they are blocked as a whole
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Extension and stored MIME type of each importable format
+const MIME_TYPES = {
+  '.mp4': 'video/mp4',
+  '.mpeg': 'video/mpeg',
+  '.mov': 'video/quicktime',
+  '.avi': 'video/x-msvideo',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.oga': 'audio/ogg',
+  '.opus': 'audio/opus',
+  '.flac': 'audio/flac'
+};
+
+const EXTENSIONS_BY_CONTENT_TYPE = {
+  'video/mp4': '.mp4',
+  'application/mp4': '.mp4',
+  'video/mpeg': '.mpeg',
+  'video/quicktime': '.mov',
+  'video/x-msvideo': '.avi',
+  'video/webm': '.webm',
+  'video/x-matroska': '.mkv',
+  'audio/mpeg': '.mp3',
+  'audio/mp3': '.mp3',
+  'audio/mp4': '.m4a',
+  'audio/x-m4a': '.m4a',
+  'audio/m4a': '.m4a',
+  'audio/wav': '.wav',
+  'audio/x-wav': '.wav',
+  'audio/wave': '.wav',
+  'audio/vnd.wave': '.wav',
+  'audio/ogg': '.ogg',
+  'application/ogg': '.ogg',
+  'audio/opus': '.opus',
+  'audio/flac': '.flac',
+  'audio/x-flac': '.flac'
+};
+
+// Errors of downloadVideo that no retry can fix
+const REJECTED_DOWNLOAD_CODES = ['FILE_TOO_LARGE', 'UNSUPPORTED_CONTENT_TYPE', 'TOO_MANY_REDIRECTS', 'URL_NOT_ALLOWED'];
+
+// Media imported from a direct URL (POST /api/videos/import). The worker streams the file into
+// TEMP_DIR, checks its header like an upload and stores it, so the rest of processing is the same.
+// Every URL, redirect target and resolved address must be public unless its host is listed in
+// URL_IMPORT_ALLOWED_HOSTS (e.g. "localhost:8080" for a local fixture server).
+class MediaImportService {
+  constructor() {
+    this.allowedHosts = new Set(
+      (process.env.URL_IMPORT_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+    );
+    // Connections only see the host name; its port was already checked against the URL
+    this.allowedHostnames = new Set([...this.allowedHosts].map(host => host.replace(/:\d+$/, '')));
+    const maxRedirects = parseInt(process.env.URL_IMPORT_MAX_REDIRECTS);
+    this.maxRedirects = Number.isNaN(maxRedirects) ? 3 : Math.max(0, maxRedirects);
+    // Uploads are capped at 500MB, and so is the fileSize of a video
+    const maxSizeMb = parseFloat(process.env.URL_IMPORT_MAX_SIZE_MB);
+    this.maxBytes = Math.round((Number.isNaN(maxSizeMb) ? 500 : Math.min(500, Math.max(1, maxSizeMb))) * 1024 * 1024);
+  }
+
+  isAllowedHost(url) {
+    return this.allowedHosts.has(url.host.toLowerCase()) || this.allowedHosts.has(url.hostname.toLowerCase());
+  }
+
+  isBlockedAddress(address) {
+    const family = net.isIP(address);
+    return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  // Throws a MediaImportError unless url is an http(s) URL whose host resolves to public addresses only
+  async validateUrl(value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      throw new MediaImportError('Invalid URL', 400, 'INVALID_URL');
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new MediaImportError('Only http and https URLs can be imported', 400, 'INVALID_URL');
+    }
+    if (url.username || url.password) {
+      throw new MediaImportError('URLs with credentials cannot be imported', 400, 'INVALID_URL');
+    }
+    if (this.isAllowedHost(url)) return url;
+
+    // "[::1]" -> "::1"
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(hostname)
+      ? [hostname]
+      : await dns.promises.lookup(hostname, { all: true, verbatim: true })
+        .then(results => results.map(result => result.address))
+        .catch(() => { throw new MediaImportError(`Could not resolve ${hostname}`, 400, 'URL_UNRESOLVABLE'); });
+
+    if (addresses.length === 0 || addresses.some(address => this.isBlockedAddress(address))) {
+      throw new MediaImportError('URL points to a private or reserved address', 400, 'URL_NOT_ALLOWED');
+    }
+    return url;
+  }
+
+  // Resolver for the download connection. Checking the addresses actually connected to keeps a
+  // host from passing validateUrl and then resolving to a private address (DNS rebinding).
+  async resolveHost(hostname, options) {
+    const results = await dns.promises.lookup(hostname, { ...options, all: true, verbatim: true });
+    const allowed = this.allowedHostnames.has(hostname.toLowerCase()) ||
+      results.every(result => !this.isBlockedAddress(result.address));
+
+    if (results.length === 0 || !allowed) {
+      throw new MediaImportError('URL points to a private or reserved address', 400, 'URL_NOT_ALLOWED');
+    }
+    return results.map(({ address, family }) => ({ address, family }));
+  }
+
+  // Servers often send octet-stream or nothing for media; the file header decides in the end
+  acceptContentType(contentType) {
+    return !contentType ||
+      contentType.startsWith('video/') ||
+      contentType.startsWith('audio/') ||
+      ['application/octet-stream', 'application/mp4', 'application/ogg', 'binary/octet-stream'].includes(contentType);
+  }
+
+  // Extension whose signature the file matches: the one the Content-Type or URL names, or else
+  // the first format whose header it has. Null if the file is not a supported format.
+  detectExtension(filePath, contentType, url) {
+    const named = EXTENSIONS_BY_CONTENT_TYPE[contentType] || path.extname(new URL(url).pathname).toLowerCase();
+    if (MIME_TYPES[named] && isValidMediaSignature(filePath, named)) {
+      return named;
+    }
+
+    return Object.keys(MIME_TYPES).find(extension =>
+      hasMediaSignature(extension) && isValidMediaSignature(filePath, extension)
+    ) || null;
+  }
+
+  // Title for an import without one: the file name of the URL
+  titleFromUrl(value) {
+    const url = new URL(value);
+    let fileName = path.basename(url.pathname);
+    try {
+      fileName = decodeURIComponent(fileName);
+    } catch (error) {
+      // Malformed escapes stay as they are
+    }
+    fileName = fileName.replace(/[<>$`|&;]/g, '').trim();
+    return (fileName || url.hostname).slice(0, 200);
+  }
+
+  // Stream sourceUrl to filePath under the import limits; resolves to { url, size, contentType }
+  // of the final response. A URL or response no retry can fix throws a MediaImportError.
+  async download(sourceUrl, filePath, { cancellation } = {}) {
+    try {
+      return await RAGTranscriptionService.downloadVideo(sourceUrl, filePath, {
+        maxBytes: this.maxBytes,
+        maxRedirects: this.maxRedirects,
+        validateUrl: url => this.validateUrl(url),
+        // axios only treats lookup as promise-based when it is an async function
+        lookup: async (hostname, options) => this.resolveHost(hostname, options),
+        acceptContentType: contentType => this.acceptContentType(contentType),
+        cancellation
+      });
+    } catch (error) {
+      if (REJECTED_DOWNLOAD_CODES.includes(error.code)) {
+        throw new MediaImportError(error.message, 422, error.code);
+      }
+      throw error;
+    }
+  }
+
+  // Download stage of an imported video: fetch the URL to the run's video file, store a copy
+  // and record it on the video. Resolves to the storage source for transcription.
+  async importMedia(video, sourceUrl, { checkpoint, cancellation, job } = {}) {
+    const videoPath = checkpoint.filePath('video.mp4');
+    let storedCopy = null;
+
+    if (job) await job.updateProgress({ phase: 'download', progress: 10 });
+    console.log(`🌐 Importing media for video ${video._id} from ${sourceUrl}`);
+
+    try {
+      const download = await this.download(sourceUrl, videoPath, { cancellation });
+      const extension = this.detectExtension(videoPath, download.contentType, download.url);
+      if (!extension) {
+        throw new MediaImportError('Downloaded file is not a supported video or audio file', 422, 'INVALID_FILE_SIGNATURE');
+      }
+
+      const mimeType = MIME_TYPES[extension];
+      // StorageService.put moves its file, and the run still needs the download for extraction
+      storedCopy = path.join(TEMP_DIR, `${video._id}_import${extension}`);
+      await fs.promises.copyFile(videoPath, storedCopy);
+      const stored = await StorageService.put(storedCopy, { contentType: mimeType });
+      storedCopy = null;
+
+      const fields = {
+        storageKey: stored.key,
+        storageDriver: stored.driver,
+        ...(stored.driver === 'cloudinary' && {
+          cloudinaryPublicId: stored.key,
+          cloudinaryUrl: stored.url
+        }),
+        fileSize: download.size,
+        contentHash: await hashFile(videoPath),
+        mimeType,
+        mediaType: getMediaType(mimeType)
+      };
+      await Video.updateOne({ _id: video._id }, { $set: fields }).setOptions({ withDeleted: true });
+      Object.assign(video, fields);
+
+      // The file is already where the download stage leaves it, so transcription skips fetching it
+      await checkpoint.complete(PROCESSING_STAGE.DOWNLOAD, { path: videoPath, size: download.size });
+      console.log(`✅ Imported ${download.size} bytes as ${mimeType} for video ${video._id}`);
+
+      return { storageKey: stored.key, storageDriver: stored.driver };
+    } catch (error) {
+      await cleanupTempFile(videoPath);
+      throw error;
+    } finally {
+      if (storedCopy) {
+        await cleanupTempFile(storedCopy);
+      }
+    }
+  }
+}
+
+export { MediaImportError };
+export default new MediaImportService();
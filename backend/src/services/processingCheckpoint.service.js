@@ -0,0 +1,132 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import Video from '../models/videos.model.js';
+import ProcessingCheckpoint from '../models/processingCheckpoints.model.js';
+import { TEMP_DIR, cleanupTempFile } from '../middleware/upload.middleware.js';
+
+// One processing run of a video. Each stage's output is saved as soon as the stage finishes and
+// the stage is added to the video's processingHistory; a later run skips stages saved before it.
+// Checkpoint writes are best effort: failing to save one only means redoing that work on a retry.
+class ProcessingRun {
+  constructor(videoId, checkpoint) {
+    this.videoId = videoId;
+    this.run = checkpoint.runs;
+    this.stages = checkpoint.stages || {};
+    this.transcriptions = new Map(
+      Object.entries(checkpoint.transcriptions || {}).map(([index, transcription]) => [Number(index), transcription])
+    );
+  }
+
+  output(stage) {
+    return this.stages[stage]?.output ?? null;
+  }
+
+  // Temp files of a run start with the video id, like every other temp file of the video
+  filePath(name) {
+    return path.join(TEMP_DIR, `${this.videoId}_${name}`);
+  }
+
+  // Resolves to the saved output of an earlier run when isUsable accepts it (e.g. its files still
+  // exist on this machine), otherwise runs produce() and saves what it resolves to
+  async stage(stage, produce, isUsable = () => true) {
+    const saved = this.output(stage);
+    if (saved !== null && isUsable(saved)) {
+      console.log(`⏭️ Skipping ${stage} for video ${this.videoId}: finished by an earlier run`);
+      return saved;
+    }
+
+    const output = await produce();
+    await this.complete(stage, output);
+    return output;
+  }
+
+  async complete(stage, output) {
+    const completedAt = new Date();
+    this.stages[stage] = { completedAt, output };
+
+    try {
+      await ProcessingCheckpoint.updateOne(
+        { videoId: this.videoId },
+        { $set: { [`stages.${stage}`]: this.stages[stage] } }
+      );
+      await Video.updateOne(
+        { _id: this.videoId },
+        { $push: { processingHistory: { stage, run: this.run, completedAt } } }
+      ).setOptions({ withDeleted: true });
+
+      console.log(`📌 Checkpoint saved: ${stage} for video ${this.videoId}`);
+    } catch (error) {
+      console.warn(`⚠️ Could not save ${stage} checkpoint for video ${this.videoId}:`, error.message);
+    }
+  }
+
+  async saveTranscription(transcription) {
+    this.transcriptions.set(transcription.chunkIndex, transcription);
+
+    try {
+      await ProcessingCheckpoint.updateOne(
+        { videoId: this.videoId },
+        { $set: { [`transcriptions.${transcription.chunkIndex}`]: transcription } }
+      );
+    } catch (error) {
+      console.warn(`⚠️ Could not save chunk ${transcription.chunkIndex} checkpoint for video ${this.videoId}:`, error.message);
+    }
+  }
+
+  // Downloaded video, extracted audio and chunk files; stage outputs stay saved
+  async removeFiles() {
+    try {
+      const prefix = `${this.videoId}_`;
+      const files = (await fs.promises.readdir(TEMP_DIR)).filter(file => file.startsWith(prefix));
+      await Promise.all(files.map(file => cleanupTempFile(path.join(TEMP_DIR, file))));
+      return files.length;
+    } catch (error) {
+      console.warn(`⚠️ Could not clean processing files for video ${this.videoId}:`, error.message);
+      return 0;
+    }
+  }
+}
+
+class ProcessingCheckpointService {
+  // Outputs are only reused by a job that would produce the same ones
+  fingerprint({ source, language, provider = null, reuseTranscript = false }) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ source, language, provider, reuseTranscript }))
+      .digest('hex');
+  }
+
+  // Continue the video's checkpoint if it was made with the same settings, otherwise start a new one
+  async start(videoId, settings) {
+    const fingerprint = this.fingerprint(settings);
+
+    const existing = await ProcessingCheckpoint.findOneAndUpdate(
+      { videoId, fingerprint },
+      { $inc: { runs: 1 } },
+      { new: true }
+    ).lean();
+
+    if (existing) {
+      console.log(`♻️ Resuming video ${videoId} from checkpoint (run ${existing.runs}, ${Object.keys(existing.stages || {}).length} stages saved)`);
+      return new ProcessingRun(videoId, existing);
+    }
+
+    const checkpoint = await ProcessingCheckpoint.findOneAndUpdate(
+      { videoId },
+      { $set: { fingerprint, runs: 1, stages: {}, transcriptions: {} } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    await Video.updateOne({ _id: videoId }, { $set: { processingHistory: [] } }).setOptions({ withDeleted: true });
+
+    return new ProcessingRun(videoId, checkpoint);
+  }
+
+  async discard(videoId) {
+    await ProcessingCheckpoint.deleteOne({ videoId });
+  }
+}
+
+export { ProcessingRun };
+export default new ProcessingCheckpointService();
@@ -1,26 +1,25 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { validateEnvVar } from '../config/env.js';
+import LLMGateway from './llm.service.js';
+import VectorDBService from './vectorDb.service.js';
+import { generateEmbeddings } from './embedding.service.js';
 
 // Enhanced QA Service with RAG capabilities
 class QAServiceWithRAG {
   constructor() {
+    this.topK = Math.max(1, parseInt(process.env.SIMILARITY_TOP_K) || 5);
+    this.maxContextChars = Math.max(1000, parseInt(process.env.RAG_CONTEXT_MAX_CHARS) || 6000);
+    const historyTurns = parseInt(process.env.CONVERSATION_HISTORY_TURNS);
+    this.historyTurns = Number.isNaN(historyTurns) ? 5 : Math.max(0, historyTurns);
+    this.maxTurnAnswerChars = 300;
     this.initializeService();
   }
 
   initializeService() {
-    try {
-      // Remove hardcoded API key - use environment variable
-      const apiKey = validateEnvVar('GEMINI_API_KEY', 'string');
-      this.genAI = new GoogleGenerativeAI(apiKey);
-      this.model = this.genAI.getGenerativeModel({ model: "gemini-pro" }); // Use gemini-pro for better quality
-      this.isServiceAvailable = true;
-      
+    this.isServiceAvailable = LLMGateway.isConfigured('qa');
+
+    if (this.isServiceAvailable) {
       console.log('✅ QA Service with RAG initialized successfully');
-    } catch (error) {
-      console.error('❌ QA Service initialization failed:', error.message);
-      this.genAI = null;
-      this.model = null;
-      this.isServiceAvailable = false;
+    } else {
+      console.error('❌ QA Service initialization failed: no LLM configured for qa');
     }
   }
 
@@ -62,30 +61,7 @@ class QAServiceWithRAG {
     };
   }
 
-  // Enhanced retry logic
-  async retryWithBackoff(operation, operationName, maxRetries = 3) {
-    let attempt = 0;
-    let lastError = null;
-    
-    while (attempt <= maxRetries) {
-      try {
-        return await operation();
-      } catch (error) {
-        lastError = error;
-        attempt++;
-        
-        if (attempt > maxRetries) break;
-        
-        const delay = Math.min(1000 * Math.pow(2, attempt), 10000);
-        console.warn(`🔄 ${operationName} attempt ${attempt} failed, retrying in ${delay}ms:`, error.message);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
-    }
-    
-    throw lastError;
-  }
-
-  async answerQuestionWithRAG(videoId, question, language = 'english') {
+  async answerQuestionWithRAG(videoId, question, language = 'english', options = {}) {
     const startTime = Date.now();
     
     try {
@@ -93,14 +69,14 @@ class QAServiceWithRAG {
       const { question: validatedQuestion, language: validatedLanguage } = 
         this.validateInputs(question, language, videoId);
       
-      if (!this.isServiceAvailable || !this.model) {
+      if (!this.isServiceAvailable) {
         console.warn('❌ QA service not available, using enhanced fallback');
         return await this.enhancedFallbackAnswer(validatedQuestion, validatedLanguage, videoId);
       }
 
       // Use RAG-enhanced answer with timeout
       const result = await Promise.race([
-        this.ragEnhancedAnswer(videoId, validatedQuestion, validatedLanguage),
+        this.ragEnhancedAnswer(videoId, validatedQuestion, validatedLanguage, options),
         new Promise((_, reject) => 
           setTimeout(() => reject(new Error('QA service timeout')), 30000)
         )
@@ -127,46 +103,457 @@ class QAServiceWithRAG {
     }
   }
 
-  async ragEnhancedAnswer(videoId, question, language = 'english') {
-    // In a real implementation, this would integrate with your vector database
-    // For now, we'll use an enhanced direct answer that's aware of video context
-    
+  // Retrieve the transcript chunks most relevant to the question
+  async retrieveRelevantChunks(videoId, question, options = {}) {
+    const queryEmbedding = await generateEmbeddings(question);
+
+    const results = await VectorDBService.searchSimilarChunks(videoId, question, this.topK, {
+      userId: options.userId,
+      queryEmbedding
+    });
+
+    return results.documents
+      .map((text, i) => ({
+        text,
+        chunkIndex: results.metadatas[i]?.chunkIndex,
+        startTime: Number(results.metadatas[i]?.startTime) || 0,
+        endTime: Number(results.metadatas[i]?.endTime) || 0,
+        similarity: Math.max(0, Math.min(1, 1 - (results.distances[i] ?? 1)))
+      }))
+      .filter(chunk => chunk.text && chunk.text.trim().length > 0);
+  }
+
+  // Keep the best-ranked chunks that fit in the context budget, then restore transcript order
+  selectContextChunks(chunks) {
+    const selected = [];
+    let usedChars = 0;
+
+    for (const chunk of chunks) {
+      if (usedChars + chunk.text.length > this.maxContextChars && selected.length > 0) break;
+      selected.push({
+        ...chunk,
+        text: chunk.text.substring(0, this.maxContextChars)
+      });
+      usedChars += chunk.text.length;
+    }
+
+    return selected.sort((a, b) => a.startTime - b.startTime);
+  }
+
+  // Split a flat "[mm:ss] text" transcript into timed chunks for videos without an index
+  parseTranscriptChunks(transcript = '') {
+    const pattern = /^\[(\d{1,2}(?::\d{2}){1,2})\]\s*(.*)$/;
+    const chunks = [];
+
+    for (const line of transcript.split(/\n+/)) {
+      const match = line.trim().match(pattern);
+      if (!match || !match[2].trim()) continue;
+      chunks.push({
+        text: match[2].trim(),
+        chunkIndex: chunks.length,
+        startTime: this.parseTimestamp(match[1]),
+        endTime: 0,
+        similarity: 0
+      });
+    }
+
+    chunks.forEach((chunk, i) => {
+      chunk.endTime = chunks[i + 1] ? chunks[i + 1].startTime : chunk.startTime;
+    });
+
+    return chunks;
+  }
+
+  buildContext(chunks, transcript = '') {
+    if (chunks.length > 0) {
+      return chunks
+        .map(chunk => `[${this.formatTimestamp(chunk.startTime)} - ${this.formatTimestamp(chunk.endTime)}] ${chunk.text}`)
+        .join('\n\n');
+    }
+
+    return transcript ? transcript.substring(0, this.maxContextChars) : '';
+  }
+
+  // Resolve [mm:ss] tags in the answer to the chunks they point at; unknown tags are dropped
+  extractCitations(answer, chunks) {
+    const citations = [];
+    const seen = new Set();
+
+    const cleanedAnswer = answer.replace(/\[(\d{1,2}(?::\d{2}){1,2})\]/g, (tag, label) => {
+      const time = this.parseTimestamp(label);
+      const chunk = chunks.find(c => time >= Math.floor(c.startTime) && time < Math.max(c.endTime, c.startTime + 1));
+      if (!chunk) return '';
+
+      if (!seen.has(label)) {
+        seen.add(label);
+        citations.push({
+          label,
+          time,
+          startTime: chunk.startTime,
+          endTime: chunk.endTime,
+          chunkIndex: chunk.chunkIndex
+        });
+      }
+      return tag;
+    }).replace(/ {2,}/g, ' ').trim();
+
+    return { answer: cleanedAnswer, citations };
+  }
+
+  // Condense earlier turns of a conversation ({ question, answer }, oldest first) for the prompt.
+  // Answers are cut to their first sentences but keep their [mm:ss] tags so "after that" can be resolved.
+  summarizeConversation(turns = []) {
+    return turns
+      .slice(-this.historyTurns)
+      .map(turn => {
+        const sentences = turn.answer.replace(/\s+/g, ' ').trim().match(/[^.!?]+[.!?]*/g) || [];
+        let answer = '';
+        for (const sentence of sentences) {
+          if (answer && answer.length + sentence.length > this.maxTurnAnswerChars) break;
+          answer += sentence;
+        }
+        return `User: ${turn.question.trim()}\nAssistant: ${answer.substring(0, this.maxTurnAnswerChars).trim()}`;
+      })
+      .join('\n\n');
+  }
+
+  // Retrieve context for the question and build the grounded prompt.
+  // options.history holds earlier conversation turns for follow-up questions.
+  async prepareRAGPrompt(videoId, question, language = 'english', options = {}) {
+    const history = this.historyTurns > 0 ? (options.history || []) : [];
+
+    // Follow-ups like "what came after that?" retrieve poorly on their own
+    const previousQuestion = history[history.length - 1]?.question;
+    const retrievalQuery = previousQuestion ? `${previousQuestion}\n${question}` : question;
+
+    let retrieved = [];
+    try {
+      retrieved = await this.retrieveRelevantChunks(videoId, retrievalQuery, options);
+    } catch (error) {
+      console.warn(`⚠️ Chunk retrieval failed for video ${videoId}:`, error.message);
+    }
+
+    // Videos indexed before retrieval existed only have the flat transcript
+    if (retrieved.length === 0 && options.transcript) {
+      retrieved = this.parseTranscriptChunks(options.transcript);
+    }
+
+    const usedChunks = this.selectContextChunks(retrieved);
+    const context = this.buildContext(usedChunks, options.transcript);
+
+    if (!context) {
+      throw new Error('No transcript context available for this video');
+    }
+
+    const conversation = history.length > 0
+      ? `
+      EARLIER IN THIS CONVERSATION (use it to resolve references like "that" or "he"; it is not a source):
+      ${this.summarizeConversation(history)}
+      `
+      : '';
+
     const prompt = `
-      You are an AI assistant specialized in answering questions about video content.
+      You are an AI assistant that answers questions about a video the user has uploaded.
+      Answer using ONLY the transcript excerpts below. Each excerpt is prefixed with its time range.
       
-      CONTEXT: You are answering questions about a specific video that the user has uploaded.
-      VIDEO ID: ${videoId}
+      TRANSCRIPT EXCERPTS:
+      ${context}
+      ${conversation}
       USER'S QUESTION: ${question}
       
       IMPORTANT RULES:
-      1. Be helpful, accurate, and concise
-      2. If the user greets you, respond politely and indicate you can answer questions about their video
-      3. Respond in ${language}
-      4. If the question is about video content, mention you're analyzing their specific video
-      5. If you cannot answer based on video context, provide general helpful information
-      6. Keep responses under 300 words
-      7. If the video is still processing, be patient and suggest waiting
+      1. Base the answer only on the excerpts; do not invent content
+      2. After every claim, cite the excerpt it came from with the excerpt's start time in square brackets, e.g. [01:30]
+      3. Only cite start times that appear in the excerpts above
+      4. If the excerpts do not contain the answer, say that the video does not cover it
+      5. If the user greets you, respond politely and indicate you can answer questions about their video
+      6. Respond in ${language}
+      7. Keep responses under 300 words
       
       ANSWER:
     `;
 
-    const result = await this.retryWithBackoff(
-      () => this.model.generateContent(prompt),
-      'Gemini content generation'
-    );
-    
-    const response = await result.response;
-    const answer = response.text().trim();
+    return { prompt, usedChunks };
+  }
+
+  buildRAGResult(llmResult, usedChunks, question, language) {
+    const { answer, citations } = this.extractCitations(llmResult.text, usedChunks);
 
     return {
       answer: answer,
-      relevantChunks: await this.calculateRelevance(question, answer),
-      confidence: this.calculateConfidence(answer, question, language),
-      sources: await this.getSimulatedSources(videoId),
-      model: 'gemini-pro'
+      citations,
+      relevantChunks: usedChunks.length,
+      confidence: this.calculateConfidence(answer, question, language, usedChunks),
+      sources: usedChunks.map(chunk => ({
+        chunkIndex: chunk.chunkIndex,
+        startTime: chunk.startTime,
+        endTime: chunk.endTime,
+        similarity: Number(chunk.similarity.toFixed(4)),
+        text: chunk.text.substring(0, 300)
+      })),
+      model: llmResult.model,
+      usage: llmResult.usage
     };
   }
 
+  async ragEnhancedAnswer(videoId, question, language = 'english', options = {}) {
+    const { prompt, usedChunks } = await this.prepareRAGPrompt(videoId, question, language, options);
+    const result = await LLMGateway.generate('qa', prompt);
+    return this.buildRAGResult(result, usedChunks, question, language);
+  }
+
+  // Streaming variant of answerQuestionWithRAG: options.onToken receives the answer text as it is generated.
+  // The resolved result has the same shape, with citations resolved against the full answer.
+  async streamAnswerWithRAG(videoId, question, language = 'english', options = {}) {
+    const startTime = Date.now();
+    const onToken = options.onToken || (() => {});
+    const { question: validatedQuestion, language: validatedLanguage } =
+      this.validateInputs(question, language, videoId);
+
+    let result;
+    if (this.isServiceAvailable) {
+      try {
+        const { prompt, usedChunks } = await this.prepareRAGPrompt(videoId, validatedQuestion, validatedLanguage, options);
+        const llmResult = await LLMGateway.stream('qa', prompt, { onToken });
+        result = this.buildRAGResult(llmResult, usedChunks, validatedQuestion, validatedLanguage);
+      } catch (error) {
+        // Once text has reached the client the fallback would contradict it
+        if (error.retryable === false) throw error;
+        console.error('❌ RAG QA stream error:', error.message);
+      }
+    }
+
+    if (!result) {
+      result = await this.enhancedFallbackAnswer(validatedQuestion, validatedLanguage, videoId);
+      await onToken(result.answer);
+    }
+
+    return {
+      ...result,
+      processingTime: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Chunks relevant to the question across several videos ({ _id, title, transcript }), best first.
+  // When nothing is indexed the flat transcripts are ranked by keyword overlap instead.
+  async retrieveLibraryChunks(videos, question, options = {}) {
+    const videoIds = videos.map(video => video._id.toString());
+    let chunks = [];
+
+    try {
+      const queryEmbedding = await generateEmbeddings(question);
+      const results = await VectorDBService.searchChunksAcrossVideos(videoIds, question, this.topK * 2, {
+        userId: options.userId,
+        queryEmbedding
+      });
+
+      chunks = results.documents
+        .map((text, i) => ({
+          videoId: results.metadatas[i]?.videoId?.toString(),
+          text,
+          chunkIndex: results.metadatas[i]?.chunkIndex,
+          startTime: Number(results.metadatas[i]?.startTime) || 0,
+          endTime: Number(results.metadatas[i]?.endTime) || 0,
+          similarity: Math.max(0, Math.min(1, 1 - (results.distances[i] ?? 1)))
+        }))
+        .filter(chunk => chunk.videoId && chunk.text && chunk.text.trim().length > 0);
+    } catch (error) {
+      console.warn(`⚠️ Library chunk retrieval failed for ${videoIds.length} videos:`, error.message);
+    }
+
+    if (chunks.length === 0) {
+      const terms = question.toLowerCase().split(/\W+/).filter(term => term.length > 2);
+      chunks = videos
+        .flatMap(video => this.parseTranscriptChunks(video.transcript).map(chunk => {
+          const text = chunk.text.toLowerCase();
+          const matched = terms.filter(term => text.includes(term)).length;
+          return {
+            ...chunk,
+            videoId: video._id.toString(),
+            similarity: terms.length > 0 ? matched / terms.length : 0
+          };
+        }))
+        .filter(chunk => chunk.similarity > 0)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, this.topK * 2);
+    }
+
+    return chunks;
+  }
+
+  // Build a prompt whose excerpts are grouped per video and tagged [V<n> mm:ss - mm:ss]
+  async prepareLibraryPrompt(videos, question, language = 'english', options = {}) {
+    const ranked = await this.retrieveLibraryChunks(videos, question, options);
+    const usedChunks = this.selectContextChunks(ranked);
+
+    if (usedChunks.length === 0) {
+      throw new Error('No transcript context in the selected videos matches this question');
+    }
+
+    // Videos are numbered by their best-ranked excerpt
+    const videosById = new Map(videos.map(video => [video._id.toString(), video]));
+    const videoRefs = [];
+    for (const chunk of ranked) {
+      if (usedChunks.some(used => used.videoId === chunk.videoId) && !videoRefs.some(ref => ref.videoId === chunk.videoId)) {
+        videoRefs.push({
+          ref: `V${videoRefs.length + 1}`,
+          videoId: chunk.videoId,
+          title: videosById.get(chunk.videoId)?.title || 'Untitled video'
+        });
+      }
+    }
+
+    const context = videoRefs
+      .map(({ ref, videoId, title }) => {
+        const excerpts = usedChunks
+          .filter(chunk => chunk.videoId === videoId)
+          .map(chunk => `[${ref} ${this.formatTimestamp(chunk.startTime)} - ${this.formatTimestamp(chunk.endTime)}] ${chunk.text}`)
+          .join('\n');
+        return `VIDEO ${ref}: "${title}"\n${excerpts}`;
+      })
+      .join('\n\n');
+
+    const prompt = `
+      You are an AI assistant that answers questions across several videos the user has uploaded.
+      Answer using ONLY the transcript excerpts below. Excerpts are grouped by video; each is prefixed with
+      its video reference and time range.
+      
+      TRANSCRIPT EXCERPTS:
+      ${context}
+      
+      USER'S QUESTION: ${question}
+      
+      IMPORTANT RULES:
+      1. Base the answer only on the excerpts; do not invent content
+      2. After every claim, cite the excerpt it came from with its video reference and start time in square brackets, e.g. [V2 01:30]
+      3. Only cite video references and start times that appear in the excerpts above
+      4. When videos disagree or cover different parts of the answer, say which video says what
+      5. If the excerpts do not contain the answer, say that the selected videos do not cover it
+      6. Respond in ${language}
+      7. Keep responses under 400 words
+      
+      ANSWER:
+    `;
+
+    return { prompt, usedChunks, videoRefs };
+  }
+
+  // Resolve [V<n> mm:ss] tags to the video and chunk they cite; tags without a known video are dropped
+  extractLibraryCitations(answer, chunks, videoRefs) {
+    const citations = [];
+    const seen = new Set();
+
+    const cleanedAnswer = answer
+      .replace(/\[(V\d+)\s+(\d{1,2}(?::\d{2}){1,2})\]/g, (tag, ref, label) => {
+        const video = videoRefs.find(videoRef => videoRef.ref === ref);
+        const time = this.parseTimestamp(label);
+        const chunk = video && chunks.find(c =>
+          c.videoId === video.videoId && time >= Math.floor(c.startTime) && time < Math.max(c.endTime, c.startTime + 1)
+        );
+        if (!chunk) return '';
+
+        if (!seen.has(`${ref} ${label}`)) {
+          seen.add(`${ref} ${label}`);
+          citations.push({
+            label,
+            time,
+            startTime: chunk.startTime,
+            endTime: chunk.endTime,
+            chunkIndex: chunk.chunkIndex,
+            videoId: video.videoId,
+            ref
+          });
+        }
+        return tag;
+      })
+      // A bare [mm:ss] is ambiguous when several videos are in play
+      .replace(/\[\d{1,2}(?::\d{2}){1,2}\]/g, '')
+      .replace(/ {2,}/g, ' ')
+      .trim();
+
+    return { answer: cleanedAnswer, citations };
+  }
+
+  // Answer one question against several videos ({ _id, title, transcript }); citations name the video they came from
+  async answerAcrossVideos(videos, question, language = 'english', options = {}) {
+    const startTime = Date.now();
+
+    try {
+      const { question: validatedQuestion, language: validatedLanguage } = this.validateInputs(question, language);
+
+      if (!this.isServiceAvailable) {
+        console.warn('❌ QA service not available, using enhanced fallback');
+        return { ...(await this.enhancedFallbackAnswer(validatedQuestion, validatedLanguage)), videos: [] };
+      }
+
+      const result = await Promise.race([
+        (async () => {
+          const { prompt, usedChunks, videoRefs } =
+            await this.prepareLibraryPrompt(videos, validatedQuestion, validatedLanguage, options);
+          const llmResult = await LLMGateway.generate('qa', prompt);
+          const { answer, citations } = this.extractLibraryCitations(llmResult.text, usedChunks, videoRefs);
+
+          return {
+            answer,
+            citations,
+            relevantChunks: usedChunks.length,
+            confidence: this.calculateConfidence(answer, validatedQuestion, validatedLanguage, usedChunks),
+            sources: usedChunks.map(chunk => {
+              const video = videoRefs.find(videoRef => videoRef.videoId === chunk.videoId);
+              return {
+                videoId: chunk.videoId,
+                ref: video.ref,
+                title: video.title,
+                chunkIndex: chunk.chunkIndex,
+                startTime: chunk.startTime,
+                endTime: chunk.endTime,
+                similarity: Number(chunk.similarity.toFixed(4)),
+                text: chunk.text.substring(0, 300)
+              };
+            }),
+            videos: videoRefs,
+            model: llmResult.model,
+            usage: llmResult.usage
+          };
+        })(),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('QA service timeout')), 45000)
+        )
+      ]);
+
+      return {
+        ...result,
+        processingTime: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('❌ Library QA error:', {
+        error: error.message,
+        videos: videos.length,
+        processingTime: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      });
+
+      return { ...(await this.enhancedFallbackAnswer(question, language)), videos: [] };
+    }
+  }
+
+  parseTimestamp(label) {
+    return label.split(':').map(Number).reduce((total, part) => total * 60 + part, 0);
+  }
+
+  formatTimestamp(seconds) {
+    const hrs = Math.floor(seconds / 3600);
+    const mins = Math.floor((seconds % 3600) / 60);
+    const secs = Math.floor(seconds % 60);
+
+    if (hrs > 0) {
+      return `${hrs.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    }
+    return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  }
+
   async directAnswer(question, language = 'english') {
     try {
       const prompt = `
@@ -184,16 +571,15 @@ class QAServiceWithRAG {
         ANSWER:
       `;
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const answer = response.text().trim();
+      const result = await LLMGateway.generate('qa', prompt);
+      const answer = result.text;
 
       return {
         answer: answer,
         relevantChunks: 1,
         confidence: this.calculateConfidence(answer, question),
         sources: [],
-        model: 'gemini-pro'
+        model: result.model
       };
     } catch (error) {
       console.error('❌ Direct answer failed:', error.message);
@@ -277,9 +663,15 @@ class QAServiceWithRAG {
     };
   }
 
-  calculateConfidence(answer, question, language = 'english') {
+  calculateConfidence(answer, question, language = 'english', chunks = []) {
     let confidence = 50; // Base confidence
     
+    // Strongly matching transcript context raises confidence
+    if (chunks.length > 0) {
+      const bestSimilarity = Math.max(...chunks.map(chunk => chunk.similarity || 0));
+      confidence += Math.round(bestSimilarity * 20) - 10;
+    }
+    
     // Increase confidence for longer, substantive answers
     if (answer.length > 100) confidence += 20;
     if (answer.length > 200) confidence += 10;
@@ -303,38 +695,6 @@ class QAServiceWithRAG {
     return Math.max(0, Math.min(100, Math.round(confidence)));
   }
 
-  async calculateRelevance(question, answer) {
-    // Simulate relevance calculation based on answer quality
-    let relevance = 1; // Base relevance
-    
-    // Simple heuristic: longer answers that contain question words are more relevant
-    const questionWords = question.split(/\s+/).filter(word => word.length > 3);
-    const answerWords = answer.split(/\s+/);
-    
-    const matchingWords = questionWords.filter(qWord => 
-      answerWords.some(aWord => aWord.toLowerCase().includes(qWord.toLowerCase()))
-    );
-    
-    relevance += matchingWords.length;
-    relevance += Math.min(answerWords.length / 100, 5); // Cap length bonus
-    
-    return Math.max(1, Math.round(relevance));
-  }
-
-  async getSimulatedSources(videoId) {
-    if (!videoId) return [];
-    
-    // Simulate source retrieval - in real implementation, this would query your vector DB
-    return [
-      {
-        id: 'simulated_source_1',
-        content: 'Video transcript segment related to the question',
-        timestamp: '00:01:30',
-        confidence: 0.85
-      }
-    ];
-  }
-
   // Health check method
   async healthCheck() {
     try {
@@ -354,7 +714,7 @@ class QAServiceWithRAG {
         status: 'healthy',
         message: 'QA service is operational',
         available: true,
-        model: 'gemini-pro',
+        model: LLMGateway.tasks.qa.model,
         test: {
           question: 'Hello',
           answerLength: testResult.answer.length,
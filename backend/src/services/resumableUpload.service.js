@@ -0,0 +1,200 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { TEMP_DIR, cleanupTempFile } from '../middleware/upload.middleware.js';
+
+export const TUS_VERSION = '1.0.0';
+
+class UploadError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// State of tus uploads in TEMP_DIR: tus_<id><ext> holds the bytes received so far and
+// tus_<id>.json the upload's metadata, so uploads survive a server restart
+class ResumableUploadService {
+  constructor() {
+    this.maxSize = 500 * 1024 * 1024;
+    this.expiryMs = Math.max(1, parseFloat(process.env.TUS_UPLOAD_EXPIRY_HOURS) || 24) * 60 * 60 * 1000;
+    // Upload IDs with a request in flight; tus allows one writer per upload
+    this.locks = new Set();
+
+    setInterval(() => this.removeExpired(), 60 * 60 * 1000).unref();
+  }
+
+  statePath(id) {
+    return path.join(TEMP_DIR, `tus_${id}.json`);
+  }
+
+  dataPath(upload) {
+    return path.join(TEMP_DIR, `tus_${upload.id}${upload.extension}`);
+  }
+
+  // Parse the Upload-Metadata header: comma separated "key base64value" pairs
+  parseMetadata(header = '') {
+    const metadata = {};
+
+    for (const pair of header.split(',')) {
+      const [key, value = ''] = pair.trim().split(/\s+/);
+      if (!key) continue;
+      if (!/^[A-Za-z0-9_-]+$/.test(key) || Object.hasOwn(metadata, key)) {
+        throw new UploadError('Invalid Upload-Metadata header', 400, 'INVALID_METADATA');
+      }
+      metadata[key] = Buffer.from(value, 'base64').toString('utf8');
+    }
+
+    return metadata;
+  }
+
+  async create({ userId, length, metadata }) {
+    const id = crypto.randomBytes(16).toString('hex');
+    const now = Date.now();
+    const upload = {
+      id,
+      userId,
+      length,
+      extension: path.extname(metadata.filename || '').toLowerCase(),
+      metadata,
+      videoId: null,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.expiryMs).toISOString()
+    };
+
+    await fs.promises.writeFile(this.dataPath(upload), Buffer.alloc(0), { flag: 'wx' });
+    await this.save(upload);
+
+    console.log(`📦 Created resumable upload ${id} (${(length / (1024 * 1024)).toFixed(2)}MB) for user ${userId}`);
+    return { ...upload, offset: 0 };
+  }
+
+  async save(upload) {
+    await fs.promises.writeFile(this.statePath(upload.id), JSON.stringify(upload));
+  }
+
+  // Load an upload with its current offset (the size of the data file); null if unknown or expired
+  async get(id) {
+    if (!/^[a-f0-9]{32}$/.test(id || '')) return null;
+
+    let upload;
+    try {
+      upload = JSON.parse(await fs.promises.readFile(this.statePath(id), 'utf8'));
+    } catch {
+      return null;
+    }
+
+    if (!upload.videoId && new Date(upload.expiresAt).getTime() < Date.now()) {
+      await this.remove(upload);
+      return null;
+    }
+
+    try {
+      const stats = await fs.promises.stat(this.dataPath(upload));
+      upload.offset = stats.size;
+    } catch {
+      // The data file is removed once it has been handed over to cloud storage
+      upload.offset = upload.videoId ? upload.length : 0;
+    }
+
+    return upload;
+  }
+
+  // Run an operation as the only writer of an upload
+  async withLock(id, operation) {
+    if (this.locks.has(id)) {
+      throw new UploadError('Another request is writing to this upload', 409, 'UPLOAD_LOCKED');
+    }
+
+    this.locks.add(id);
+    try {
+      return await operation();
+    } finally {
+      this.locks.delete(id);
+    }
+  }
+
+  // Append the request body at the given offset; resolves to the new offset.
+  // Bytes received before the client disconnects are kept so the upload can resume from them.
+  async append(upload, offset, stream) {
+    if (offset !== upload.offset) {
+      throw new UploadError(`Upload-Offset ${offset} does not match current offset ${upload.offset}`, 409, 'OFFSET_MISMATCH');
+    }
+
+    const remaining = upload.length - offset;
+    let received = 0;
+    // Bytes passed on to the data file; the chunk that overflows is never written
+    let accepted = 0;
+
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > remaining) {
+          return callback(new UploadError('Request body exceeds Upload-Length', 413, 'UPLOAD_TOO_LARGE'));
+        }
+        accepted = received;
+        callback(null, chunk);
+      }
+    });
+
+    try {
+      await pipeline(stream, limiter, fs.createWriteStream(this.dataPath(upload), { flags: 'a' }));
+    } catch (error) {
+      if (error instanceof UploadError) {
+        // Keep only the accepted bytes. Truncating past the current size would pad the file with
+        // zeros, which get() would count as received.
+        try {
+          const { size } = await fs.promises.stat(this.dataPath(upload));
+          await fs.promises.truncate(this.dataPath(upload), Math.min(size, offset + accepted));
+        } catch {
+          // The overflowing chunk was never written, so the file is already within Upload-Length
+        }
+        throw error;
+      }
+      console.warn(`⚠️ Upload ${upload.id} interrupted: ${error.message}`);
+    }
+
+    const { size } = await fs.promises.stat(this.dataPath(upload));
+    upload.offset = size;
+    upload.expiresAt = new Date(Date.now() + this.expiryMs).toISOString();
+    await this.save(upload);
+
+    return size;
+  }
+
+  async markCompleted(upload, videoId) {
+    upload.videoId = videoId;
+    upload.completedAt = new Date().toISOString();
+    await this.save(upload);
+  }
+
+  async remove(upload) {
+    await cleanupTempFile(this.dataPath(upload));
+    await cleanupTempFile(this.statePath(upload.id));
+  }
+
+  // Drop unfinished uploads past their expiry and completed ones kept for status lookups
+  async removeExpired() {
+    try {
+      const files = await fs.promises.readdir(TEMP_DIR);
+      for (const file of files) {
+        const match = file.match(/^tus_([a-f0-9]{32})\.json$/);
+        if (!match) continue;
+
+        const upload = await this.get(match[1]);
+        if (upload?.videoId && new Date(upload.expiresAt).getTime() < Date.now()) {
+          await this.remove(upload);
+        }
+      }
+    } catch (error) {
+      console.error('Error removing expired uploads:', error.message);
+    }
+  }
+}
+
+export { UploadError };
+export default new ResumableUploadService();
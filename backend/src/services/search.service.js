@@ -0,0 +1,204 @@
+import Video from '../models/videos.model.js';
+import VectorDBService from './vectorDb.service.js';
+import StorageService from './storage.service.js';
+import QAServiceWithRAG from './qa.service.js';
+import { VIDEO_STATUS } from '../utils/constant.js';
+
+// Rank constant for reciprocal rank fusion; 60 is the usual choice and keeps one list from dominating
+const RRF_K = 60;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Hybrid search over a user's library: the video_text_search index and transcript chunk vectors,
+// merged with reciprocal rank fusion
+class SearchService {
+  constructor() {
+    this.candidateLimit = 50;
+    this.snippetsPerVideo = 3;
+    this.snippetChars = 240;
+    // Chunks below this similarity do not make a video a semantic match
+    this.minSimilarity = Math.max(0, parseFloat(process.env.SEARCH_MIN_SIMILARITY) || 0.3);
+  }
+
+  queryTerms(query) {
+    return [...new Set(query.toLowerCase().split(/\W+/).filter(term => term.length > 2))];
+  }
+
+  // Offsets of every query term occurrence in the text, for the client to highlight
+  findHighlights(text, terms) {
+    if (terms.length === 0) return [];
+
+    const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+    const highlights = [];
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      highlights.push({ offset: match.index, length: match[0].length });
+    }
+    return highlights;
+  }
+
+  // Cut long chunk text down to a window around the first matching term
+  buildSnippet(text, terms, chunk) {
+    const clean = text.replace(/\s+/g, ' ').trim();
+    let snippet = clean;
+
+    if (clean.length > this.snippetChars) {
+      const lower = clean.toLowerCase();
+      const firstMatch = Math.min(...terms.map(term => lower.indexOf(term)).filter(index => index >= 0), clean.length);
+      const start = firstMatch === clean.length ? 0 : Math.max(0, firstMatch - 80);
+      const end = Math.min(clean.length, start + this.snippetChars);
+      snippet = `${start > 0 ? '…' : ''}${clean.substring(start, end).trim()}${end < clean.length ? '…' : ''}`;
+    }
+
+    return {
+      text: snippet,
+      highlights: this.findHighlights(snippet, terms),
+      startTime: chunk.startTime,
+      endTime: chunk.endTime,
+      timestamp: QAServiceWithRAG.formatTimestamp(chunk.startTime)
+    };
+  }
+
+  async textSearch(userId, query) {
+    try {
+      const videos = await Video.find(
+        { userId, status: VIDEO_STATUS.COMPLETED, $text: { $search: query } },
+        { score: { $meta: 'textScore' } }
+      )
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(this.candidateLimit)
+        .select('_id')
+        .lean();
+
+      return videos.map(video => video._id.toString());
+    } catch (error) {
+      console.warn('⚠️ Text search failed:', error.message);
+      return [];
+    }
+  }
+
+  async vectorSearch(userId, videoIds, query) {
+    try {
+      const results = await VectorDBService.searchChunksAcrossVideos(videoIds, query, this.candidateLimit, { userId });
+
+      return results.documents.map((text, i) => ({
+        videoId: results.metadatas[i]?.videoId?.toString(),
+        text,
+        startTime: Number(results.metadatas[i]?.startTime) || 0,
+        endTime: Number(results.metadatas[i]?.endTime) || 0,
+        similarity: Math.max(0, Math.min(1, 1 - (results.distances[i] ?? 1)))
+      })).filter(chunk => chunk.videoId && chunk.text && chunk.similarity >= this.minSimilarity);
+    } catch (error) {
+      console.warn('⚠️ Vector search failed:', error.message);
+      return [];
+    }
+  }
+
+  // Matching lines of the flat "[mm:ss] text" transcript, scored by the share of query terms they contain
+  keywordMatches(transcript, terms) {
+    if (!transcript || terms.length === 0) return [];
+
+    return QAServiceWithRAG.parseTranscriptChunks(transcript)
+      .map(chunk => {
+        const lower = chunk.text.toLowerCase();
+        const matched = terms.filter(term => lower.includes(term)).length;
+        return { ...chunk, score: matched / terms.length };
+      })
+      .filter(chunk => chunk.score > 0);
+  }
+
+  async searchLibrary(userId, query, options = {}) {
+    const limit = Math.max(1, Math.min(50, parseInt(options.limit) || 10));
+    const trimmed = query.trim();
+    const terms = this.queryTerms(trimmed);
+
+    const completedIds = (await Video.find({ userId, status: VIDEO_STATUS.COMPLETED }).distinct('_id'))
+      .map(id => id.toString());
+
+    if (completedIds.length === 0) {
+      return { query: trimmed, results: [], total: 0 };
+    }
+
+    const [textIds, chunks] = await Promise.all([
+      this.textSearch(userId, trimmed),
+      this.vectorSearch(userId, completedIds, trimmed)
+    ]);
+
+    const ranked = new Map();
+    const entryFor = (videoId) => {
+      if (!ranked.has(videoId)) {
+        ranked.set(videoId, { videoId, score: 0, matchedBy: [], chunks: [] });
+      }
+      return ranked.get(videoId);
+    };
+
+    textIds.forEach((videoId, rank) => {
+      const entry = entryFor(videoId);
+      entry.score += 1 / (RRF_K + rank + 1);
+      entry.matchedBy.push('text');
+    });
+
+    // A video's semantic rank is the rank of its best chunk
+    const vectorRank = new Map();
+    chunks.forEach(chunk => {
+      if (!vectorRank.has(chunk.videoId)) vectorRank.set(chunk.videoId, vectorRank.size);
+      entryFor(chunk.videoId).chunks.push(chunk);
+    });
+    for (const [videoId, rank] of vectorRank) {
+      const entry = entryFor(videoId);
+      entry.score += 1 / (RRF_K + rank + 1);
+      entry.matchedBy.push('semantic');
+    }
+
+    const top = [...ranked.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    const videos = await Video.find({ _id: { $in: top.map(entry => entry.videoId) }, userId })
+      .select('title description storageKey storageDriver cloudinaryUrl language uploadedAt transcript')
+      .lean();
+    const videosById = new Map(videos.map(video => [video._id.toString(), video]));
+
+    const results = await Promise.all(top
+      .filter(entry => videosById.has(entry.videoId))
+      .map(async (entry) => {
+        const video = videosById.get(entry.videoId);
+
+        // Semantic chunks and literal transcript matches compete for the snippet slots
+        const candidates = [
+          ...entry.chunks.map(chunk => ({ ...chunk, score: chunk.similarity })),
+          ...this.keywordMatches(video.transcript, terms)
+        ].sort((a, b) => b.score - a.score);
+
+        const seen = new Set();
+        const snippets = [];
+        for (const candidate of candidates) {
+          const key = Math.floor(candidate.startTime);
+          if (seen.has(key)) continue;
+          seen.add(key);
+          snippets.push(this.buildSnippet(candidate.text, terms, candidate));
+          if (snippets.length >= this.snippetsPerVideo) break;
+        }
+
+        return {
+          video: {
+            id: video._id,
+            title: video.title,
+            description: video.description,
+            url: await StorageService.getVideoUrl(video),
+            language: video.language,
+            uploadedAt: video.uploadedAt
+          },
+          score: Number(entry.score.toFixed(6)),
+          matchedBy: entry.matchedBy,
+          snippets
+        };
+      }));
+
+    console.log(`🔎 Library search for user ${userId}: "${trimmed.substring(0, 80)}" → ${results.length} videos`);
+
+    return { query: trimmed, results, total: results.length };
+  }
+}
+
+export default new SearchService();
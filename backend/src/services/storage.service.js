@@ -0,0 +1,484 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Signed URLs stay valid this long unless the caller asks otherwise
+const DEFAULT_URL_TTL_SECONDS = 60 * 60;
+
+class StorageError extends Error {
+  constructor(message, code = 'STORAGE_ERROR') {
+    super(message);
+    this.name = 'StorageError';
+    this.code = code;
+  }
+}
+
+// Keys are relative, slash separated paths such as "videos/<uuid>.mp4"
+const assertValidKey = (key) => {
+  if (!key || typeof key !== 'string' || key.length > 512 ||
+      key.startsWith('/') || key.split('/').some(part => part === '' || part === '.' || part === '..') ||
+      !/^[A-Za-z0-9._\/-]+$/.test(key)) {
+    throw new StorageError(`Invalid storage key: ${key}`, 'INVALID_STORAGE_KEY');
+  }
+};
+
+// Move a file, copying when source and destination are on different devices
+const moveFile = async (source, destination) => {
+  try {
+    await fs.promises.rename(source, destination);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.promises.copyFile(source, destination);
+    await fs.promises.unlink(source);
+  }
+};
+
+// Cloudinary images (thumbnails) are uploaded to this folder, so their public IDs tell them apart
+// from the video resources every other key refers to
+const CLOUDINARY_IMAGE_FOLDER = 'video-qa-thumbnails';
+
+// Cloudinary: keys are public IDs. The SDK wrapper validates its credentials on import,
+// so it is only loaded once a Cloudinary-stored file is actually touched.
+class CloudinaryDriver {
+  constructor() {
+    this.name = 'cloudinary';
+    this.client = null;
+  }
+
+  resourceType(key) {
+    return key.startsWith(`${CLOUDINARY_IMAGE_FOLDER}/`) ? 'image' : 'video';
+  }
+
+  async getClient() {
+    if (!this.client) {
+      this.client = await import('../utils/cloudinary.js');
+    }
+    return this.client;
+  }
+
+  async put(localPath, key, { contentType } = {}) {
+    const { uploadOnCloudinary } = await this.getClient();
+    const response = await uploadOnCloudinary(localPath, contentType?.startsWith('image/')
+      ? { resource_type: 'image', folder: CLOUDINARY_IMAGE_FOLDER }
+      : {});
+
+    return { key: response.public_id, url: response.secure_url, size: response.bytes };
+  }
+
+  async getStream(key) {
+    const url = await this.getSignedUrl(key);
+    const response = await axios({
+      method: 'get',
+      url,
+      responseType: 'stream',
+      timeout: parseInt(process.env.DOWNLOAD_TOTAL_TIMEOUT_MS) || 300000
+    });
+    return response.data;
+  }
+
+  async getSignedUrl(key) {
+    const { getDeliveryUrl } = await this.getClient();
+    return getDeliveryUrl(key, this.resourceType(key));
+  }
+
+  async delete(key) {
+    const { deleteFromCloudinary } = await this.getClient();
+    await deleteFromCloudinary(key, { resource_type: this.resourceType(key) });
+  }
+
+  async exists(key) {
+    const { checkResourceExists } = await this.getClient();
+    return checkResourceExists(key, this.resourceType(key));
+  }
+
+  async healthCheck() {
+    const { healthCheck } = await this.getClient();
+    return healthCheck();
+  }
+}
+
+// Local disk under STORAGE_LOCAL_PATH; files are served by GET /api/storage/<key>
+// with an HMAC signature, so links expire like they would on a cloud bucket
+class LocalDriver {
+  constructor() {
+    this.name = 'local';
+    this.root = path.resolve(__dirname, '../..', process.env.STORAGE_LOCAL_PATH || './storage');
+    this.publicUrl = (process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+    this.secret = process.env.STORAGE_SIGNING_SECRET;
+
+    // Without a configured secret, links stop working when the process restarts
+    if (!this.secret) {
+      this.secret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+
+  resolve(key) {
+    assertValidKey(key);
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new StorageError(`Invalid storage key: ${key}`, 'INVALID_STORAGE_KEY');
+    }
+    return filePath;
+  }
+
+  async put(localPath, key) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await moveFile(localPath, filePath);
+
+    const { size } = await fs.promises.stat(filePath);
+    console.log(`💾 Stored ${key} on local disk (${(size / (1024 * 1024)).toFixed(2)}MB)`);
+    return { key, url: null, size };
+  }
+
+  async getStream(key) {
+    const filePath = this.resolve(key);
+    if (!(await this.exists(key))) {
+      throw new StorageError(`Stored file not found: ${key}`, 'STORAGE_NOT_FOUND');
+    }
+    return fs.createReadStream(filePath);
+  }
+
+  sign(key, expires) {
+    return crypto.createHmac('sha256', this.secret).update(`${key}:${expires}`).digest('hex');
+  }
+
+  async getSignedUrl(key, { expiresIn = DEFAULT_URL_TTL_SECONDS } = {}) {
+    assertValidKey(key);
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return `${this.publicUrl}/api/storage/${encodedKey}?expires=${expires}&signature=${this.sign(key, expires)}`;
+  }
+
+  // Check a link produced by getSignedUrl; returns the file path it grants access to, or null
+  verifySignedRequest(key, expires, signature) {
+    try {
+      const expiresAt = parseInt(expires);
+      if (!Number.isSafeInteger(expiresAt) || expiresAt < Date.now() / 1000) return null;
+      if (typeof signature !== 'string' || !/^[a-f0-9]{64}$/.test(signature)) return null;
+
+      const expected = Buffer.from(this.sign(key, expiresAt), 'hex');
+      if (!crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'))) return null;
+
+      return this.resolve(key);
+    } catch {
+      return null;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async exists(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(key));
+      return stats.isFile();
+    } catch {
+      return false;
+    }
+  }
+
+  async healthCheck() {
+    await fs.promises.mkdir(this.root, { recursive: true });
+    await fs.promises.access(this.root, fs.constants.W_OK);
+    return { status: 'healthy', message: `Writable: ${this.root}` };
+  }
+}
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as required by AWS Signature Version 4
+const awsEncode = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// S3 and S3-compatible servers (MinIO, R2, ...) over plain HTTP requests signed with SigV4.
+// Path-style addressing is the default because MinIO deployments rarely have bucket DNS.
+class S3Driver {
+  constructor() {
+    this.name = 's3';
+    this.bucket = process.env.S3_BUCKET;
+    this.region = process.env.S3_REGION || 'us-east-1';
+    this.accessKeyId = process.env.S3_ACCESS_KEY_ID;
+    this.secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+    this.forcePathStyle = (process.env.S3_FORCE_PATH_STYLE || 'true') !== 'false';
+    this.endpoint = new URL(process.env.S3_ENDPOINT || `https://s3.${this.region}.amazonaws.com`);
+    this.timeout = parseInt(process.env.DOWNLOAD_TOTAL_TIMEOUT_MS) || 300000;
+
+    if (!this.bucket || !this.accessKeyId || !this.secretAccessKey) {
+      throw new StorageError('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY', 'STORAGE_NOT_CONFIGURED');
+    }
+  }
+
+  objectUrl(key) {
+    assertValidKey(key);
+    const encodedKey = key.split('/').map(awsEncode).join('/');
+    const base = this.endpoint.pathname.replace(/\/+$/, '');
+
+    if (this.forcePathStyle) {
+      return new URL(`${this.endpoint.protocol}//${this.endpoint.host}${base}/${awsEncode(this.bucket)}/${encodedKey}`);
+    }
+    return new URL(`${this.endpoint.protocol}//${this.bucket}.${this.endpoint.host}${base}/${encodedKey}`);
+  }
+
+  signingKey(date) {
+    const dateKey = hmac(`AWS4${this.secretAccessKey}`, date);
+    return hmac(hmac(hmac(dateKey, this.region), 's3'), 'aws4_request');
+  }
+
+  // Signature for a canonical request; query must already hold every X-Amz-* parameter being signed
+  signature(method, url, headers, payloadHash, amzDate) {
+    const date = amzDate.substring(0, 8);
+    const signedHeaders = Object.keys(headers).sort();
+    const canonicalQuery = [...url.searchParams.entries()]
+      .map(([name, value]) => [awsEncode(name), awsEncode(value)])
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([name, value]) => `${name}=${value}`)
+      .join('&');
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery,
+      signedHeaders.map(name => `${name}:${String(headers[name]).trim()}\n`).join(''),
+      signedHeaders.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      `${date}/${this.region}/s3/aws4_request`,
+      sha256(canonicalRequest)
+    ].join('\n');
+
+    return {
+      signedHeaders: signedHeaders.join(';'),
+      credential: `${this.accessKeyId}/${date}/${this.region}/s3/aws4_request`,
+      signature: crypto.createHmac('sha256', this.signingKey(date)).update(stringToSign).digest('hex')
+    };
+  }
+
+  amzDate() {
+    return new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  async request(method, key, { body, headers = {}, responseType = 'json' } = {}) {
+    const url = this.objectUrl(key);
+    const amzDate = this.amzDate();
+    const payloadHash = 'UNSIGNED-PAYLOAD';
+    const signed = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]))
+    };
+    const { signedHeaders, credential, signature } = this.signature(method, url, signed, payloadHash, amzDate);
+
+    const { host, ...requestHeaders } = signed;
+    return axios({
+      method,
+      url: url.toString(),
+      data: body,
+      responseType,
+      timeout: this.timeout,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      validateStatus: () => true,
+      headers: {
+        ...requestHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${credential}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+      }
+    });
+  }
+
+  async put(localPath, key, { contentType } = {}) {
+    const { size } = await fs.promises.stat(localPath);
+    const response = await this.request('PUT', key, {
+      body: fs.createReadStream(localPath),
+      headers: {
+        'content-length': size,
+        ...(contentType && { 'content-type': contentType })
+      },
+      responseType: 'text'
+    });
+
+    if (response.status !== 200) {
+      throw new StorageError(`S3 upload failed with status ${response.status}`, 'STORAGE_UPLOAD_FAILED');
+    }
+
+    // Same contract as the other drivers: the local copy is gone once the bucket has it
+    await fs.promises.unlink(localPath).catch(() => {});
+    console.log(`☁️ Stored ${key} in bucket ${this.bucket} (${(size / (1024 * 1024)).toFixed(2)}MB)`);
+    return { key, url: null, size };
+  }
+
+  async getStream(key) {
+    const response = await this.request('GET', key, { responseType: 'stream' });
+    if (response.status !== 200) {
+      response.data.resume();
+      throw new StorageError(`S3 download of ${key} failed with status ${response.status}`,
+        response.status === 404 ? 'STORAGE_NOT_FOUND' : 'STORAGE_DOWNLOAD_FAILED');
+    }
+    return response.data;
+  }
+
+  // Presigned GET (query string authentication)
+  async getSignedUrl(key, { expiresIn = DEFAULT_URL_TTL_SECONDS } = {}) {
+    const url = this.objectUrl(key);
+    const amzDate = this.amzDate();
+    const date = amzDate.substring(0, 8);
+
+    url.searchParams.set('X-Amz-Algorithm', 'AWS4-HMAC-SHA256');
+    url.searchParams.set('X-Amz-Credential', `${this.accessKeyId}/${date}/${this.region}/s3/aws4_request`);
+    url.searchParams.set('X-Amz-Date', amzDate);
+    url.searchParams.set('X-Amz-Expires', String(Math.min(expiresIn, 7 * 24 * 60 * 60)));
+    url.searchParams.set('X-Amz-SignedHeaders', 'host');
+
+    const { signature } = this.signature('GET', url, { host: url.host }, 'UNSIGNED-PAYLOAD', amzDate);
+    url.searchParams.set('X-Amz-Signature', signature);
+    return url.toString();
+  }
+
+  async delete(key) {
+    const response = await this.request('DELETE', key, { responseType: 'text' });
+    if (response.status !== 204 && response.status !== 200 && response.status !== 404) {
+      throw new StorageError(`S3 delete of ${key} failed with status ${response.status}`, 'STORAGE_DELETE_FAILED');
+    }
+  }
+
+  async exists(key) {
+    const response = await this.request('HEAD', key, { responseType: 'text' });
+    if (response.status === 200) return true;
+    if (response.status === 404) return false;
+    throw new StorageError(`S3 lookup of ${key} failed with status ${response.status}`);
+  }
+
+  async healthCheck() {
+    // Any answer other than an auth failure proves the endpoint and credentials work
+    const response = await this.request('HEAD', '.healthcheck', { responseType: 'text' });
+    if (response.status === 403 || response.status >= 500) {
+      return { status: 'unhealthy', message: `Bucket ${this.bucket} returned ${response.status}` };
+    }
+    return { status: 'healthy', message: `Bucket ${this.bucket} is accessible` };
+  }
+}
+
+const DRIVERS = {
+  cloudinary: CloudinaryDriver,
+  local: LocalDriver,
+  s3: S3Driver
+};
+
+// Where uploaded videos live. STORAGE_DRIVER picks the driver for new files; each video
+// records the driver it was stored with, so switching drivers keeps older videos readable.
+class StorageService {
+  constructor() {
+    this.defaultDriver = (process.env.STORAGE_DRIVER || 'cloudinary').toLowerCase();
+    this.drivers = new Map();
+
+    if (!DRIVERS[this.defaultDriver]) {
+      console.warn(`⚠️ Unknown storage driver "${this.defaultDriver}", using local`);
+      this.defaultDriver = 'local';
+    }
+
+    console.log(`🗄️ Storage driver: ${this.defaultDriver}`);
+  }
+
+  driver(name = this.defaultDriver) {
+    if (!DRIVERS[name]) {
+      throw new StorageError(`Unknown storage driver: ${name}`, 'UNKNOWN_STORAGE_DRIVER');
+    }
+
+    if (!this.drivers.has(name)) {
+      const Driver = DRIVERS[name];
+      this.drivers.set(name, new Driver());
+    }
+    return this.drivers.get(name);
+  }
+
+  // Key for a new upload, e.g. "videos/2f1c....mp4"
+  createKey(originalName, prefix = 'videos') {
+    const extension = path.extname(originalName || '').toLowerCase().replace(/[^a-z0-9.]/g, '');
+    return `${prefix}/${crypto.randomUUID()}${extension}`;
+  }
+
+  // Move a local file into storage. The local file is removed once stored and kept on failure.
+  // Resolves to { driver, key, url, size }; url is a permanent public URL when the driver has one.
+  async put(localPath, { key, contentType, driver } = {}) {
+    const target = this.driver(driver);
+    const stored = await target.put(localPath, key || this.createKey(localPath), { contentType });
+    return { driver: target.name, ...stored };
+  }
+
+  async getStream(key, driver) {
+    return this.driver(driver).getStream(key);
+  }
+
+  async getSignedUrl(key, driver, options = {}) {
+    return this.driver(driver).getSignedUrl(key, options);
+  }
+
+  async delete(key, driver) {
+    return this.driver(driver).delete(key);
+  }
+
+  async exists(key, driver) {
+    return this.driver(driver).exists(key);
+  }
+
+  // Copy a stored file to a local path, e.g. for ffmpeg in the worker
+  async download(key, driver, destination) {
+    const stream = await this.getStream(key, driver);
+    await new Promise((resolve, reject) => {
+      const writer = fs.createWriteStream(destination);
+      stream.on('error', reject);
+      writer.on('error', reject);
+      writer.on('finish', resolve);
+      stream.pipe(writer);
+    });
+
+    const { size } = await fs.promises.stat(destination);
+    if (size === 0) {
+      throw new StorageError(`Stored file ${key} is empty`, 'STORAGE_EMPTY_FILE');
+    }
+    return size;
+  }
+
+  // Playback URL for a video document (lean or hydrated); null if it has no stored file
+  async getVideoUrl(video) {
+    if (video.storageKey) {
+      // Cloudinary URLs are permanent, so the one saved at upload time is reused
+      if (video.storageDriver === 'cloudinary' && video.cloudinaryUrl) {
+        return video.cloudinaryUrl;
+      }
+      try {
+        return await this.getSignedUrl(video.storageKey, video.storageDriver || 'cloudinary');
+      } catch (error) {
+        console.warn(`⚠️ Could not sign URL for ${video.storageKey}:`, error.message);
+        return null;
+      }
+    }
+
+    // Videos uploaded before storage keys existed
+    return video.cloudinaryUrl || null;
+  }
+
+  async healthCheck() {
+    const driver = this.driver();
+    return { driver: driver.name, ...(await driver.healthCheck()) };
+  }
+}
+
+export { StorageError };
+export default new StorageService();
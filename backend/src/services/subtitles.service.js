@@ -0,0 +1,124 @@
+import fs from 'fs';
+import path from 'path';
+import QAServiceWithRAG from './qa.service.js';
+import TranscriptSegmentService from './transcriptSegments.service.js';
+
+class SubtitleParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SubtitleParseError';
+  }
+}
+
+// "01:02:03,456" (SRT) or "01:02:03.456" / "02:03.456" (WebVTT) -> seconds
+const TIMING_PATTERN = /((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+// Subtitle files uploaded with a video. Their cues become the video's transcript, so processing
+// can skip speech-to-text and go straight to summary and embeddings.
+class SubtitleService {
+  constructor() {
+    this.extensions = ['.srt', '.vtt'];
+    this.maxFileSize = 5 * 1024 * 1024;
+    // Cues are grouped into transcript lines (the chunks Q&A retrieves) of about this many seconds
+    const chunkDuration = parseFloat(process.env.AUTO_CHUNK_DURATION);
+    this.chunkDuration = Number.isNaN(chunkDuration) ? 30 : Math.max(5, chunkDuration);
+  }
+
+  validateFile(file) {
+    const errors = [];
+
+    if (!this.extensions.includes(path.extname(file.originalname).toLowerCase())) {
+      errors.push(`Invalid subtitle file. Supported formats: ${this.extensions.join(', ')}`);
+    }
+
+    if (file.size > this.maxFileSize) {
+      errors.push(`Subtitle file must be less than ${this.maxFileSize / (1024 * 1024)}MB`);
+    }
+
+    return errors;
+  }
+
+  parseTime(label) {
+    const [clock, fraction] = label.split(/[.,]/);
+    const seconds = clock.split(':').map(Number).reduce((total, part) => total * 60 + part, 0);
+    return seconds + Number(`0.${fraction}`);
+  }
+
+  // Markup players render (<i>, <c.loud>, <00:01.000>, {\an8}) and common entities
+  cleanText(lines) {
+    return lines
+      .join(' ')
+      .replace(/<[^>]*>/g, '')
+      .replace(/\{\\[^}]*\}/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Cues of an SRT or WebVTT file, ordered by start time. Blocks without a timing line
+  // (WEBVTT header, NOTE, STYLE, REGION) are skipped, as are cues without text.
+  parse(content) {
+    const blocks = content.replace(/^﻿/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+    const cues = [];
+
+    for (const block of blocks) {
+      const lines = block.split('\n');
+      const timingIndex = lines.findIndex(line => TIMING_PATTERN.test(line));
+      if (timingIndex === -1) continue;
+
+      const [, start, end] = lines[timingIndex].match(TIMING_PATTERN);
+      const text = this.cleanText(lines.slice(timingIndex + 1));
+      const startTime = this.parseTime(start);
+      const endTime = this.parseTime(end);
+
+      if (!text || endTime < startTime) continue;
+      cues.push({ startTime, endTime, text });
+    }
+
+    if (cues.length === 0) {
+      throw new SubtitleParseError('Subtitle file has no timed captions');
+    }
+
+    return cues.sort((a, b) => a.startTime - b.startTime);
+  }
+
+  // The "[mm:ss] text" transcript and its segments (one per cue, with estimated word times)
+  toTranscript(cues) {
+    const lines = [];
+    const segments = [];
+
+    for (const cue of cues) {
+      let line = lines[lines.length - 1];
+      if (!line || cue.startTime - line.startTime >= this.chunkDuration) {
+        line = { startTime: cue.startTime, texts: [] };
+        lines.push(line);
+      }
+      line.texts.push(cue.text);
+
+      segments.push(TranscriptSegmentService.createSegment({
+        chunkIndex: lines.length - 1,
+        startTime: cue.startTime,
+        endTime: cue.endTime,
+        text: cue.text,
+        provider: 'subtitles'
+      }));
+    }
+
+    const transcript = lines
+      .map(line => `[${QAServiceWithRAG.formatTimestamp(line.startTime)}] ${line.texts.join(' ')}`)
+      .join('\n\n');
+
+    return { transcript, segments };
+  }
+
+  async readFile(filePath) {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    return this.toTranscript(this.parse(content));
+  }
+}
+
+export { SubtitleParseError };
+export default new SubtitleService();
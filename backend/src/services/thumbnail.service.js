@@ -0,0 +1,191 @@
+import path from 'path';
+import ffmpeg from 'fluent-ffmpeg';
+import Video from '../models/videos.model.js';
+import StorageService from './storage.service.js';
+import AudioChunkingService from './audio-chucking.service.js';
+import { TEMP_DIR, cleanupTempFile } from '../middleware/upload.middleware.js';
+
+const readNumber = (name, fallback, min) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : Math.max(min, value);
+};
+
+// Preview images of a video: a poster for the dashboard and a sprite sheet of keyframes for
+// scrub previews. The sprite is a grid of frameWidth x frameHeight tiles, left to right and top
+// to bottom, tile i showing the video at i * interval seconds. Long videos get a longer interval
+// so the sprite never has more than maxFrames tiles.
+class ThumbnailService {
+  constructor() {
+    this.interval = readNumber('THUMBNAIL_INTERVAL', 10, 1);
+    this.maxFrames = Math.floor(readNumber('THUMBNAIL_MAX_FRAMES', 100, 1));
+    this.columns = Math.floor(readNumber('THUMBNAIL_COLUMNS', 10, 1));
+    // 16:9 tiles; other aspect ratios are letterboxed
+    this.frameWidth = Math.round(readNumber('THUMBNAIL_FRAME_WIDTH', 160, 32) / 2) * 2;
+    this.frameHeight = Math.round((this.frameWidth * 9) / 16 / 2) * 2;
+    this.posterWidth = 640;
+  }
+
+  // Sprite layout for a video of this many seconds
+  planSprite(duration) {
+    const interval = Math.max(this.interval, duration / this.maxFrames);
+    const frameCount = Math.max(1, Math.ceil(duration / interval));
+
+    return {
+      interval: Math.round(interval * 1000) / 1000,
+      frameCount,
+      columns: Math.min(this.columns, frameCount),
+      rows: Math.ceil(frameCount / this.columns),
+      frameWidth: this.frameWidth,
+      frameHeight: this.frameHeight
+    };
+  }
+
+  runCommand(command, label, cancellation) {
+    return new Promise((resolve, reject) => {
+      command
+        .on('end', () => resolve())
+        .on('error', (err) => reject(new Error(`${label} failed: ${err.message}`)));
+
+      command.run();
+      const untrack = cancellation?.track(command);
+      command.on('end', () => untrack?.());
+      command.on('error', () => untrack?.());
+    });
+  }
+
+  // A frame a tenth of the way in (at most 10s), past the black frames many videos open with
+  async extractPoster(videoPath, outputPath, { duration, cancellation } = {}) {
+    const command = ffmpeg(videoPath)
+      .seekInput(Math.min(10, duration / 10))
+      .videoFilters(`scale='min(${this.posterWidth},iw)':-2`)
+      .outputOptions(['-frames:v 1', '-q:v 3'])
+      .output(outputPath);
+
+    await this.runCommand(command, 'Poster extraction', cancellation);
+  }
+
+  async extractSprite(videoPath, outputPath, layout, { cancellation } = {}) {
+    const { interval, columns, rows, frameWidth, frameHeight } = layout;
+    const command = ffmpeg(videoPath)
+      .videoFilters([
+        // One frame per interval, starting with the first one
+        `select='isnan(prev_selected_t)+gte(t-prev_selected_t,${interval})'`,
+        `scale=${frameWidth}:${frameHeight}:force_original_aspect_ratio=decrease`,
+        `pad=${frameWidth}:${frameHeight}:(ow-iw)/2:(oh-ih)/2`,
+        `tile=${columns}x${rows}`
+      ])
+      .outputOptions(['-vsync vfr', '-frames:v 1', '-q:v 5'])
+      .output(outputPath);
+
+    await this.runCommand(command, 'Keyframe sprite extraction', cancellation);
+  }
+
+  // Store a poster and sprite under new keys, both with the same driver; moves the files
+  async store(posterPath, spritePath) {
+    const poster = await StorageService.put(posterPath, {
+      key: StorageService.createKey('poster.jpg', 'thumbnails'),
+      contentType: 'image/jpeg'
+    });
+
+    try {
+      const sprite = await StorageService.put(spritePath, {
+        key: StorageService.createKey('sprite.jpg', 'thumbnails'),
+        contentType: 'image/jpeg',
+        driver: poster.driver
+      });
+      return { storageDriver: poster.driver, posterKey: poster.key, spriteKey: sprite.key };
+    } catch (error) {
+      await StorageService.delete(poster.key, poster.driver).catch(() => {});
+      throw error;
+    }
+  }
+
+  // Extract the poster and sprite of a downloaded video and store them. Resolves to the
+  // thumbnails field of the video: { storageDriver, posterKey, spriteKey, ...sprite layout }
+  async generate(videoPath, videoId, { duration, cancellation } = {}) {
+    const mediaDuration = duration ?? await AudioChunkingService.getAudioDuration(videoPath);
+    const layout = this.planSprite(mediaDuration);
+    const posterPath = path.join(TEMP_DIR, `${videoId}_poster.jpg`);
+    const spritePath = path.join(TEMP_DIR, `${videoId}_sprite.jpg`);
+
+    try {
+      console.log(`🖼️ Extracting poster and ${layout.frameCount} keyframes (every ${layout.interval}s) for video ${videoId}`);
+      await this.extractPoster(videoPath, posterPath, { duration: mediaDuration, cancellation });
+      await this.extractSprite(videoPath, spritePath, layout, { cancellation });
+
+      return {
+        ...await this.store(posterPath, spritePath),
+        interval: layout.interval,
+        frameCount: layout.frameCount,
+        columns: layout.columns,
+        frameWidth: layout.frameWidth,
+        frameHeight: layout.frameHeight
+      };
+    } finally {
+      await cleanupTempFile(posterPath);
+      await cleanupTempFile(spritePath);
+    }
+  }
+
+  // Generate and record the thumbnails of a video whose file is at videoPath
+  async createForVideo(video, videoPath, options = {}) {
+    const thumbnails = await this.generate(videoPath, video._id.toString(), options);
+    await Video.updateOne({ _id: video._id }, { $set: { thumbnails } }).setOptions({ withDeleted: true });
+    video.thumbnails = thumbnails;
+
+    console.log(`✅ Thumbnails stored for video ${video._id}`);
+    return thumbnails;
+  }
+
+  // Copy of another video's thumbnails for videoId (e.g. a linked duplicate), stored under new
+  // keys so that purging either video leaves the other's images alone. Null if there are none.
+  async copy(thumbnails, videoId) {
+    if (!thumbnails?.posterKey) return null;
+
+    const posterPath = path.join(TEMP_DIR, `${videoId}_poster.jpg`);
+    const spritePath = path.join(TEMP_DIR, `${videoId}_sprite.jpg`);
+
+    try {
+      await StorageService.download(thumbnails.posterKey, thumbnails.storageDriver, posterPath);
+      await StorageService.download(thumbnails.spriteKey, thumbnails.storageDriver, spritePath);
+
+      const { interval, frameCount, columns, frameWidth, frameHeight } = thumbnails;
+      return { ...await this.store(posterPath, spritePath), interval, frameCount, columns, frameWidth, frameHeight };
+    } finally {
+      await cleanupTempFile(posterPath);
+      await cleanupTempFile(spritePath);
+    }
+  }
+
+  // Fields added to the video JSON: thumbnailUrl and sprite ({ url, interval, frameCount,
+  // columns, frameWidth, frameHeight }), both null until the worker has extracted them
+  async getUrls(video) {
+    const thumbnails = video.thumbnails;
+    if (!thumbnails?.posterKey) {
+      return { thumbnailUrl: null, sprite: null };
+    }
+
+    const sign = key => StorageService.getSignedUrl(key, thumbnails.storageDriver).catch(error => {
+      console.warn(`⚠️ Could not sign URL for ${key}:`, error.message);
+      return null;
+    });
+    const [thumbnailUrl, spriteUrl] = await Promise.all([sign(thumbnails.posterKey), sign(thumbnails.spriteKey)]);
+    const { interval, frameCount, columns, frameWidth, frameHeight } = thumbnails;
+
+    return {
+      thumbnailUrl,
+      sprite: spriteUrl ? { url: spriteUrl, interval, frameCount, columns, frameWidth, frameHeight } : null
+    };
+  }
+
+  async remove(video) {
+    const thumbnails = video.thumbnails;
+    if (!thumbnails?.posterKey) return;
+
+    for (const key of [thumbnails.posterKey, thumbnails.spriteKey]) {
+      await StorageService.delete(key, thumbnails.storageDriver);
+    }
+  }
+}
+
+export default new ThumbnailService();
@@ -0,0 +1,99 @@
+import QAServiceWithRAG from './qa.service.js';
+
+const roundTime = time => Math.round(time * 1000) / 1000;
+
+// Structured transcript: timed segments with per-word times, stored on the video next to the
+// flat "[mm:ss] text" transcript so clients can seek to and highlight single words
+class TranscriptSegmentService {
+  // Word times spread over the segment in proportion to word length, for providers without word times
+  estimateWords(text, startTime, endTime) {
+    const words = text.split(/\s+/).filter(Boolean);
+    const weight = words.reduce((sum, word) => sum + word.length + 1, 0);
+    const span = Math.max(0, endTime - startTime);
+
+    let cursor = startTime;
+    return words.map(word => {
+      const wordStart = cursor;
+      cursor += span * (word.length + 1) / weight;
+      return { text: word, startTime: roundTime(wordStart), endTime: roundTime(cursor), confidence: null };
+    });
+  }
+
+  createSegment({ chunkIndex, startTime, endTime, text, words = [], confidence = null, provider = null }) {
+    const measured = words.length > 0;
+
+    return {
+      chunkIndex,
+      startTime: roundTime(startTime),
+      endTime: roundTime(Math.max(startTime, endTime)),
+      text: text.trim(),
+      words: measured
+        ? words.map(word => ({
+          text: word.text.trim(),
+          startTime: roundTime(word.start),
+          endTime: roundTime(word.end),
+          confidence: word.confidence ?? null
+        }))
+        : this.estimateWords(text, startTime, endTime),
+      wordTiming: measured ? 'provider' : 'estimated',
+      confidence,
+      provider
+    };
+  }
+
+  // Segments of stitched chunk transcriptions (RAGTranscriptionService.stitchTranscriptions).
+  // Provider segments are used where a chunk has them, except before the chunk's cut, inside the
+  // overlap the previous chunk covered already; otherwise the whole chunk is one segment.
+  fromTranscriptions(transcriptions) {
+    return transcriptions
+      .filter(chunk => !chunk.error && chunk.text.trim())
+      .flatMap(chunk => {
+        const cut = chunk.startTime;
+        const timed = (chunk.segments || [])
+          .filter(segment => segment.text?.trim() && (segment.start + segment.end) / 2 >= cut);
+
+        if (timed.length === 0) {
+          return [this.createSegment({
+            chunkIndex: chunk.chunkIndex,
+            startTime: cut,
+            endTime: chunk.endTime,
+            text: chunk.text,
+            provider: chunk.provider
+          })];
+        }
+
+        return timed.map(segment => this.createSegment({
+          chunkIndex: chunk.chunkIndex,
+          startTime: segment.start,
+          endTime: segment.end,
+          text: segment.text,
+          words: segment.words,
+          confidence: segment.confidence,
+          provider: chunk.provider
+        }));
+      });
+  }
+
+  // Stored segments; videos processed before segments carried text get them from the transcript
+  // lines, keeping the provider recorded for each chunk
+  forVideo(video) {
+    const stored = video.transcriptSegments || [];
+    if (stored.length > 0 && stored.every(segment => segment.text)) {
+      return stored;
+    }
+
+    const providers = new Map(stored.map(segment => [segment.chunkIndex, segment.provider]));
+    const chunks = QAServiceWithRAG.parseTranscriptChunks(video.transcript || '');
+
+    return chunks.map((chunk, i) => this.createSegment({
+      chunkIndex: chunk.chunkIndex,
+      startTime: chunk.startTime,
+      // The last line has no successor to end at
+      endTime: i === chunks.length - 1 ? Math.max(chunk.startTime, video.duration || 0) : chunk.endTime,
+      text: chunk.text,
+      provider: providers.get(chunk.chunkIndex) || null
+    }));
+  }
+}
+
+export default new TranscriptSegmentService();
@@ -1,35 +1,39 @@
 // import AudioChunkingService from './audio-chunking.service.js';
 import AudioChunkingService from "./audio-chucking.service.js"
-import STTService from './stt.service.js';
-import VectorDBService from './vectorDb.service.js';
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import TranscriptionProviders from './transcriptionProviders.service.js';
+import StorageService from './storage.service.js';
+import QAServiceWithRAG from './qa.service.js';
+import TranscriptSegmentService from './transcriptSegments.service.js';
+import LLMGateway from './llm.service.js';
 import fs from 'fs';
 import path from 'path';
 import { TEMP_DIR } from '../middleware/upload.middleware.js';
-import { v4 as uuidv4 } from 'uuid';
+import { PROCESSING_STAGE } from '../utils/constant.js';
 import axios from 'axios';
-import { pipeline } from 'stream';
+import { pipeline, Transform } from 'stream';
 import { promisify } from 'util';
 
 const streamPipeline = promisify(pipeline);
 
-// Validate environment variables
-const validateGeminiAPIKey = () => {
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) {
-    throw new Error('GEMINI_API_KEY environment variable is required');
-  }
-  return apiKey;
-};
-
-const genAI = new GoogleGenerativeAI(validateGeminiAPIKey());
-
 class RAGTranscriptionService {
   constructor() {
     this.maxVideoDuration = 5 * 60 * 60;
   }
 
-  async downloadVideo(videoUrl, tempFilePath) {
+  // Stream a URL into tempFilePath; resolves to { url, size, contentType } of the final response.
+  // URL imports pass the limits: validateUrl(url) is awaited for the URL and every redirect target,
+  // lookup resolves host names for the connection, acceptContentType(type) rejects a response
+  // before its body is read, and maxBytes caps the body. options.cancellation aborts the stream.
+  async downloadVideo(videoUrl, tempFilePath, options = {}) {
+    const {
+      maxBytes = 500 * 1024 * 1024,
+      maxRedirects = 5,
+      validateUrl,
+      lookup,
+      acceptContentType,
+      cancellation
+    } = options;
+
     try {
       console.log(`📥 Downloading video from: ${videoUrl}`);
       
@@ -38,16 +42,65 @@ class RAGTranscriptionService {
         throw new Error('Invalid video URL');
       }
 
-      const response = await axios({
-        method: 'get',
-        url: videoUrl,
-        responseType: 'stream',
-        timeout: parseInt(process.env.DOWNLOAD_TOTAL_TIMEOUT_MS) || 300000,
-        maxContentLength: 500 * 1024 * 1024, // 500MB
+      // Redirects are followed here rather than by axios, so each target is validated first
+      let url = videoUrl;
+      let response;
+      for (let redirects = 0; ; redirects++) {
+        await validateUrl?.(url);
+
+        response = await axios({
+          method: 'get',
+          url,
+          responseType: 'stream',
+          timeout: parseInt(process.env.DOWNLOAD_TOTAL_TIMEOUT_MS) || 300000,
+          maxContentLength: maxBytes,
+          maxRedirects: 0,
+          validateStatus: status => status >= 200 && status < 400,
+          // A proxy would resolve the host itself and bypass lookup
+          ...(lookup && { lookup, proxy: false })
+        });
+
+        if (response.status < 300) break;
+
+        response.data.destroy();
+        if (!response.headers.location) {
+          throw new Error(`Redirect ${response.status} without a location`);
+        }
+        if (redirects >= maxRedirects) {
+          throw Object.assign(new Error(`More than ${maxRedirects} redirects`), { code: 'TOO_MANY_REDIRECTS' });
+        }
+        url = new URL(response.headers.location, url).href;
+      }
+
+      const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      const contentLength = Number(response.headers['content-length']);
+
+      if (acceptContentType && !acceptContentType(contentType)) {
+        response.data.destroy();
+        throw Object.assign(new Error(`Unsupported content type: ${contentType || 'none'}`), { code: 'UNSUPPORTED_CONTENT_TYPE' });
+      }
+      const tooLarge = () => Object.assign(new Error(`File exceeds ${Math.round(maxBytes / (1024 * 1024))}MB`), { code: 'FILE_TOO_LARGE' });
+      if (contentLength > maxBytes) {
+        response.data.destroy();
+        throw tooLarge();
+      }
+
+      // Content-Length may be missing or wrong, so the body is counted as it arrives
+      let received = 0;
+      const limiter = new Transform({
+        transform(chunk, encoding, callback) {
+          received += chunk.length;
+          callback(received > maxBytes ? tooLarge() : null, chunk);
+        }
       });
 
-      const writer = fs.createWriteStream(tempFilePath);
-      await streamPipeline(response.data, writer);
+      const untrack = cancellation?.track({ kill: () => response.data.destroy(new Error('Download cancelled')) });
+      try {
+        const writer = fs.createWriteStream(tempFilePath);
+        await streamPipeline(response.data, limiter, writer);
+      } finally {
+        untrack?.();
+      }
       
       // Verify file was downloaded
       const stats = fs.statSync(tempFilePath);
@@ -56,72 +109,145 @@ class RAGTranscriptionService {
       }
       
       console.log(`✅ Video downloaded: ${tempFilePath} (${stats.size} bytes)`);
+      return { url, size: stats.size, contentType };
+    } catch (error) {
+      cancellation?.throwIfCancelled();
+      // The code tells callers which limit was hit
+      throw Object.assign(new Error(`Video download failed: ${error.message}`), { code: error.code });
+    }
+  }
+
+  // Copy the stored upload next to the worker; local-disk storage is read without any HTTP round trip
+  async fetchFromStorage({ storageKey, storageDriver }, tempFilePath) {
+    try {
+      console.log(`📥 Fetching ${storageKey} from ${storageDriver} storage`);
+      const size = await StorageService.download(storageKey, storageDriver, tempFilePath);
+      console.log(`✅ Video fetched: ${tempFilePath} (${size} bytes)`);
       return true;
     } catch (error) {
       throw new Error(`Video download failed: ${error.message}`);
     }
   }
 
-  async transcribeWithSTT(videoPath, language = 'english') {
-    let processingResult = null;
+  // Download stage: { path, size } of the run's copy of the video, skipped while the copy of an
+  // earlier stage or run still exists
+  async fetchSource(source, job, { checkpoint }) {
+    return checkpoint.stage(PROCESSING_STAGE.DOWNLOAD, async () => {
+      const videoPath = checkpoint.filePath('video.mp4');
 
-    try {
-      // Validate video file exists and is accessible
-      if (!fs.existsSync(videoPath)) {
-        throw new Error('Video file not found');
+      if (job) await job.updateProgress({ phase: 'download', progress: 10 });
+      if (typeof source === 'string') {
+        await this.downloadVideo(source, videoPath);
+      } else {
+        await this.fetchFromStorage(source, videoPath);
       }
+      return { path: videoPath, size: fs.statSync(videoPath).size };
+    }, output => fs.existsSync(output.path));
+  }
 
-      // Step 1: Chunk the audio
-      console.log('🎵 Starting audio chunking...');
-      processingResult = await AudioChunkingService.processVideoForChunking(videoPath);
-      
-      if (!processingResult.chunks || processingResult.chunks.length === 0) {
+  // Download, extract and chunk stages, each skipped when an earlier run left its files behind
+  async prepareAudioChunks(source, videoId, job, options) {
+    const { checkpoint, cancellation } = options;
+    const exists = output => fs.existsSync(output.path);
+
+    return checkpoint.stage(PROCESSING_STAGE.CHUNK, async () => {
+      const audio = await checkpoint.stage(PROCESSING_STAGE.EXTRACT, async () => {
+        const video = await this.fetchSource(source, job, options);
+
+        await cancellation?.checkpoint();
+        if (job) await job.updateProgress({ phase: 'chunking', progress: 30 });
+
+        console.log('🎵 Starting audio chunking...');
+        const audioPath = await AudioChunkingService.extractAudioWithRetry(video.path, {
+          fileName: path.basename(checkpoint.filePath('audio.wav')),
+          mediaType: options.mediaType,
+          cancellation
+        });
+        return { path: audioPath, duration: await AudioChunkingService.getAudioDuration(audioPath) };
+      }, exists);
+
+      const chunks = await AudioChunkingService.splitAudioIntoChunks(audio.path, TEMP_DIR, {
+        filePrefix: videoId,
+        cancellation
+      });
+      if (chunks.length === 0) {
         throw new Error('No audio chunks were created');
       }
+      return { chunks, totalDuration: audio.duration };
+    }, output => output.chunks.every(exists));
+  }
+
+  // Chunk the audio and transcribe each chunk with STT. Every transcribed chunk is checkpointed,
+  // so a retry only transcribes the rest, without fetching the video if no chunk is left.
+  async transcribeWithSTT(source, videoId, job, language = 'english', options = {}) {
+    const { checkpoint, cancellation } = options;
+
+    try {
+      const chunked = checkpoint.output(PROCESSING_STAGE.CHUNK);
+      const pending = chunked?.chunks.filter(chunk => !checkpoint.transcriptions.has(chunk.index));
+      const { chunks, totalDuration } = pending?.length === 0
+        ? chunked
+        : await this.prepareAudioChunks(source, videoId, job, options);
+
+      await cancellation?.checkpoint();
+      if (job) await job.updateProgress({ phase: 'transcription', progress: 60 });
 
-      // Step 2: Transcribe each chunk using STT
       console.log('🔊 Starting STT transcription...');
-      const transcriptions = await STTService.transcribeAudioChunks(
-        processingResult.chunks, 
-        language
+      const { transcriptions, summary } = await TranscriptionProviders.transcribeAudioChunks(
+        chunks, 
+        language,
+        {
+          provider: options.provider,
+          cancellation,
+          completed: checkpoint.transcriptions,
+          onChunk: transcription => checkpoint.saveTranscription(transcription),
+          // Transcription spans 60-80% of the job
+          onProgress: ({ completed, total }) => job?.updateProgress({
+            phase: 'transcription',
+            progress: 60 + Math.floor((completed / total) * 20),
+            chunksCompleted: completed,
+            totalChunks: total
+          })
+        }
       );
 
-      // Step 3: Combine transcriptions with timestamps
-      const fullTranscript = this.combineTranscriptions(transcriptions);
-      
-      // Step 4: Store chunks in vector database for RAG
-      console.log('💾 Storing chunks in vector database...');
-      await VectorDBService.storeVideoChunks(
-        path.basename(videoPath, path.extname(videoPath)),
-        transcriptions
-      );
+      if (summary.successfulChunks === 0) {
+        throw new Error('No audio chunks could be transcribed by any provider');
+      }
+
+      // Combine transcriptions with timestamps
+      const stitched = this.stitchTranscriptions(transcriptions);
+      const fullTranscript = this.combineTranscriptions(stitched);
 
       return {
         transcript: fullTranscript,
-        chunks: transcriptions,
-        duration: processingResult.totalDuration,
+        segments: TranscriptSegmentService.fromTranscriptions(stitched),
+        chunks: stitched,
+        duration: totalDuration,
         wordCount: fullTranscript.split(/\s+/).length,
         chunkCount: transcriptions.length
       };
-
     } catch (error) {
       console.error('STT transcription failed:', error);
       throw error;
-    } finally {
-      // Cleanup temporary files
-      if (processingResult) {
-        try {
-          AudioChunkingService.cleanupFiles([
-            processingResult.audioPath,
-            ...processingResult.chunks.map(c => c.path)
-          ]);
-        } catch (cleanupError) {
-          console.warn('Cleanup warning:', cleanupError.message);
-        }
-      }
     }
   }
 
+  // Overlapping chunks lose the words they repeat from the previous chunk and start at their cut,
+  // so the transcript, the summary and the vector index all see each stretch of audio once
+  stitchTranscriptions(transcriptions) {
+    let previous = null;
+
+    return transcriptions.map(chunk => {
+      const text = chunk.overlap > 0 && previous && !previous.error && !chunk.error
+        ? this.removeRepeatedLead(previous.text, chunk.text)
+        : chunk.text;
+      previous = chunk;
+      return { ...chunk, text, startTime: chunk.startTime + (chunk.overlap || 0), overlap: 0 };
+    });
+  }
+
+  // One timestamped line per stitched chunk
   combineTranscriptions(transcriptions) {
     return transcriptions
       .map(chunk => {
@@ -131,6 +257,28 @@ class RAGTranscriptionService {
       .join('\n\n');
   }
 
+  // Drop the words at the start of `text` that repeat the end of `previousText`. Up to two leading
+  // words may be fragments of a word cut at the overlap's start, so the match may begin after them.
+  removeRepeatedLead(previousText, text) {
+    const normalize = word => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+    const previousWords = previousText.split(/\s+/).map(normalize).filter(Boolean);
+    const words = text.split(/\s+/).filter(Boolean);
+    const normalized = words.map(normalize);
+
+    // A single shared word is too likely to be a coincidence
+    for (let size = Math.min(previousWords.length, words.length, 50); size >= 2; size--) {
+      const tail = previousWords.slice(-size).join(' ');
+      // Something must be left; a chunk heard entirely in the overlap is kept as it is
+      for (let skip = 0; skip <= 2 && skip + size < words.length; skip++) {
+        if (normalized.slice(skip, skip + size).join(' ') === tail) {
+          return words.slice(skip + size).join(' ');
+        }
+      }
+    }
+
+    return text;
+  }
+
   formatTimestamp(seconds) {
     const hrs = Math.floor(seconds / 3600);
     const mins = Math.floor((seconds % 3600) / 60);
@@ -145,8 +293,6 @@ class RAGTranscriptionService {
 
   async generateSummaryWithRAG(transcript, chunks, videoId, language = 'english') {
     try {
-      const model = genAI.getGenerativeModel({ model: "gemini-pro" });
-      
       const prompt = `
         Create a comprehensive summary of this video transcript in ${language}.
         
@@ -158,9 +304,8 @@ class RAGTranscriptionService {
         SUMMARY in ${language}:
       `;
 
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      return response.text().trim();
+      const { text } = await LLMGateway.generate('summary', prompt);
+      return text;
     } catch (error) {
       console.error('RAG summary generation error:', error);
       return this.generateFallbackSummary(transcript, language);
@@ -172,9 +317,58 @@ class RAGTranscriptionService {
     return `This ${wordCount}-word transcript contains valuable content. A detailed summary would analyze key themes and insights from the video.`;
   }
 
-  // Main transcription function
-  async transcribeVideo(videoUrl, videoId = null, job = null, language = 'english') {
-    let tempFilePath = null;
+  // Same result shape as transcribeVideo, built from a video's stored transcript instead of its audio.
+  // Chunk boundaries and providers come from transcriptSegments where the transcript lines match them;
+  // the video must be loaded with +transcriptSegments.
+  async rebuildFromTranscript(video, language = 'english', job = null, options = {}) {
+    console.log(`♻️ Reusing stored transcript for video: ${video._id}`);
+
+    // A chunk may have several segments; together they span the chunk
+    const segments = new Map();
+    for (const segment of video.transcriptSegments || []) {
+      const known = segments.get(segment.chunkIndex);
+      segments.set(segment.chunkIndex, known
+        ? { ...known, startTime: Math.min(known.startTime, segment.startTime), endTime: Math.max(known.endTime, segment.endTime) }
+        : { startTime: segment.startTime, endTime: segment.endTime, provider: segment.provider });
+    }
+    const chunks = QAServiceWithRAG.parseTranscriptChunks(video.transcript).map(chunk => {
+      const segment = segments.get(chunk.chunkIndex);
+      return {
+        text: chunk.text,
+        chunkIndex: chunk.chunkIndex,
+        startTime: segment?.startTime ?? chunk.startTime,
+        endTime: segment?.endTime ?? chunk.endTime,
+        provider: segment?.provider || null
+      };
+    });
+
+    if (chunks.length === 0) {
+      throw new Error('Stored transcript has no timestamped lines to reuse');
+    }
+
+    if (job) await job.updateProgress({ phase: 'summary', progress: 60 });
+    const summary = await options.checkpoint.stage(PROCESSING_STAGE.SUMMARY, () =>
+      this.generateSummaryWithRAG(video.transcript, chunks, video._id.toString(), language)
+    );
+
+    const wordCount = video.transcript.split(/\s+/).length;
+    return {
+      transcript: video.transcript,
+      segments: TranscriptSegmentService.forVideo(video),
+      summary,
+      duration: chunks[chunks.length - 1].endTime,
+      wordCount,
+      chunkCount: chunks.length,
+      chunks
+    };
+  }
+
+  // Main transcription function; source is { storageKey, storageDriver } or a legacy video URL.
+  // options.checkpoint is the job's ProcessingRun, whose saved stages are skipped;
+  // options.provider is tried first for every audio chunk; options.cancellation can stop it between steps
+  // options.mediaType 'audio' skips looking for a video stream in audio-only uploads
+  async transcribeVideo(source, videoId, job = null, language = 'english', options = {}) {
+    const { checkpoint, cancellation } = options;
 
     try {
       console.log(`🎬 Starting RAG-enhanced transcription for video: ${videoId}`);
@@ -184,25 +378,18 @@ class RAGTranscriptionService {
         fs.mkdirSync(TEMP_DIR, { recursive: true });
       }
 
-      // Download video
-      tempFilePath = path.join(TEMP_DIR, `${videoId || uuidv4()}.mp4`);
-      
-      if (job) await job.updateProgress({ phase: 'download', progress: 10 });
-      await this.downloadVideo(videoUrl, tempFilePath);
-      
-      if (job) await job.updateProgress({ phase: 'chunking', progress: 30 });
-      
-      // Transcribe with STT and chunking
-      if (job) await job.updateProgress({ phase: 'transcription', progress: 60 });
-      const sttResult = await this.transcribeWithSTT(tempFilePath, language);
+      const sttResult = await checkpoint.stage(PROCESSING_STAGE.TRANSCRIPTION, () =>
+        this.transcribeWithSTT(source, videoId, job, language, options)
+      );
+
+      // Video and audio files are only needed until every chunk is transcribed
+      await checkpoint.removeFiles();
       
       // Generate enhanced summary with RAG
+      await cancellation?.checkpoint();
       if (job) await job.updateProgress({ phase: 'summary', progress: 80 });
-      const summary = await this.generateSummaryWithRAG(
-        sttResult.transcript, 
-        sttResult.chunks, 
-        videoId, 
-        language
+      const summary = await checkpoint.stage(PROCESSING_STAGE.SUMMARY, () =>
+        this.generateSummaryWithRAG(sttResult.transcript, sttResult.chunks, videoId, language)
       );
 
       if (job) await job.updateProgress({ phase: 'completed', progress: 100 });
@@ -211,6 +398,7 @@ class RAGTranscriptionService {
 
       return {
         transcript: sttResult.transcript,
+        segments: sttResult.segments,
         summary,
         duration: sttResult.duration,
         wordCount: sttResult.wordCount,
@@ -220,38 +408,9 @@ class RAGTranscriptionService {
 
     } catch (error) {
       console.error("[RAGTranscription] Error:", error);
-      
-      // Fallback to Gemini if STT fails
-      return await this.fallbackToGemini(videoUrl, language);
-    } finally {
-      // Cleanup temp file
-      if (tempFilePath && fs.existsSync(tempFilePath)) {
-        try {
-          fs.unlinkSync(tempFilePath);
-        } catch (cleanupError) {
-          console.warn('Cleanup warning:', cleanupError.message);
-        }
-      }
+      throw error;
     }
   }
-
-  async fallbackToGemini(videoUrl, language) {
-    console.warn('Using Gemini fallback transcription');
-    const model = genAI.getGenerativeModel({ model: "gemini-pro" });
-    
-    const prompt = `Generate a realistic video transcript for a typical educational/technical video. Language: ${language}`;
-    const result = await model.generateContent(prompt);
-    const transcript = await result.response.text();
-    
-    return {
-      transcript,
-      summary: 'Summary generated using fallback service',
-      duration: 300,
-      wordCount: transcript.split(/\s+/).length,
-      chunkCount: 1,
-      chunks: []
-    };
-  }
 }
 
 export default new RAGTranscriptionService();
\ No newline at end of file
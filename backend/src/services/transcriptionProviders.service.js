@@ -0,0 +1,388 @@
+import fs from 'fs';
+import path from 'path';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import STTService from './stt.service.js';
+import LocalWhisperService from './wishperTranshcription.service.js';
+
+/*
+ * Every transcription provider implements the same interface:
+ *   name            - identifier used in TRANSCRIBE_PROVIDERS and stored on the video
+ *   capabilities    - { offline, segmentTimestamps, maxFileSize }
+ *   isConfigured()  - whether the provider can be used with the current env
+ *   transcribeChunk(audioPath, { language }) -> { text, segments? } (segment times relative to the chunk)
+ *                   segments: [{ start, end, text, confidence?, words?: [{ text, start, end, confidence? }] }]
+ *   healthCheck()   - { status, ... }
+ */
+
+class LocalWhisperProvider {
+  constructor() {
+    this.name = 'local-whisper';
+    this.capabilities = {
+      offline: true,
+      segmentTimestamps: true,
+      maxFileSize: null
+    };
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async transcribeChunk(audioPath, { language = 'english' } = {}) {
+    return LocalWhisperService.transcribeAudioChunk(audioPath, language);
+  }
+
+  async healthCheck() {
+    return LocalWhisperService.healthCheck();
+  }
+}
+
+class HuggingFaceProvider {
+  constructor() {
+    this.name = 'huggingface';
+    this.capabilities = {
+      offline: false,
+      segmentTimestamps: false,
+      maxFileSize: STTService.maxFileSize
+    };
+  }
+
+  isConfigured() {
+    return !!STTService.apiKey;
+  }
+
+  async transcribeChunk(audioPath, { language = 'english' } = {}) {
+    const text = await STTService.transcribeAudioChunk(audioPath, language);
+    return { text, segments: [] };
+  }
+
+  async healthCheck() {
+    return STTService.healthCheck();
+  }
+}
+
+// Sends the chunk audio inline to a multimodal Gemini model
+class GeminiProvider {
+  constructor() {
+    this.name = 'gemini';
+    this.model = process.env.GEMINI_TRANSCRIBE_MODEL || 'gemini-1.5-flash';
+    this.capabilities = {
+      offline: false,
+      segmentTimestamps: false,
+      maxFileSize: 20 * 1024 * 1024 // inline request payload limit
+    };
+    this.genAI = process.env.GEMINI_API_KEY ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY) : null;
+  }
+
+  isConfigured() {
+    return !!this.genAI;
+  }
+
+  async transcribeChunk(audioPath, { language = 'english' } = {}) {
+    const stats = fs.statSync(audioPath);
+    if (stats.size > this.capabilities.maxFileSize) {
+      throw new Error(`Audio chunk too large for Gemini: ${(stats.size / (1024 * 1024)).toFixed(2)}MB`);
+    }
+
+    const model = this.genAI.getGenerativeModel({ model: this.model });
+    const result = await model.generateContent([
+      {
+        inlineData: {
+          mimeType: 'audio/wav',
+          data: fs.readFileSync(audioPath).toString('base64')
+        }
+      },
+      {
+        text: `Transcribe the speech in this audio verbatim in ${language}. ` +
+          'Return only the transcript text, with no commentary. If there is no speech, return an empty response.'
+      }
+    ]);
+
+    const text = (await result.response).text().trim();
+    return { text, segments: [] };
+  }
+
+  async healthCheck() {
+    return {
+      service: 'gemini',
+      status: this.genAI ? 'healthy' : 'unhealthy',
+      model: this.model,
+      api_configured: !!this.genAI
+    };
+  }
+}
+
+// Hands out at most `requestsPerMinute` request slots in any 60 second window; 0 means unlimited
+class RateLimiter {
+  constructor(requestsPerMinute) {
+    this.requestsPerMinute = requestsPerMinute;
+    this.windowMs = 60 * 1000;
+    this.startedAt = [];
+    // Waiters are chained so slots go out in request order
+    this.queue = Promise.resolve();
+  }
+
+  acquire() {
+    if (!this.requestsPerMinute) {
+      return Promise.resolve();
+    }
+
+    const turn = this.queue.then(async () => {
+      for (;;) {
+        const now = Date.now();
+        this.startedAt = this.startedAt.filter(time => now - time < this.windowMs);
+        if (this.startedAt.length < this.requestsPerMinute) {
+          this.startedAt.push(now);
+          return;
+        }
+        await new Promise(resolve => setTimeout(resolve, this.windowMs - (now - this.startedAt[0])));
+      }
+    });
+    this.queue = turn;
+    return turn;
+  }
+}
+
+// Ordered set of providers from TRANSCRIBE_PROVIDERS; each chunk falls through them until one succeeds
+class TranscriptionProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.limiters = new Map();
+    // Chunks transcribed at the same time within one video
+    this.concurrency = Math.max(1, Math.min(16, parseInt(process.env.STT_CONCURRENCY) || 1));
+    this.register(new LocalWhisperProvider());
+    this.register(new HuggingFaceProvider());
+    this.register(new GeminiProvider());
+
+    this.order = this.parseOrder(process.env.TRANSCRIBE_PROVIDERS);
+    console.log('🔧 Transcription providers:', this.order.join(' → '), `(${this.concurrency} chunks at a time)`);
+  }
+
+  register(provider) {
+    for (const method of ['transcribeChunk', 'isConfigured', 'healthCheck']) {
+      if (typeof provider[method] !== 'function') {
+        throw new Error(`Transcription provider ${provider.name} must implement ${method}()`);
+      }
+    }
+    this.providers.set(provider.name, provider);
+    this.limiters.set(provider.name, new RateLimiter(this.rateLimitFor(provider.name)));
+  }
+
+  // Requests per minute from STT_RATE_LIMIT_<PROVIDER>, e.g. STT_RATE_LIMIT_GEMINI=15
+  rateLimitFor(name) {
+    const limit = parseInt(process.env[`STT_RATE_LIMIT_${name.toUpperCase().replace(/-/g, '_')}`]);
+    return Number.isFinite(limit) && limit > 0 ? limit : 0;
+  }
+
+  parseOrder(value) {
+    const names = (value || 'local-whisper,huggingface,gemini')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+
+    const known = names.filter(name => {
+      if (!this.providers.has(name)) {
+        console.warn(`⚠️ Unknown transcription provider "${name}" ignored`);
+        return false;
+      }
+      return true;
+    });
+
+    if (known.length === 0) {
+      throw new Error(`No valid transcription providers in TRANSCRIBE_PROVIDERS: ${value}`);
+    }
+
+    return [...new Set(known)];
+  }
+
+  // Configured providers in fallback order, optionally starting with a preferred one
+  getProviders(preferred = null) {
+    const order = preferred && this.providers.has(preferred)
+      ? [preferred, ...this.order.filter(name => name !== preferred)]
+      : this.order;
+
+    return order
+      .map(name => this.providers.get(name))
+      .filter(provider => provider.isConfigured());
+  }
+
+  async transcribeChunk(chunk, language = 'english', options = {}) {
+    const providers = this.getProviders(options.provider);
+    if (providers.length === 0) {
+      throw new Error('No transcription provider is configured');
+    }
+
+    const failures = [];
+    for (const provider of providers) {
+      try {
+        await this.limiters.get(provider.name).acquire();
+        const { text, segments = [] } = await provider.transcribeChunk(chunk.path, { language });
+        if (!text || !text.trim()) {
+          throw new Error('Empty transcription');
+        }
+
+        return {
+          text: text.trim(),
+          provider: provider.name,
+          segments: segments.map(segment => ({
+            start: chunk.startTime + segment.start,
+            end: Math.min(chunk.startTime + segment.end, chunk.endTime),
+            text: segment.text,
+            confidence: segment.confidence ?? null,
+            words: (segment.words || []).map(word => ({
+              text: word.text,
+              start: chunk.startTime + word.start,
+              end: Math.min(chunk.startTime + word.end, chunk.endTime),
+              confidence: word.confidence ?? null
+            }))
+          }))
+        };
+      } catch (error) {
+        console.warn(`⚠️ ${provider.name} failed on ${path.basename(chunk.path)}: ${error.message}`);
+        failures.push(`${provider.name}: ${error.message}`);
+      }
+    }
+
+    throw new Error(`All transcription providers failed (${failures.join('; ')})`);
+  }
+
+  // A chunk's transcription, or a placeholder when every provider failed on it
+  async transcribeOne(chunk, language, options) {
+    try {
+      const { text, provider, segments } = await this.transcribeChunk(chunk, language, options);
+
+      const transcription = {
+        text,
+        startTime: chunk.startTime,
+        endTime: chunk.endTime,
+        duration: chunk.duration,
+        overlap: chunk.overlap || 0,
+        chunkIndex: chunk.index,
+        provider,
+        segments,
+        error: false,
+        timestamp: new Date().toISOString()
+      };
+      await options.onChunk?.(transcription);
+      return transcription;
+    } catch (error) {
+      console.error(`❌ Failed to transcribe chunk ${chunk.index}:`, error.message);
+      return {
+        text: `[Audio segment ${STTService.formatTimestamp(chunk.startTime)}-${STTService.formatTimestamp(chunk.endTime)} could not be transcribed]`,
+        startTime: chunk.startTime,
+        endTime: chunk.endTime,
+        duration: chunk.duration,
+        overlap: chunk.overlap || 0,
+        chunkIndex: chunk.index,
+        provider: null,
+        error: true,
+        errorMessage: error.message
+      };
+    }
+  }
+
+  // Transcribes up to options.concurrency (default STT_CONCURRENCY) chunks at a time; results keep
+  // the order of `chunks`. options.completed maps chunk indexes to transcriptions to reuse,
+  // options.onChunk is awaited with each new successful transcription so it can be checkpointed,
+  // and options.onProgress with { completed, total } after every chunk.
+  async transcribeAudioChunks(chunks, language = 'english', options = {}) {
+    if (!Array.isArray(chunks) || chunks.length === 0) {
+      throw new Error('Invalid chunks array provided');
+    }
+
+    const concurrency = Math.max(1, Math.min(options.concurrency || this.concurrency, chunks.length));
+    const transcriptions = new Array(chunks.length);
+    let nextPosition = 0;
+    let completed = 0;
+    let stopError = null;
+
+    console.log(`\n🎯 Starting transcription of ${chunks.length} chunks, ${concurrency} at a time`);
+
+    const runWorker = async () => {
+      while (!stopError && nextPosition < chunks.length) {
+        const position = nextPosition++;
+        const chunk = chunks[position];
+
+        try {
+          // A cancellation must stop every worker, not mark a chunk failed
+          await options.cancellation?.checkpoint();
+
+          // Transcribed by an earlier attempt of the same job
+          const saved = options.completed?.get(chunk.index);
+          if (saved) {
+            transcriptions[position] = saved;
+            console.log(`⏭️ Chunk ${chunk.index} restored from checkpoint`);
+          } else {
+            console.log(`\n📝 Processing chunk ${chunk.index + 1}/${chunks.length}`);
+            transcriptions[position] = await this.transcribeOne(chunk, language, options);
+            if (!transcriptions[position].error) {
+              console.log(`🎉 Chunk ${chunk.index} completed by ${transcriptions[position].provider}`);
+            }
+          }
+
+          completed++;
+          await options.onProgress?.({ completed, total: chunks.length });
+        } catch (error) {
+          stopError = stopError || error;
+        }
+      }
+    };
+
+    // Workers stop taking chunks after an error and the ones still busy are awaited,
+    // so nothing keeps running once this returns
+    await Promise.all(Array.from({ length: concurrency }, runWorker));
+    if (stopError) {
+      throw stopError;
+    }
+
+    const providerCounts = {};
+    let successfulChunks = 0;
+    for (const transcription of transcriptions) {
+      if (!transcription.error) {
+        providerCounts[transcription.provider] = (providerCounts[transcription.provider] || 0) + 1;
+        successfulChunks++;
+      }
+    }
+
+    console.log(`\n📊 Transcription summary: ${successfulChunks}/${chunks.length} chunks successful`, providerCounts);
+
+    return {
+      transcriptions,
+      summary: {
+        totalChunks: chunks.length,
+        successfulChunks,
+        failedChunks: chunks.length - successfulChunks,
+        successRate: (successfulChunks / chunks.length) * 100,
+        providers: providerCounts
+      }
+    };
+  }
+
+  async healthCheck() {
+    const providers = {};
+
+    for (const name of this.order) {
+      const provider = this.providers.get(name);
+      try {
+        providers[name] = {
+          configured: provider.isConfigured(),
+          capabilities: provider.capabilities,
+          requestsPerMinute: this.limiters.get(name).requestsPerMinute || null,
+          ...(await provider.healthCheck())
+        };
+      } catch (error) {
+        providers[name] = { configured: provider.isConfigured(), status: 'unhealthy', error: error.message };
+      }
+    }
+
+    return {
+      service: 'transcription',
+      order: this.order,
+      concurrency: this.concurrency,
+      available: this.getProviders().map(provider => provider.name),
+      providers
+    };
+  }
+}
+
+export default new TranscriptionProviderRegistry();
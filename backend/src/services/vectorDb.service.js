@@ -1,35 +1,375 @@
-// Simple VectorDB service that will be enhanced later
+import { ChromaClient } from 'chromadb';
+import mongoose from 'mongoose';
+import TranscriptChunk from '../models/transcriptChunks.model.js';
+import { generateEmbeddings } from './embedding.service.js';
+
+// Cosine similarity between two equally sized vectors
+const cosineSimilarity = (a, b) => {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+// Lexical overlap score used when no embeddings are available
+const keywordSimilarity = (query, text) => {
+  const terms = query.toLowerCase().split(/\W+/).filter(term => term.length > 2);
+  if (terms.length === 0) return 0;
+
+  const textLower = text.toLowerCase();
+  const matches = terms.filter(term => textLower.includes(term));
+  return matches.length / terms.length;
+};
+
+// ChromaDB-backed store, used when CHROMA_URL is configured
+class ChromaVectorStore {
+  constructor(url, collectionName) {
+    const { hostname, port, protocol } = new URL(url);
+    this.client = new ChromaClient({
+      host: hostname,
+      port: Number(port) || (protocol === 'https:' ? 443 : 8000),
+      ssl: protocol === 'https:'
+    });
+    this.collectionName = collectionName;
+    this.collection = null;
+  }
+
+  async initialize() {
+    await this.client.heartbeat();
+    this.collection = await this.client.getOrCreateCollection({
+      name: this.collectionName,
+      configuration: { hnsw: { space: 'cosine' } },
+      embeddingFunction: null
+    });
+  }
+
+  async upsert(videoId, userId, records) {
+    const withEmbeddings = records.filter(record => Array.isArray(record.embedding));
+    if (withEmbeddings.length < records.length) {
+      console.warn(`⚠️ ${records.length - withEmbeddings.length} chunks have no embedding and were not indexed in ChromaDB`);
+    }
+    if (withEmbeddings.length === 0) return 0;
+
+    await this.collection.upsert({
+      ids: withEmbeddings.map(record => `${videoId}_${record.chunkIndex}`),
+      embeddings: withEmbeddings.map(record => record.embedding),
+      documents: withEmbeddings.map(record => record.text),
+      metadatas: withEmbeddings.map(record => ({
+        videoId,
+        userId,
+        chunkIndex: record.chunkIndex,
+        startTime: record.startTime,
+        endTime: record.endTime
+      }))
+    });
+
+    return withEmbeddings.length;
+  }
+
+  // videoId is a single ID or an array of IDs
+  async query(videoId, userId, queryText, queryEmbedding, topK) {
+    if (!queryEmbedding) {
+      throw new Error('ChromaDB search requires a query embedding');
+    }
+
+    const videoFilter = { videoId: Array.isArray(videoId) ? { $in: videoId } : { $eq: videoId } };
+    const where = userId
+      ? { $and: [videoFilter, { userId: { $eq: userId } }] }
+      : videoFilter;
+
+    const result = await this.collection.query({
+      queryEmbeddings: [queryEmbedding],
+      nResults: topK,
+      where,
+      include: ['documents', 'metadatas', 'distances']
+    });
+
+    return {
+      documents: result.documents[0] || [],
+      metadatas: result.metadatas[0] || [],
+      distances: result.distances[0] || []
+    };
+  }
+
+  async records(videoId) {
+    const result = await this.collection.get({
+      where: { videoId: { $eq: videoId } },
+      include: ['documents', 'metadatas', 'embeddings']
+    });
+
+    return result.ids.map((_id, i) => ({
+      chunkIndex: result.metadatas[i].chunkIndex,
+      text: result.documents[i],
+      startTime: result.metadatas[i].startTime,
+      endTime: result.metadatas[i].endTime,
+      embedding: result.embeddings[i]
+    }));
+  }
+
+  async deleteVideo(videoId) {
+    await this.collection.delete({ where: { videoId: { $eq: videoId } } });
+  }
+
+  async stats() {
+    return { collection: this.collectionName, count: await this.collection.count() };
+  }
+}
+
+// MongoDB-backed store with in-process cosine ranking; needs no external service
+class LocalVectorStore {
+  async initialize() {
+    return true;
+  }
+
+  async upsert(videoId, userId, records) {
+    if (records.length === 0) return 0;
+
+    await TranscriptChunk.insertMany(records.map(record => ({
+      videoId,
+      userId,
+      chunkIndex: record.chunkIndex,
+      text: record.text,
+      startTime: record.startTime,
+      endTime: record.endTime,
+      embedding: record.embedding || undefined
+    })));
+
+    return records.length;
+  }
+
+  async query(videoId, userId, queryText, queryEmbedding, topK) {
+    const chunks = await TranscriptChunk.findForSearch(videoId, userId);
+
+    const ranked = chunks
+      .map(chunk => {
+        const similarity = queryEmbedding && Array.isArray(chunk.embedding)
+          ? cosineSimilarity(queryEmbedding, chunk.embedding)
+          : keywordSimilarity(queryText, chunk.text);
+        return { chunk, similarity };
+      })
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, topK);
+
+    return {
+      documents: ranked.map(({ chunk }) => chunk.text),
+      metadatas: ranked.map(({ chunk }) => ({
+        videoId: chunk.videoId.toString(),
+        userId: chunk.userId,
+        chunkIndex: chunk.chunkIndex,
+        startTime: chunk.startTime,
+        endTime: chunk.endTime
+      })),
+      distances: ranked.map(({ similarity }) => 1 - similarity)
+    };
+  }
+
+  async records(videoId) {
+    const chunks = await TranscriptChunk.findForSearch(videoId);
+    return chunks.map(({ chunkIndex, text, startTime, endTime, embedding }) => ({ chunkIndex, text, startTime, endTime, embedding }));
+  }
+
+  async deleteVideo(videoId) {
+    await TranscriptChunk.deleteMany({ videoId });
+  }
+
+  async stats() {
+    return { collection: TranscriptChunk.collection.name, count: await TranscriptChunk.estimatedDocumentCount() };
+  }
+}
+
+// Vector store for transcript chunks: ChromaDB when configured, MongoDB otherwise
 class VectorDBService {
   constructor() {
     this.isInitialized = false;
+    this.store = null;
+    this.backend = null;
+    this.initPromise = null;
+    this.defaultTopK = Math.max(1, parseInt(process.env.SIMILARITY_TOP_K) || 5);
   }
 
   async initialize() {
-    console.log('🔧 VectorDB service initialized');
+    if (this.isInitialized) return true;
+    if (!this.initPromise) {
+      this.initPromise = this.selectBackend().finally(() => {
+        this.initPromise = null;
+      });
+    }
+    return this.initPromise;
+  }
+
+  async selectBackend() {
+    const preferred = (process.env.VECTOR_STORE || 'auto').toLowerCase();
+    const chromaUrl = process.env.CHROMA_URL;
+
+    if (preferred !== 'local' && chromaUrl) {
+      try {
+        const store = new ChromaVectorStore(chromaUrl, process.env.CHROMA_COLLECTION || 'video_transcripts');
+        await store.initialize();
+        this.store = store;
+        this.backend = 'chroma';
+        this.isInitialized = true;
+        console.log(`🔧 VectorDB service initialized with ChromaDB at ${chromaUrl}`);
+        return true;
+      } catch (error) {
+        if (preferred === 'chroma') {
+          throw new Error(`ChromaDB unavailable: ${error.message}`);
+        }
+        console.warn(`⚠️ ChromaDB unavailable (${error.message}), falling back to local vector index`);
+      }
+    }
+
+    this.store = new LocalVectorStore();
+    await this.store.initialize();
+    this.backend = 'local';
     this.isInitialized = true;
+    console.log('🔧 VectorDB service initialized with local MongoDB index');
     return true;
   }
 
-  async storeVideoChunks(videoId, chunks) {
-    console.log(`📚 Storing ${chunks.length} chunks for video ${videoId}`);
-    return true;
+  validateVideoId(videoId) {
+    const id = videoId?.toString();
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error(`Invalid video ID for vector store: ${videoId}`);
+    }
+    return id;
   }
 
-  async searchSimilarChunks(videoId, query, topK = 5) {
-    console.log(`🔍 Searching for similar chunks for query: "${query}"`);
-    return {
-      documents: [],
-      metadatas: [],
-      distances: []
-    };
+  // Embed and persist transcript chunks ({ text, startTime, endTime, chunkIndex }) for a video
+  async storeVideoChunks(videoId, chunks, options = {}) {
+    const id = this.validateVideoId(videoId);
+    const { userId } = options;
+
+    if (!userId || typeof userId !== 'string') {
+      throw new Error('userId is required to store video chunks');
+    }
+
+    if (!Array.isArray(chunks) || chunks.length === 0) {
+      console.warn(`⚠️ No chunks to store for video ${id}`);
+      return 0;
+    }
+
+    await this.initialize();
+
+    const usableChunks = chunks.filter(chunk => !chunk.error && chunk.text && chunk.text.trim().length > 0);
+    console.log(`📚 Storing ${usableChunks.length}/${chunks.length} chunks for video ${id} (${this.backend})`);
+
+    const records = [];
+    for (const [position, chunk] of usableChunks.entries()) {
+      const text = chunk.text.trim();
+      const embedding = await generateEmbeddings(text.substring(0, 10000));
+      records.push({
+        chunkIndex: Number.isInteger(chunk.chunkIndex) ? chunk.chunkIndex : position,
+        text,
+        startTime: Number(chunk.startTime) || 0,
+        endTime: Number(chunk.endTime) || Number(chunk.startTime) || 0,
+        embedding
+      });
+    }
+
+    // Re-indexing replaces whatever was stored for this video before
+    await this.store.deleteVideo(id);
+    const stored = await this.store.upsert(id, userId, records);
+
+    console.log(`✅ Stored ${stored} chunks for video ${id}`);
+    return stored;
+  }
+
+  // Top-k chunks of a video most similar to the query, in ChromaDB result shape
+  async searchSimilarChunks(videoId, query, topK = this.defaultTopK, options = {}) {
+    const id = this.validateVideoId(videoId);
+    const { userId } = options;
+
+    if (!query || typeof query !== 'string' || query.trim().length === 0) {
+      throw new Error('Search query must be a non-empty string');
+    }
+
+    await this.initialize();
+
+    const limit = Math.max(1, Math.min(50, parseInt(topK) || this.defaultTopK));
+    // Callers that already tried to embed the query pass the result, even a failed (null) one,
+    // so the embedding retries are not repeated
+    const queryEmbedding = 'queryEmbedding' in options
+      ? options.queryEmbedding
+      : await generateEmbeddings(query.trim());
+
+    console.log(`🔍 Searching ${limit} similar chunks in video ${id} for query: "${query.substring(0, 80)}"`);
+    return this.store.query(id, userId, query.trim(), queryEmbedding, limit);
+  }
+
+  // Top-k chunks across several videos (e.g. a user's whole library), in ChromaDB result shape
+  async searchChunksAcrossVideos(videoIds, query, topK = this.defaultTopK, options = {}) {
+    const ids = [...new Set(videoIds.map(videoId => this.validateVideoId(videoId)))];
+    const { userId } = options;
+
+    if (!query || typeof query !== 'string' || query.trim().length === 0) {
+      throw new Error('Search query must be a non-empty string');
+    }
+
+    if (ids.length === 0) {
+      return { documents: [], metadatas: [], distances: [] };
+    }
+
+    await this.initialize();
+
+    const limit = Math.max(1, Math.min(100, parseInt(topK) || this.defaultTopK));
+    const queryEmbedding = 'queryEmbedding' in options
+      ? options.queryEmbedding
+      : await generateEmbeddings(query.trim());
+
+    console.log(`🔍 Searching ${limit} similar chunks across ${ids.length} videos for query: "${query.substring(0, 80)}"`);
+    return this.store.query(ids, userId, query.trim(), queryEmbedding, limit);
+  }
+
+  // Index another video's chunks under targetVideoId, reusing their embeddings (duplicate uploads)
+  async copyVideoChunks(sourceVideoId, targetVideoId, options = {}) {
+    const sourceId = this.validateVideoId(sourceVideoId);
+    const targetId = this.validateVideoId(targetVideoId);
+    const { userId } = options;
+
+    if (!userId || typeof userId !== 'string') {
+      throw new Error('userId is required to copy video chunks');
+    }
+
+    await this.initialize();
+
+    const records = await this.store.records(sourceId);
+    await this.store.deleteVideo(targetId);
+    const stored = records.length > 0 ? await this.store.upsert(targetId, userId, records) : 0;
+
+    console.log(`📋 Copied ${stored} chunks from video ${sourceId} to ${targetId}`);
+    return stored;
+  }
+
+  async deleteVideoChunks(videoId) {
+    const id = this.validateVideoId(videoId);
+    await this.initialize();
+    await this.store.deleteVideo(id);
+    console.log(`🗑️ Deleted vector chunks for video ${id}`);
+    return true;
   }
 
   async healthCheck() {
+    await this.initialize();
+    const stats = await this.store.stats();
+
     return {
       status: 'ok',
-      message: 'VectorDB service is running'
+      message: 'VectorDB service is running',
+      backend: this.backend,
+      ...stats
     };
   }
 }
 
-export default new VectorDBService();
\ No newline at end of file
+export default new VectorDBService();
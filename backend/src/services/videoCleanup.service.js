@@ -0,0 +1,147 @@
+import fs from 'fs';
+import path from 'path';
+import Video from '../models/videos.model.js';
+import Question from '../models/questions.models.js';
+import Conversation from '../models/conversations.model.js';
+import VectorDBService from './vectorDb.service.js';
+import StorageService from './storage.service.js';
+import ThumbnailService from './thumbnail.service.js';
+import CancellationService from './cancellation.service.js';
+import ProcessingCheckpointService from './processingCheckpoint.service.js';
+import { processVideoQueue } from '../queues/video.queue.js';
+import { TEMP_DIR, cleanupTempFile } from '../middleware/upload.middleware.js';
+
+// Trash and permanent deletion of videos, including everything derived from them:
+// the stored file, thumbnails, questions, conversations, vector chunks, queue jobs and temp files
+class VideoCleanupService {
+  constructor() {
+    const retention = parseFloat(process.env.VIDEO_TRASH_RETENTION_DAYS);
+    // 0 turns deletion into an immediate purge
+    this.retentionDays = Number.isNaN(retention) ? 30 : Math.max(0, retention);
+
+    setInterval(() => this.purgeExpired(), 60 * 60 * 1000).unref();
+  }
+
+  // Drop the video's queue job unless a worker is running it; resolves to the job state found
+  async removeQueuedJob(videoId) {
+    try {
+      const job = await processVideoQueue.getJob(videoId);
+      if (!job) return 'none';
+
+      const state = await job.getState();
+      if (state === 'active') {
+        // A running job cannot be removed; it finds the video gone on its next attempt
+        return state;
+      }
+
+      await job.remove();
+      console.log(`🧹 Removed ${state} processing job for video ${videoId}`);
+      return state;
+    } catch (error) {
+      console.warn(`⚠️ Could not remove processing job for video ${videoId}:`, error.message);
+      return 'unknown';
+    }
+  }
+
+  // Files the worker left in TEMP_DIR for this video, e.g. "<videoId>.mp4"
+  async removeTempFiles(videoId) {
+    try {
+      const files = await fs.promises.readdir(TEMP_DIR);
+      const matches = files.filter(file => file.startsWith(videoId));
+      await Promise.all(matches.map(file => cleanupTempFile(path.join(TEMP_DIR, file))));
+      return matches.length;
+    } catch (error) {
+      console.warn(`⚠️ Could not clean temp files for video ${videoId}:`, error.message);
+      return 0;
+    }
+  }
+
+  async removeStoredFile(video) {
+    if (video.storageKey) {
+      await StorageService.delete(video.storageKey, video.storageDriver || 'cloudinary');
+    } else if (video.cloudinaryPublicId) {
+      // Uploaded before storage keys existed
+      await StorageService.delete(video.cloudinaryPublicId, 'cloudinary');
+    }
+  }
+
+  // Questions asked about the video; library questions only lose it from their video list
+  // and are removed once no video is left
+  async removeQuestions(videoId) {
+    const { deletedCount } = await Question.deleteMany({ videoId });
+
+    await Question.updateMany({ videoIds: videoId }, { $pull: { videoIds: videoId, sources: { videoId } } });
+    const orphaned = await Question.deleteMany({ videoId: null, videoIds: { $size: 0 } });
+
+    return deletedCount + orphaned.deletedCount;
+  }
+
+  async moveToTrash(video) {
+    await video.moveToTrash(this.retentionDays);
+
+    // Processing a trashed video is wasted work; restoring queues it again
+    const jobState = await this.removeQueuedJob(video._id.toString());
+    if (jobState !== 'active') {
+      await this.removeTempFiles(video._id.toString());
+    }
+
+    console.log(`🗑️ Video ${video._id} moved to trash until ${video.purgeAt.toISOString()}`);
+    return video;
+  }
+
+  // Delete the video and everything derived from it. The stored file goes first: if that fails
+  // the video stays (in the trash) so a later purge can retry.
+  async purgeVideo(video) {
+    const videoId = video._id.toString();
+
+    // A running job is told to stop; its final status update finds no video to write to
+    if (await this.removeQueuedJob(videoId) === 'active') {
+      await CancellationService.requestCancel(videoId);
+    }
+    await this.removeStoredFile(video);
+    await ThumbnailService.remove(video).catch(error =>
+      console.warn(`⚠️ Could not delete thumbnails of video ${videoId}:`, error.message)
+    );
+
+    const summary = { videoId, questions: 0, conversations: 0, tempFiles: 0, vectorChunks: false };
+
+    summary.questions = await this.removeQuestions(video._id);
+    summary.conversations = (await Conversation.deleteMany({ videoId: video._id })).deletedCount;
+
+    try {
+      summary.vectorChunks = await VectorDBService.deleteVideoChunks(videoId);
+    } catch (error) {
+      console.warn(`⚠️ Could not delete vector chunks for video ${videoId}:`, error.message);
+    }
+
+    summary.tempFiles = await this.removeTempFiles(videoId);
+    await ProcessingCheckpointService.discard(video._id);
+
+    await Video.deleteOne({ _id: video._id });
+
+    console.log(`🔥 Purged video ${videoId}:`, summary);
+    return summary;
+  }
+
+  // Purge trashed videos whose retention period has ended
+  async purgeExpired() {
+    try {
+      const videos = await Video.findExpiredTrash();
+
+      for (const video of videos) {
+        try {
+          await this.purgeVideo(video);
+        } catch (error) {
+          console.error(`❌ Failed to purge video ${video._id}:`, error.message);
+        }
+      }
+
+      return videos.length;
+    } catch (error) {
+      console.error('Error purging expired videos:', error.message);
+      return 0;
+    }
+  }
+}
+
+export default new VideoCleanupService();
@@ -2,6 +2,7 @@ import { v2 as cloudinary } from 'cloudinary';
 import fs from 'fs';
 import { promisify } from 'util';
 import path from 'path';
+import { SUPPORTED_AUDIO_EXTENSIONS } from './constant.js';
 
 // Enhanced configuration validation
 const validateCloudinaryConfig = () => {
@@ -47,8 +48,15 @@ try {
 const unlinkAsync = promisify(fs.unlink);
 const statAsync = promisify(fs.stat);
 
+// Extensions accepted per Cloudinary resource type; audio is stored as "video" resources too
+const ALLOWED_EXTENSIONS = {
+  video: ['.mp4', '.mpeg', '.mov', '.avi', '.wmv', '.flv', '.webm', '.mkv', ...SUPPORTED_AUDIO_EXTENSIONS],
+  // Thumbnails and keyframe sprites
+  image: ['.jpg', '.jpeg', '.png', '.webp']
+};
+
 // Enhanced file validation before upload
-const validateLocalFile = async (localFilePath) => {
+const validateLocalFile = async (localFilePath, resourceType = 'video') => {
   if (!localFilePath) {
     throw new Error('Local file path is required');
   }
@@ -72,7 +80,7 @@ const validateLocalFile = async (localFilePath) => {
   }
 
   // Basic file type validation by extension
-  const allowedExtensions = ['.mp4', '.mpeg', '.mov', '.avi', '.wmv', '.flv', '.webm', '.mkv'];
+  const allowedExtensions = ALLOWED_EXTENSIONS[resourceType] || [];
   const fileExtension = path.extname(localFilePath).toLowerCase();
   
   if (!allowedExtensions.includes(fileExtension)) {
@@ -88,7 +96,7 @@ const uploadOnCloudinary = async (localFilePath, options = {}) => {
 
   try {
     // Validate local file before upload
-    const fileStats = await validateLocalFile(localFilePath);
+    const fileStats = await validateLocalFile(localFilePath, options.resource_type || 'video');
     console.log(`📤 Preparing to upload file: ${path.basename(localFilePath)} (${(fileStats.size / (1024 * 1024)).toFixed(2)}MB)`);
 
     const uploadOptions = {
@@ -196,8 +204,8 @@ const deleteFromCloudinary = async (publicId, options = {}) => {
       throw new Error('Public ID is required and must be a string');
     }
 
-    // Validate public ID format (basic check)
-    if (publicId.includes('..') || publicId.includes('/')) {
+    // Validate public ID format (basic check); uploads live in a folder, so "/" is allowed
+    if (publicId.includes('..') || publicId.startsWith('/')) {
       throw new Error('Invalid public ID format');
     }
 
@@ -234,9 +242,9 @@ const deleteFromCloudinary = async (publicId, options = {}) => {
 };
 
 // Utility function to check if a resource exists
-const checkResourceExists = async (publicId) => {
+const checkResourceExists = async (publicId, resourceType = 'video') => {
   try {
-    const result = await cloudinary.api.resource(publicId, { resource_type: 'video' });
+    const result = await cloudinary.api.resource(publicId, { resource_type: resourceType });
     return !!result;
   } catch (error) {
     if (error.message.includes('not found')) {
@@ -260,6 +268,15 @@ const getResourceInfo = async (publicId) => {
   }
 };
 
+// Utility function to build the HTTPS delivery URL of a video (or image, e.g. a thumbnail)
+const getDeliveryUrl = (publicId, resourceType = 'video') => {
+  return cloudinary.url(publicId, {
+    resource_type: resourceType,
+    secure: true,
+    sign_url: true
+  });
+};
+
 // Health check function
 const healthCheck = async () => {
   try {
@@ -279,5 +296,6 @@ export {
   deleteFromCloudinary, 
   checkResourceExists, 
   getResourceInfo,
+  getDeliveryUrl,
   healthCheck 
 };
\ No newline at end of file
@@ -8,9 +8,27 @@ export const VIDEO_STATUS = {
   QUEUED: "queued",
   PROCESSING: "processing", 
   COMPLETED: "completed",
-  FAILED: "failed"
+  FAILED: "failed",
+  CANCELLED: "cancelled"
 };
 
+// Backends a stored file can live on (see storage.service.js)
+export const STORAGE_DRIVERS = ['cloudinary', 'local', 's3'];
+
+// Pipeline stages in the order a processing run goes through them; each one is checkpointed
+export const PROCESSING_STAGE = {
+  DOWNLOAD: "download",
+  THUMBNAILS: "thumbnails",
+  EXTRACT: "extract",
+  CHUNK: "chunk",
+  TRANSCRIPTION: "transcription",
+  SUMMARY: "summary",
+  EMBEDDINGS: "embeddings"
+};
+
+// A video left in processing this long is assumed abandoned by its worker and may be picked up again
+export const STALE_PROCESSING_MS = 30 * 60 * 1000;
+
 // Validate VIDEO_STATUS values
 export const isValidVideoStatus = (status) => {
   return Object.values(VIDEO_STATUS).includes(status);
@@ -26,6 +44,35 @@ export const SUPPORTED_VIDEO_FORMATS = [
   'video/x-matroska'
 ];
 
+// Audio-only uploads (podcasts, voice memos); browsers report several names for most of them
+export const SUPPORTED_AUDIO_FORMATS = [
+  'audio/mpeg',
+  'audio/mp3',
+  'audio/mp4',
+  'audio/x-m4a',
+  'audio/m4a',
+  'audio/wav',
+  'audio/x-wav',
+  'audio/wave',
+  'audio/vnd.wave',
+  'audio/ogg',
+  'audio/opus',
+  'audio/flac',
+  'audio/x-flac'
+];
+
+export const SUPPORTED_AUDIO_EXTENSIONS = ['.mp3', '.m4a', '.wav', '.ogg', '.oga', '.opus', '.flac'];
+
+export const MEDIA_TYPE = {
+  VIDEO: "video",
+  AUDIO: "audio"
+};
+
+// Media type of an upload from its MIME type
+export const getMediaType = (mimeType = '') => {
+  return SUPPORTED_AUDIO_FORMATS.includes(mimeType) ? MEDIA_TYPE.AUDIO : MEDIA_TYPE.VIDEO;
+};
+
 export const MAX_FILE_SIZE = 500 * 1024 * 1024; // 500MB
 
 export const SUPPORTED_LANGUAGES = [
@@ -43,6 +90,13 @@ export const validateVideoFormat = (mimeType, filename) => {
          allowedExtensions.includes(extension);
 };
 
+export const validateAudioFormat = (mimeType, filename) => {
+  const extension = filename ? `.${filename.toLowerCase().split('.').pop()}` : '';
+
+  return SUPPORTED_AUDIO_FORMATS.includes(mimeType) ||
+         SUPPORTED_AUDIO_EXTENSIONS.includes(extension);
+};
+
 export const validateFileSize = (size) => {
   return size <= MAX_FILE_SIZE && size > 0;
 };
@@ -78,10 +132,16 @@ validateConstants();
 export default {
   DB_NAME,
   VIDEO_STATUS,
+  PROCESSING_STAGE,
   SUPPORTED_VIDEO_FORMATS,
+  SUPPORTED_AUDIO_FORMATS,
+  SUPPORTED_AUDIO_EXTENSIONS,
+  MEDIA_TYPE,
   MAX_FILE_SIZE,
   SUPPORTED_LANGUAGES,
   validateVideoFormat,
+  validateAudioFormat,
+  getMediaType,
   validateFileSize,
   validateLanguage,
   isValidVideoStatus
@@ -1,7 +1,13 @@
-import { Worker } from 'bullmq';
+import { Worker, UnrecoverableError } from 'bullmq';
 import Video from '../models/videos.model.js';
 import { generateSummary, generateEmbeddings } from '../services/gemini.service.js';
 import RAGTranscriptionService from '../services/transcription.service.js';
+import VectorDBService from '../services/vectorDb.service.js';
+import CancellationService, { CancelledError, CANCELLED_REASON } from '../services/cancellation.service.js';
+import ProcessingCheckpointService from '../services/processingCheckpoint.service.js';
+import MediaImportService, { MediaImportError } from '../services/mediaImport.service.js';
+import ThumbnailService from '../services/thumbnail.service.js';
+import { STALE_PROCESSING_MS, VIDEO_STATUS, PROCESSING_STAGE, STORAGE_DRIVERS } from '../utils/constant.js';
 import redisClient from '../config/redis.js';
 import mongoose from 'mongoose';
 
@@ -13,11 +19,23 @@ const validateJobData = (jobData) => {
     errors.push('Invalid or missing videoId');
   }
 
-  if (!jobData.cloudinaryUrl || typeof jobData.cloudinaryUrl !== 'string') {
-    errors.push('Invalid or missing cloudinaryUrl');
-  }
+  // Jobs carry a storage key, or the URL of a video being imported; jobs queued before storage
+  // drivers existed carry a Cloudinary URL
+  if (jobData.importUrl !== undefined) {
+    if (typeof jobData.importUrl !== 'string' || !/^https?:\/\//.test(jobData.importUrl)) {
+      errors.push('Invalid importUrl');
+    }
+  } else if (jobData.storageKey !== undefined) {
+    if (typeof jobData.storageKey !== 'string' || jobData.storageKey.trim().length === 0) {
+      errors.push('Invalid storageKey');
+    }
 
-  if (!jobData.cloudinaryUrl.startsWith('https://')) {
+    if (!STORAGE_DRIVERS.includes(jobData.storageDriver)) {
+      errors.push('Invalid or missing storageDriver');
+    }
+  } else if (!jobData.cloudinaryUrl || typeof jobData.cloudinaryUrl !== 'string') {
+    errors.push('Invalid or missing storageKey');
+  } else if (!jobData.cloudinaryUrl.startsWith('https://')) {
     errors.push('Invalid cloudinaryUrl format');
   }
 
@@ -25,6 +43,14 @@ const validateJobData = (jobData) => {
     errors.push('Invalid language format');
   }
 
+  if (jobData.provider && typeof jobData.provider !== 'string') {
+    errors.push('Invalid provider format');
+  }
+
+  if (jobData.reuseTranscript !== undefined && typeof jobData.reuseTranscript !== 'boolean') {
+    errors.push('Invalid reuseTranscript flag');
+  }
+
   // Validate videoId format if it's supposed to be an ObjectId
   if (jobData.videoId && !mongoose.Types.ObjectId.isValid(jobData.videoId)) {
     errors.push('Invalid videoId format');
@@ -36,8 +62,15 @@ const validateJobData = (jobData) => {
 
   return {
     videoId: jobData.videoId.trim(),
-    cloudinaryUrl: jobData.cloudinaryUrl.trim(),
-    language: jobData.language?.trim() || 'english'
+    source: jobData.importUrl !== undefined
+      ? { importUrl: jobData.importUrl }
+      : jobData.storageKey !== undefined
+        ? { storageKey: jobData.storageKey.trim(), storageDriver: jobData.storageDriver }
+        : jobData.cloudinaryUrl.trim(),
+    language: jobData.language?.trim() || 'english',
+    // Reprocessing options
+    provider: jobData.provider?.trim() || null,
+    reuseTranscript: jobData.reuseTranscript === true
   };
 };
 
@@ -56,7 +89,8 @@ const atomicVideoUpdate = async (videoId, update, maxRetries = 3) => {
         { 
           new: true,
           runValidators: true,
-          session: session
+          session: session,
+          withDeleted: true
         }
       );
 
@@ -80,21 +114,27 @@ const atomicVideoUpdate = async (videoId, update, maxRetries = 3) => {
 export const processVideo = async (job) => {
   let video = null;
   let transactionSession = null;
+  let cancellation = null;
+  let checkpoint = null;
 
   try {
     console.log(`[EnhancedVideoProcessor] Starting processing for job: ${job.id}`);
     
     // Validate job data
-    const { videoId, cloudinaryUrl, language } = validateJobData(job.data);
+    const { videoId, source, language, provider, reuseTranscript } = validateJobData(job.data);
+
+    // Watches for POST /api/videos/:id/cancel while the job runs
+    cancellation = CancellationService.watch(videoId);
 
     // Start MongoDB session for transaction
     transactionSession = await mongoose.startSession();
     transactionSession.startTransaction();
 
     // Fetch video with session for atomic operations
-    video = await Video.findById(videoId).session(transactionSession);
+    video = await Video.findById(videoId).select('+transcriptSegments').session(transactionSession);
     if (!video) {
-      throw new Error(`Video not found: ${videoId}`);
+      // Deleted or trashed: retrying cannot help
+      throw new UnrecoverableError(`Video not found: ${videoId}`);
     }
 
     // Check for race conditions: ensure video is in queued state
@@ -115,17 +155,21 @@ export const processVideo = async (job) => {
         };
       }
       
-      // If processing, we might want to continue or abort based on business logic
-      if (video.status === 'processing') {
+      // If processing, we might want to continue or abort based on business logic.
+      // A job started again after its worker crashed left the status at processing itself
+      if (video.status === 'processing' && job.attemptsStarted <= 1) {
         // Check if processing started recently (within 30 minutes)
         const processingTime = new Date() - video.updatedAt;
-        if (processingTime < 30 * 60 * 1000) {
+        if (processingTime < STALE_PROCESSING_MS) {
           throw new Error(`Video ${videoId} is already being processed`);
         }
         // If stuck in processing for too long, we can retry
       }
     }
 
+    // Cancelled while still waiting in the queue
+    await cancellation.checkpoint();
+
     // Atomic status update to processing
     video.status = 'processing';
     video.processedAt = new Date();
@@ -136,14 +180,54 @@ export const processVideo = async (job) => {
     await transactionSession.endSession();
     transactionSession = null;
 
-    // Step 1: Transcribe with enhanced service
+    // Stages finished by an earlier attempt are skipped
+    checkpoint = await ProcessingCheckpointService.start(videoId, { source, language, provider, reuseTranscript });
+
+    // Imported media is downloaded and stored once; later attempts read the stored copy
+    let mediaSource = source;
+    if (source.importUrl) {
+      await cancellation.checkpoint();
+      mediaSource = video.storageKey
+        ? { storageKey: video.storageKey, storageDriver: video.storageDriver }
+        : await MediaImportService.importMedia(video, source.importUrl, { checkpoint, cancellation, job });
+    }
+
+    const reusingTranscript = reuseTranscript && !!video.transcript;
+
+    // Poster and keyframe sprite, extracted once per video. Previews are optional, so only a
+    // cancellation stops processing here.
+    if (video.mediaType !== 'audio' && !video.thumbnails?.posterKey) {
+      await cancellation.checkpoint();
+      await job.updateProgress({ phase: 'thumbnails', progress: 20 });
+      try {
+        await checkpoint.stage(PROCESSING_STAGE.THUMBNAILS, async () => {
+          // The download is shared with transcription, which skips fetching it again
+          const media = await RAGTranscriptionService.fetchSource(mediaSource, job, { checkpoint });
+          return ThumbnailService.createForVideo(video, media.path, {
+            duration: video.duration || undefined,
+            cancellation
+          });
+        });
+      } catch (error) {
+        if (error instanceof CancelledError || cancellation.cancelled) throw error;
+        console.warn(`⚠️ Could not extract thumbnails for video ${videoId}:`, error.message);
+      }
+      // Rebuilding from the transcript needs no media files
+      if (reusingTranscript) await checkpoint.removeFiles();
+    }
+
+    // Step 1: Transcribe with enhanced service, or rebuild chunks from the stored transcript
+    // when reprocessing only needs a new summary and embeddings
     await job.updateProgress({ phase: 'transcription', progress: 30 });
-    const transcriptionResult = await RAGTranscriptionService.transcribeVideo(
-      cloudinaryUrl, 
-      videoId, 
-      job, 
-      language
-    );
+    const transcriptionResult = reusingTranscript
+      ? await RAGTranscriptionService.rebuildFromTranscript(video, language, job, { checkpoint })
+      : await RAGTranscriptionService.transcribeVideo(
+        mediaSource, 
+        videoId, 
+        job, 
+        language,
+        { provider, cancellation, checkpoint, mediaType: video.mediaType }
+      );
     
     // Step 2: Generate summary
     await job.updateProgress({ phase: 'summary', progress: 70 });
@@ -151,21 +235,35 @@ export const processVideo = async (job) => {
     
     // Step 3: Generate embeddings (optional) with timeout
     await job.updateProgress({ phase: 'embeddings', progress: 90 });
-    let embeddings = null;
-    try {
-      // Set timeout for embedding generation
-      const embeddingPromise = generateEmbeddings(transcriptionResult.transcript);
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Embedding generation timeout')), 60000)
-      );
-      
-      embeddings = await Promise.race([embeddingPromise, timeoutPromise]);
-    } catch (embeddingError) {
-      console.warn(`Embedding generation failed: ${embeddingError.message}`);
-      // Continue without embeddings - they're optional
-    }
+
+    await cancellation.checkpoint();
+    const { embeddings } = await checkpoint.stage(PROCESSING_STAGE.EMBEDDINGS, async () => {
+      // Index transcript chunks for retrieval; Q&A degrades to no context if this fails
+      try {
+        await VectorDBService.storeVideoChunks(videoId, transcriptionResult.chunks, {
+          userId: video.userId
+        });
+      } catch (indexError) {
+        console.warn(`Vector indexing failed: ${indexError.message}`);
+      }
+
+      try {
+        // Set timeout for embedding generation
+        const embeddingPromise = generateEmbeddings(transcriptionResult.transcript);
+        const timeoutPromise = new Promise((_, reject) => 
+          setTimeout(() => reject(new Error('Embedding generation timeout')), 60000)
+        );
+        
+        return { embeddings: await Promise.race([embeddingPromise, timeoutPromise]) };
+      } catch (embeddingError) {
+        console.warn(`Embedding generation failed: ${embeddingError.message}`);
+        // Continue without embeddings - they're optional
+        return { embeddings: null };
+      }
+    });
     
     // Step 4: Atomic update with comprehensive results
+    await cancellation.checkpoint();
     transactionSession = await mongoose.startSession();
     transactionSession.startTransaction();
 
@@ -174,6 +272,8 @@ export const processVideo = async (job) => {
       {
         status: 'completed',
         transcript: transcriptionResult.transcript,
+        transcriptSegments: transcriptionResult.segments || [],
+        transcriptSource: reusingTranscript ? video.transcriptSource || 'stt' : 'stt',
         summary,
         embeddings,
         duration: transcriptionResult.duration,
@@ -183,7 +283,9 @@ export const processVideo = async (job) => {
       { 
         new: true,
         runValidators: true,
-        session: transactionSession
+        session: transactionSession,
+        // A video trashed mid-processing still gets its results, in case it is restored
+        withDeleted: true
       }
     );
 
@@ -195,6 +297,11 @@ export const processVideo = async (job) => {
     await transactionSession.endSession();
     transactionSession = null;
 
+    // Results are on the video now; a failure to drop the checkpoint only leaves a stale document
+    await ProcessingCheckpointService.discard(videoId).catch(error =>
+      console.warn(`Could not remove processing checkpoint: ${error.message}`)
+    );
+
     await job.updateProgress({ phase: 'completed', progress: 100 });
     
     console.log(`[EnhancedVideoProcessor] ✅ Completed: ${transcriptionResult.wordCount} words for video ${videoId}`);
@@ -221,6 +328,34 @@ export const processVideo = async (job) => {
       }
     }
 
+    // Cancelled on request: record it and stop BullMQ from retrying
+    if (error instanceof CancelledError || cancellation?.cancelled) {
+      if (video && video._id) {
+        try {
+          await atomicVideoUpdate(video._id, {
+            status: VIDEO_STATUS.CANCELLED,
+            error: null,
+            processedAt: new Date()
+          });
+          // Chunks indexed before the cancellation was seen
+          await VectorDBService.deleteVideoChunks(video._id.toString()).catch(() => {});
+        } catch (updateError) {
+          console.error('Failed to update video status to cancelled:', updateError);
+        }
+      }
+
+      // Saved stages stay for a later retry; the files would only sit in TEMP_DIR until then
+      await checkpoint?.removeFiles();
+      await CancellationService.clear(cancellation.videoId).catch(() => {});
+      console.log(`[EnhancedVideoProcessor] 🛑 Job ${job?.id} cancelled`);
+      throw new UnrecoverableError(CANCELLED_REASON);
+    }
+
+    // A URL that is blocked, too large or not media fails the same way on every attempt
+    if (error instanceof MediaImportError) {
+      error = new UnrecoverableError(error.message);
+    }
+
     // Update video status to failed with error details
     if (video && video._id) {
       try {
@@ -234,9 +369,16 @@ export const processVideo = async (job) => {
       }
     }
 
+    // No attempt left: keep the saved stages for a manual retry but not the temp files
+    if (error instanceof UnrecoverableError || job.attemptsMade + 1 >= (job.opts?.attempts || 1)) {
+      await checkpoint?.removeFiles();
+    }
+
     // Re-throw the error for BullMQ to handle
     throw error;
   } finally {
+    cancellation?.dispose();
+
     // Always clean up the session
     if (transactionSession) {
       try {
@@ -282,6 +424,7 @@ videoProcessorWorker.on('failed', (job, err) => {
     stack: err.stack,
     jobData: job?.data ? {
       videoId: job.data.videoId,
+      storageKey: job.data.storageKey || null,
       hasCloudinaryUrl: !!job.data.cloudinaryUrl
     } : 'No job data'
   });
@@ -0,0 +1,92 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import AudioChunkingService from '../src/services/audio-chucking.service.js';
+
+// A planner with fixed settings, independent of the environment the singleton was built from
+const createPlanner = (settings) => Object.assign(new AudioChunkingService.constructor(), {
+  chunkDuration: 30,
+  minChunkDuration: 15,
+  maxChunkDuration: 45,
+  overlap: 0,
+  ...settings
+});
+
+const pause = (start, end) => ({ start, end });
+
+describe('AudioChunkingService', () => {
+  describe('planSilenceCuts', () => {
+    test.each([
+      ['keeps audio up to max duration whole', 40, [pause(20, 21)], [0, 40]],
+      ['cuts in the middle of the longest pause in the window', 70, [pause(18, 19), pause(30, 32), pause(44, 44.5)], [0, 31, 70]],
+      ['prefers the later of two equally long pauses', 70, [pause(20, 21), pause(40, 41)], [0, 40.5, 70]],
+      ['ignores pauses before min duration', 60, [pause(5, 8), pause(25, 26)], [0, 25.5, 60]],
+      ['cuts at max duration without a pause in the window', 120, [pause(5, 6), pause(50, 51)], [0, 45, 90, 120]],
+      ['cuts at max duration without any pause', 100, [], [0, 45, 85, 100]],
+      ['skips a pause that would leave a final chunk under min duration', 50, [pause(43, 45)], [0, 35, 50]],
+      ['plans from each cut rather than from the start', 100, [pause(30, 31), pause(70, 71)], [0, 30.5, 70.5, 100]]
+    ])('%s', (label, duration, silences, cuts) => {
+      expect(createPlanner().planSilenceCuts(duration, silences)).toEqual(cuts);
+    });
+
+    test('keeps every chunk within max duration', () => {
+      const planner = createPlanner();
+      const cuts = planner.planSilenceCuts(600, [pause(100, 101), pause(400, 402)]);
+
+      for (let i = 1; i < cuts.length; i++) {
+        expect(cuts[i] - cuts[i - 1]).toBeLessThanOrEqual(planner.maxChunkDuration);
+      }
+      expect(cuts.at(-1) - cuts.at(-2)).toBeGreaterThanOrEqual(planner.minChunkDuration);
+    });
+
+    test('leaves a short final chunk only when max duration allows nothing else', () => {
+      const planner = createPlanner({ minChunkDuration: 15, maxChunkDuration: 20 });
+      expect(planner.planSilenceCuts(21, [])).toEqual([0, 15, 21]);
+    });
+  });
+
+  describe('planChunks', () => {
+    test.each([
+      ['fixed cuts', { overlap: 0 }, [
+        { startTime: 0, endTime: 30, overlap: 0 },
+        { startTime: 30, endTime: 60, overlap: 0 },
+        { startTime: 60, endTime: 70, overlap: 0 }
+      ]],
+      ['fixed cuts with an overlap', { overlap: 2 }, [
+        { startTime: 0, endTime: 30, overlap: 0 },
+        { startTime: 28, endTime: 60, overlap: 2 },
+        { startTime: 58, endTime: 70, overlap: 2 }
+      ]]
+    ])('plans %s', async (label, settings, ranges) => {
+      await expect(createPlanner(settings).planChunks('audio.wav', 70)).resolves.toEqual(ranges);
+    });
+
+    test('starts overlapping chunks before their silence cut', async () => {
+      const planner = createPlanner({ segmentation: 'silence', overlap: 1.5 });
+      jest.spyOn(planner, 'detectSilences').mockResolvedValue([pause(30, 32)]);
+
+      await expect(planner.planChunks('audio.wav', 70)).resolves.toEqual([
+        { startTime: 0, endTime: 31, overlap: 0 },
+        { startTime: 29.5, endTime: 70, overlap: 1.5 }
+      ]);
+    });
+
+    test('falls back to fixed cuts when silence detection fails', async () => {
+      const planner = createPlanner({ segmentation: 'silence' });
+      jest.spyOn(planner, 'detectSilences').mockRejectedValue(new Error('ffmpeg exited'));
+
+      const ranges = await planner.planChunks('audio.wav', 70);
+      expect(ranges.map(range => range.startTime)).toEqual([0, 30, 60]);
+    });
+
+    test('does not fall back once cancelled', async () => {
+      const planner = createPlanner({ segmentation: 'silence' });
+      jest.spyOn(planner, 'detectSilences').mockRejectedValue(new Error('ffmpeg was killed'));
+      const cancellation = {
+        throwIfCancelled() {
+          throw new Error('cancelled');
+        }
+      };
+
+      await expect(planner.planChunks('audio.wav', 70, { cancellation })).rejects.toThrow('cancelled');
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, test, expect } from '@jest/globals';
+import CaptionService from '../src/services/captions.service.js';
+
+// Transcript segment whose words are spoken `step` seconds apart from `start`
+const segment = (text, start = 0, step = 0.5) => {
+  const words = text.split(' ').map((word, i) => ({
+    text: word,
+    startTime: start + i * step,
+    endTime: start + (i + 1) * step
+  }));
+  return { text, startTime: start, endTime: start + words.length * step, words };
+};
+
+describe('CaptionService', () => {
+  test('formats SRT and WebVTT timestamps', () => {
+    expect(CaptionService.formatTimestamp(3725.5, ',')).toBe('01:02:05,500');
+    expect(CaptionService.formatTimestamp(0.0004, '.')).toBe('00:00:00.000');
+    expect(CaptionService.formatTimestamp(-3, '.')).toBe('00:00:00.000');
+  });
+
+  test('wraps words greedily to the line length', () => {
+    const lines = CaptionService.wrap('the quick brown fox jumps over the lazy dog and keeps on running far away'.split(' '));
+    expect(lines).toEqual(['the quick brown fox jumps over the lazy', 'dog and keeps on running far away']);
+    expect(lines.every(line => line.length <= CaptionService.maxLineLength)).toBe(true);
+
+    const long = 'x'.repeat(60);
+    expect(CaptionService.wrap(['a', long, 'b'])).toEqual(['a', long, 'b']);
+  });
+
+  test('splits a long segment into cues of at most maxLines lines', () => {
+    const text = Array.from({ length: 40 }, (_, i) => `word${i}`).join(' ');
+    const cues = CaptionService.buildCues([segment(text, 0, 0.1)]);
+
+    expect(cues.length).toBeGreaterThan(1);
+    expect(cues.every(cue => cue.lines.length <= CaptionService.maxLines)).toBe(true);
+    expect(cues.flatMap(cue => cue.lines).join(' ')).toBe(text);
+  });
+
+  test('splits cues that would stay on screen longer than maxDuration', () => {
+    const cues = CaptionService.buildCues([segment('one two three four five six seven', 10, 2)]);
+
+    expect(cues.length).toBeGreaterThan(1);
+    for (const cue of cues) {
+      expect(cue.endTime - cue.startTime).toBeLessThanOrEqual(CaptionService.maxDuration);
+    }
+  });
+
+  test('never runs a cue across segments or before the previous cue ends', () => {
+    const cues = CaptionService.buildCues([
+      segment('first segment', 0, 1),
+      // Overlaps the end of the first segment
+      segment('second segment', 1.5, 1)
+    ]);
+
+    expect(cues.map(cue => cue.lines.join(' '))).toEqual(['first segment', 'second segment']);
+    expect(cues[1].startTime).toBe(cues[0].endTime);
+  });
+
+  test('caps a single slow word at maxDuration', () => {
+    const [cue] = CaptionService.buildCues([{ text: 'hmm', words: [{ text: 'hmm', startTime: 4, endTime: 30 }] }]);
+    expect(cue).toMatchObject({ startTime: 4, endTime: 4 + CaptionService.maxDuration });
+  });
+
+  test('renders numbered SRT cues', () => {
+    const srt = CaptionService.toSrt(CaptionService.buildCues([segment('hello there', 1, 1), segment('general', 4, 1)]));
+    expect(srt).toBe('1\n00:00:01,000 --> 00:00:03,000\nhello there\n\n2\n00:00:04,000 --> 00:00:05,000\ngeneral\n');
+  });
+
+  test('escapes markup characters in WebVTT cue text', () => {
+    const vtt = CaptionService.toVtt(CaptionService.buildCues([segment('Q&A about <b> tags --> arrows', 0, 0.5)]));
+
+    expect(vtt.startsWith('WEBVTT\n\n00:00:00.000 --> ')).toBe(true);
+    expect(vtt).toContain('Q&amp;A about &lt;b&gt; tags --&gt; arrows');
+    expect(vtt.split('\n').slice(3).join('\n')).not.toMatch(/[<>]|&(?!amp;|lt;|gt;)/);
+  });
+
+  test('renders plain text and a safe file name', () => {
+    const file = CaptionService.render('txt', [segment('first line'), segment('second line')], 'My <talk>: part 1');
+    expect(file).toEqual({
+      content: 'first line\nsecond line\n',
+      contentType: 'text/plain; charset=utf-8',
+      fileName: 'My_talk_part_1.txt'
+    });
+  });
+});
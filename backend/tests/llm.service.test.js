@@ -0,0 +1,211 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import LLMGateway from '../src/services/llm.service.js';
+
+// A gateway configured from `env` like the singleton, without touching the singleton
+const createGateway = (env) => {
+  const previous = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+  Object.assign(process.env, env);
+  try {
+    return new LLMGateway.constructor();
+  } finally {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+};
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { status });
+
+// Adapter whose generate() fails with each of `errors` in turn, then answers
+const failingAdapter = (...errors) => {
+  const generate = jest.fn();
+  for (const error of errors) generate.mockRejectedValueOnce(error);
+  generate.mockResolvedValue({ text: 'recovered', usage: { promptTokens: 7, completionTokens: 3 } });
+
+  return { name: 'flaky', model: 'flaky-1', isConfigured: () => true, generate };
+};
+
+describe('LLMGateway', () => {
+  let gateway;
+  let backoffs;
+
+  beforeEach(() => {
+    gateway = createGateway({ LLM_PROVIDER: 'mock', LLM_MAX_RETRIES: '3' });
+
+    // Backoff waits are recorded instead of waited for; no jitter
+    backoffs = [];
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    jest.spyOn(global, 'setTimeout').mockImplementation((callback, ms) => {
+      backoffs.push(ms);
+      callback();
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('resolves each task to its provider and model', () => {
+    const configured = createGateway({ LLM_PROVIDER: 'mock', LLM_SUMMARY_PROVIDER: 'openai', LLM_SUMMARY_MODEL: 'qwen2.5' });
+
+    expect(configured.tasks).toEqual({
+      qa: { provider: 'mock', model: 'mock-1' },
+      summary: { provider: 'openai', model: 'qwen2.5' },
+      chapters: { provider: 'mock', model: 'mock-1' }
+    });
+    expect(createGateway({ LLM_PROVIDER: 'nonsense' }).tasks.qa.provider).toBe('gemini');
+  });
+
+  describe('MockAdapter', () => {
+    test('answers the same prompt the same way', async () => {
+      const first = await gateway.generate('qa', 'What is the talk about?');
+      const again = await createGateway({ LLM_PROVIDER: 'mock' }).generate('qa', 'What is the talk about?');
+      const other = await gateway.generate('qa', 'Who is speaking?');
+
+      expect(again.text).toBe(first.text);
+      expect(other.text).not.toBe(first.text);
+      expect(first).toMatchObject({ provider: 'mock', model: 'mock-1' });
+    });
+
+    test('cites the first timestamp in the prompt', async () => {
+      const { text } = await gateway.generate('qa', 'Context:\n[01:05] rivers\n[02:10] lakes');
+      expect(text).toMatch(/ \[01:05\]\.$/);
+    });
+
+    test('rejects an empty prompt', async () => {
+      await expect(gateway.generate('qa', '')).rejects.toThrow('Prompt must be a non-empty string');
+      await expect(gateway.generate('translation', 'hello')).rejects.toThrow('Unknown LLM task: translation');
+    });
+  });
+
+  describe('withRetry', () => {
+    test('retries server errors and rate limits with exponential backoff', async () => {
+      const adapter = failingAdapter(httpError(503), httpError(429), new Error('socket hang up'));
+      jest.spyOn(gateway, 'getAdapter').mockReturnValue(adapter);
+
+      const result = await gateway.generate('summary', 'Summarize this');
+
+      expect(result.text).toBe('recovered');
+      expect(adapter.generate).toHaveBeenCalledTimes(4);
+      expect(backoffs).toEqual([1000, 2000, 4000]);
+    });
+
+    test('gives up after LLM_MAX_RETRIES retries', async () => {
+      const adapter = failingAdapter(httpError(500), httpError(500), httpError(500), httpError(502), httpError(503));
+      jest.spyOn(gateway, 'getAdapter').mockReturnValue(adapter);
+
+      await expect(gateway.generate('summary', 'Summarize this')).rejects.toThrow('status code 502');
+      expect(adapter.generate).toHaveBeenCalledTimes(4);
+      expect(backoffs).toEqual([1000, 2000, 4000]);
+    });
+
+    test('caps the backoff at 30 seconds', async () => {
+      const patient = createGateway({ LLM_PROVIDER: 'mock', LLM_MAX_RETRIES: '7' });
+      const operation = jest.fn().mockRejectedValue(httpError(503));
+
+      await expect(patient.withRetry(operation, 'test')).rejects.toThrow('status code 503');
+      expect(operation).toHaveBeenCalledTimes(8);
+      expect(backoffs).toEqual([1000, 2000, 4000, 8000, 16000, 30000, 30000]);
+    });
+
+    test('does not retry client errors', async () => {
+      const adapter = failingAdapter(Object.assign(new Error('Bad request'), { response: { status: 400 } }));
+      jest.spyOn(gateway, 'getAdapter').mockReturnValue(adapter);
+
+      await expect(gateway.generate('qa', 'question')).rejects.toThrow('Bad request');
+      expect(adapter.generate).toHaveBeenCalledTimes(1);
+      expect(backoffs).toEqual([]);
+    });
+
+    test('does not retry with LLM_MAX_RETRIES=0', async () => {
+      const once = createGateway({ LLM_PROVIDER: 'mock', LLM_MAX_RETRIES: '0' });
+      const adapter = failingAdapter(httpError(503));
+      jest.spyOn(once, 'getAdapter').mockReturnValue(adapter);
+
+      await expect(once.generate('qa', 'question')).rejects.toThrow('status code 503');
+      expect(adapter.generate).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('stream', () => {
+    // Adapter whose generateStream() runs each of `attempts` in turn with the onToken callback
+    const streamingAdapter = (...attempts) => {
+      const generateStream = jest.fn();
+      for (const attempt of attempts) {
+        generateStream.mockImplementationOnce((prompt, options, onToken) => attempt(onToken));
+      }
+      return { name: 'flaky', model: 'flaky-1', isConfigured: () => true, generateStream };
+    };
+
+    const answer = async (onToken) => {
+      await onToken('Hello ');
+      await onToken('there');
+      return { text: 'Hello there', usage: { promptTokens: 4, completionTokens: 2 } };
+    };
+
+    test('streams the mock answer token by token', async () => {
+      const tokens = [];
+      const result = await gateway.stream('qa', 'What is the talk about?', { onToken: token => tokens.push(token) });
+
+      expect(tokens.length).toBeGreaterThan(1);
+      expect(tokens.join('')).toBe(result.text);
+      expect(result.text).toBe((await gateway.generate('qa', 'What is the talk about?')).text);
+    });
+
+    test('retries a stream that fails before its first token', async () => {
+      const adapter = streamingAdapter(() => Promise.reject(httpError(503)), answer);
+      jest.spyOn(gateway, 'getAdapter').mockReturnValue(adapter);
+      const tokens = [];
+
+      const result = await gateway.stream('qa', 'question', { onToken: token => tokens.push(token) });
+
+      expect(adapter.generateStream).toHaveBeenCalledTimes(2);
+      expect(tokens).toEqual(['Hello ', 'there']);
+      expect(result).toMatchObject({ text: 'Hello there', usage: { totalTokens: 6 } });
+    });
+
+    test('does not retry once a token has been sent', async () => {
+      const adapter = streamingAdapter(async (onToken) => {
+        await onToken('Hel');
+        throw httpError(503);
+      }, answer);
+      jest.spyOn(gateway, 'getAdapter').mockReturnValue(adapter);
+      const tokens = [];
+
+      await expect(gateway.stream('qa', 'question', { onToken: token => tokens.push(token) })).rejects.toThrow('status code 503');
+      expect(adapter.generateStream).toHaveBeenCalledTimes(1);
+      expect(tokens).toEqual(['Hel']);
+      expect(backoffs).toEqual([]);
+      expect(gateway.getUsage()).toEqual({});
+    });
+  });
+
+  describe('recordUsage', () => {
+    test('adds up tokens per task, provider and model', async () => {
+      const first = await gateway.generate('qa', 'first question');
+      const second = await gateway.generate('qa', 'a second, longer question');
+      jest.spyOn(gateway, 'getAdapter').mockReturnValue(failingAdapter(httpError(503)));
+      await gateway.generate('summary', 'Summarize this');
+
+      expect(first.usage.totalTokens).toBe(first.usage.promptTokens + first.usage.completionTokens);
+      expect(gateway.getUsage()).toEqual({
+        'qa:mock/mock-1': {
+          requests: 2,
+          promptTokens: first.usage.promptTokens + second.usage.promptTokens,
+          completionTokens: first.usage.completionTokens + second.usage.completionTokens,
+          totalTokens: first.usage.totalTokens + second.usage.totalTokens
+        },
+        // Failed attempts are not counted
+        'summary:flaky/flaky-1': { requests: 1, promptTokens: 7, completionTokens: 3, totalTokens: 10 }
+      });
+    });
+
+    test('hands out a copy of the totals', async () => {
+      await gateway.generate('qa', 'question');
+      gateway.getUsage()['qa:mock/mock-1'].requests = 99;
+
+      expect(gateway.getUsage()['qa:mock/mock-1'].requests).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+import fs from 'fs';
+import { Readable } from 'stream';
+import { describe, test, expect, afterEach } from '@jest/globals';
+import ResumableUploadService from '../src/services/resumableUpload.service.js';
+
+// Request body that sends the given chunks a moment apart, like a client on a network, and then
+// optionally fails like a dropped connection
+const body = (chunks, error = null) => Readable.from((async function* () {
+  for (const chunk of chunks) {
+    yield chunk;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  if (error) throw error;
+})());
+
+describe('ResumableUploadService', () => {
+  const uploads = [];
+
+  const createUpload = async (length) => {
+    const upload = await ResumableUploadService.create({
+      userId: 'user_test',
+      length,
+      metadata: { filename: 'clip.mp4' }
+    });
+    uploads.push(upload);
+    return upload;
+  };
+
+  afterEach(async () => {
+    await Promise.all(uploads.splice(0).map(upload => ResumableUploadService.remove(upload)));
+  });
+
+  test('parses Upload-Metadata pairs', () => {
+    const header = `filename ${Buffer.from('clip.mp4').toString('base64')},title ${Buffer.from('My clip').toString('base64')},flag`;
+    expect(ResumableUploadService.parseMetadata(header)).toEqual({ filename: 'clip.mp4', title: 'My clip', flag: '' });
+    expect(() => ResumableUploadService.parseMetadata('a YQ==,a Yg==')).toThrow('Invalid Upload-Metadata header');
+  });
+
+  test('appends chunks and reports the offset from the data file', async () => {
+    const created = await createUpload(10);
+
+    const offset = await ResumableUploadService.append(created, 0, body([Buffer.from('abc'), Buffer.from('de')]));
+    expect(offset).toBe(5);
+
+    const upload = await ResumableUploadService.get(created.id);
+    expect(upload.offset).toBe(5);
+    expect(await ResumableUploadService.append(upload, 5, body([Buffer.from('fghij')]))).toBe(10);
+  });
+
+  test('rejects a PATCH at the wrong offset', async () => {
+    const upload = await createUpload(10);
+    await ResumableUploadService.append(upload, 0, body([Buffer.from('abc')]));
+
+    await expect(ResumableUploadService.append(await ResumableUploadService.get(upload.id), 1, body([Buffer.from('x')])))
+      .rejects.toMatchObject({ status: 409, code: 'OFFSET_MISMATCH' });
+  });
+
+  test('keeps the bytes received before a client disconnects', async () => {
+    const upload = await createUpload(10);
+
+    const offset = await ResumableUploadService.append(upload, 0, body([Buffer.from('abcd')], new Error('aborted')));
+    expect(offset).toBe(4);
+    expect((await ResumableUploadService.get(upload.id)).offset).toBe(4);
+  });
+
+  test('drops a body that overflows Upload-Length without padding the file', async () => {
+    const created = await createUpload(100);
+    await ResumableUploadService.append(created, 0, body([Buffer.from('abc')]));
+
+    // A chunked body (no Content-Length) that runs past the declared length
+    const upload = await ResumableUploadService.get(created.id);
+    await expect(ResumableUploadService.append(upload, 3, body([Buffer.alloc(20, 1), Buffer.alloc(100, 2)])))
+      .rejects.toMatchObject({ status: 413, code: 'UPLOAD_TOO_LARGE' });
+
+    const resumed = await ResumableUploadService.get(created.id);
+    expect(resumed.offset).toBe(23);
+    const data = await fs.promises.readFile(ResumableUploadService.dataPath(resumed));
+    expect(data.subarray(3).every(byte => byte === 1)).toBe(true);
+  });
+});
@@ -0,0 +1,15 @@
+// Placeholder values for the variables config/env.js requires; tests never reach these services
+const testEnv = {
+  NODE_ENV: 'test',
+  MONGODB_URI: 'mongodb://localhost:27017/video-qa-test',
+  REDIS_HOST: 'localhost',
+  CLERK_SECRET_KEY: 'sk_test_placeholder_key',
+  GEMINI_API_KEY: 'test_placeholder_gemini_key',
+  CLOUDINARY_CLOUD_NAME: 'test',
+  CLOUDINARY_API_KEY: 'test_placeholder_key',
+  CLOUDINARY_API_SECRET: 'test_placeholder_secret'
+};
+
+for (const [name, value] of Object.entries(testEnv)) {
+  process.env[name] ??= value;
+}
@@ -0,0 +1,80 @@
+import { describe, test, expect } from '@jest/globals';
+import SubtitleService, { SubtitleParseError } from '../src/services/subtitles.service.js';
+
+const SRT = `1
+00:00:01,000 --> 00:00:03,500
+Hello <i>there</i>,
+
+2
+00:00:04,250 --> 00:00:06,000
+{\\an8}general &amp; friends
+second line
+`;
+
+const VTT = `WEBVTT - Lecture
+
+NOTE speaker notes are not captions
+
+STYLE
+::cue { color: yellow }
+
+intro
+00:05.000 --> 00:07.000 align:start position:10%
+<v Prof>Welcome <c.loud>back</c></v>
+
+01:00:00.000 --> 01:00:02.500
+An hour &lt;later&gt;
+`;
+
+describe('SubtitleService', () => {
+  test('parses SRT cues and strips markup', () => {
+    expect(SubtitleService.parse(SRT)).toEqual([
+      { startTime: 1, endTime: 3.5, text: 'Hello there,' },
+      { startTime: 4.25, endTime: 6, text: 'general & friends second line' }
+    ]);
+  });
+
+  test('parses WebVTT cues, skipping header, NOTE and STYLE blocks', () => {
+    expect(SubtitleService.parse(VTT)).toEqual([
+      { startTime: 5, endTime: 7, text: 'Welcome back' },
+      { startTime: 3600, endTime: 3602.5, text: 'An hour <later>' }
+    ]);
+  });
+
+  test('handles a byte order mark, CRLF line endings and unordered cues', () => {
+    const content = '\uFEFF2\r\n00:00:10,000 --> 00:00:11,000\r\nlater\r\n\r\n1\r\n00:00:02,000 --> 00:00:03,000\r\nearlier\r\n';
+    expect(SubtitleService.parse(content).map(cue => cue.text)).toEqual(['earlier', 'later']);
+  });
+
+  test('drops cues without text or ending before they start', () => {
+    const content = '00:00:01.000 --> 00:00:02.000\n<i></i>\n\n00:00:05.000 --> 00:00:04.000\nbackwards\n\n00:00:06.000 --> 00:00:07.000\nkept\n';
+    expect(SubtitleService.parse(content)).toEqual([{ startTime: 6, endTime: 7, text: 'kept' }]);
+  });
+
+  test('rejects files without timed captions', () => {
+    expect(() => SubtitleService.parse('WEBVTT\n\nNOTE nothing here\n')).toThrow(SubtitleParseError);
+    expect(() => SubtitleService.parse('')).toThrow('Subtitle file has no timed captions');
+  });
+
+  test('groups cues into timestamped transcript lines with one segment per cue', () => {
+    const cues = [
+      { startTime: 0, endTime: 2, text: 'one' },
+      { startTime: 10, endTime: 12, text: 'two' },
+      { startTime: SubtitleService.chunkDuration + 1, endTime: SubtitleService.chunkDuration + 3, text: 'three' }
+    ];
+    const { transcript, segments } = SubtitleService.toTranscript(cues);
+
+    expect(transcript.split('\n\n')).toEqual(['[00:00] one two', '[00:31] three']);
+    expect(segments.map(segment => [segment.chunkIndex, segment.text, segment.provider])).toEqual([
+      [0, 'one', 'subtitles'],
+      [0, 'two', 'subtitles'],
+      [1, 'three', 'subtitles']
+    ]);
+    expect(segments[0].words.map(word => word.text)).toEqual(['one']);
+  });
+
+  test('validates the extension and size of an uploaded file', () => {
+    expect(SubtitleService.validateFile({ originalname: 'captions.VTT', size: 100 })).toEqual([]);
+    expect(SubtitleService.validateFile({ originalname: 'captions.txt', size: 6 * 1024 * 1024 })).toHaveLength(2);
+  });
+});
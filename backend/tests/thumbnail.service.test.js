@@ -0,0 +1,92 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test, expect, beforeAll, afterAll, jest } from '@jest/globals';
+
+// Local-disk storage in a scratch directory; the services read it when first imported
+const storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'thumbnail-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_PATH = storageRoot;
+
+const { default: StorageService } = await import('../src/services/storage.service.js');
+const { default: ThumbnailService } = await import('../src/services/thumbnail.service.js');
+const { TEMP_DIR } = await import('../src/middleware/upload.middleware.js');
+
+// Store `content` the way the worker stores an extracted image
+const storeImage = async (name, content) => {
+  const localPath = path.join(TEMP_DIR, `thumbnail_test_${name}`);
+  await fs.promises.writeFile(localPath, content);
+  return StorageService.put(localPath, { key: StorageService.createKey(name, 'thumbnails'), contentType: 'image/jpeg' });
+};
+
+const readStored = (key) => fs.promises.readFile(path.join(storageRoot, key), 'utf8');
+
+describe('ThumbnailService', () => {
+  let source;
+
+  beforeAll(async () => {
+    const poster = await storeImage('poster.jpg', 'poster bytes');
+    const sprite = await storeImage('sprite.jpg', 'sprite bytes');
+    source = {
+      storageDriver: 'local',
+      posterKey: poster.key,
+      spriteKey: sprite.key,
+      interval: 10,
+      frameCount: 12,
+      columns: 10,
+      frameWidth: 160,
+      frameHeight: 90
+    };
+  });
+
+  afterAll(async () => {
+    await fs.promises.rm(storageRoot, { recursive: true, force: true });
+  });
+
+  test('plans one tile per interval, stretching the interval for long videos', () => {
+    expect(ThumbnailService.planSprite(35)).toEqual({
+      interval: 10, frameCount: 4, columns: 4, rows: 1, frameWidth: 160, frameHeight: 90
+    });
+    expect(ThumbnailService.planSprite(5000)).toMatchObject({ interval: 50, frameCount: 100, columns: 10, rows: 10 });
+    expect(ThumbnailService.planSprite(0)).toMatchObject({ frameCount: 1, columns: 1, rows: 1 });
+  });
+
+  test('copies thumbnails to keys of their own', async () => {
+    const copy = await ThumbnailService.copy(source, 'linkedvideo1');
+
+    expect(copy).toMatchObject({ storageDriver: 'local', interval: 10, frameCount: 12, columns: 10, frameWidth: 160, frameHeight: 90 });
+    expect(copy.posterKey).not.toBe(source.posterKey);
+    expect(copy.spriteKey).not.toBe(source.spriteKey);
+    expect(await readStored(copy.posterKey)).toBe('poster bytes');
+    expect(await readStored(copy.spriteKey)).toBe('sprite bytes');
+
+    // Purging the source leaves the copy's images in place
+    await ThumbnailService.remove({ thumbnails: source });
+    expect(await readStored(copy.posterKey)).toBe('poster bytes');
+    expect(fs.readdirSync(TEMP_DIR).filter(file => file.startsWith('linkedvideo1_'))).toEqual([]);
+  });
+
+  test('copies nothing from a video without thumbnails', async () => {
+    expect(await ThumbnailService.copy(null, 'linkedvideo2')).toBeNull();
+    expect(await ThumbnailService.copy({ posterKey: null }, 'linkedvideo2')).toBeNull();
+  });
+
+  test('removes the stored poster when the sprite cannot be stored', async () => {
+    const posterPath = path.join(TEMP_DIR, 'thumbnail_test_failed_poster.jpg');
+    await fs.promises.writeFile(posterPath, 'poster bytes');
+    const storePoster = StorageService.put.bind(StorageService);
+    const put = jest.spyOn(StorageService, 'put')
+      .mockImplementationOnce(storePoster)
+      .mockRejectedValueOnce(new Error('storage unavailable'));
+    const remove = jest.spyOn(StorageService, 'delete');
+
+    try {
+      await expect(ThumbnailService.store(posterPath, path.join(TEMP_DIR, 'missing_sprite.jpg'))).rejects.toThrow('storage unavailable');
+      const [[posterKey]] = remove.mock.calls;
+      expect(fs.existsSync(path.join(storageRoot, posterKey))).toBe(false);
+    } finally {
+      put.mockRestore();
+      remove.mockRestore();
+    }
+  });
+});
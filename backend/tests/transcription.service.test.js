@@ -0,0 +1,70 @@
+import { describe, test, expect } from '@jest/globals';
+import RAGTranscriptionService from '../src/services/transcription.service.js';
+
+// Chunk transcription as TranscriptionProviders returns it
+const chunk = (chunkIndex, startTime, endTime, text, overlap = 0, error = false) => ({
+  chunkIndex, startTime, endTime, text, overlap, error, provider: error ? null : 'local-whisper'
+});
+
+describe('RAGTranscriptionService', () => {
+  describe('removeRepeatedLead', () => {
+    test.each([
+      ['drops words repeated from the previous chunk',
+        'we walked all the way to the store', 'to the store and bought milk', 'and bought milk'],
+      ['ignores case and punctuation',
+        'Hello, World.', 'hello world! Nice to meet you', 'Nice to meet you'],
+      ['skips a leading fragment of a word cut at the overlap',
+        'the results of the experiment were clear', 'ment were clear and we moved on', 'and we moved on'],
+      ['skips two leading fragments',
+        'a truly remarkable finding indeed', 'a ble finding indeed so we continued', 'so we continued'],
+      ['keeps text after three leading fragments',
+        'a truly remarkable finding indeed', 'ark a ble finding indeed so we continued', 'ark a ble finding indeed so we continued'],
+      ['keeps a single shared word, which may be a coincidence',
+        'look at the cat', 'cat food is expensive', 'cat food is expensive'],
+      ['keeps a chunk heard entirely inside the overlap',
+        'we reached the end of the talk', 'end of the talk', 'end of the talk'],
+      ['keeps text that repeats nothing',
+        'first part of the talk', 'an unrelated sentence', 'an unrelated sentence'],
+      ['keeps text after an empty previous chunk',
+        '', 'fresh start here', 'fresh start here']
+    ])('%s', (label, previousText, text, expected) => {
+      expect(RAGTranscriptionService.removeRepeatedLead(previousText, text)).toBe(expected);
+    });
+
+    test('matches the longest repeated run', () => {
+      const previous = 'and then and then we left';
+      expect(RAGTranscriptionService.removeRepeatedLead(previous, 'and then we left early')).toBe('early');
+    });
+  });
+
+  describe('stitchTranscriptions', () => {
+    test('de-duplicates overlapping chunks and starts them at their cut', () => {
+      const stitched = RAGTranscriptionService.stitchTranscriptions([
+        chunk(0, 0, 30, 'welcome to the lecture on rivers'),
+        chunk(1, 28, 60, 'on rivers and how they flow', 2)
+      ]);
+
+      expect(stitched.map(({ chunkIndex, startTime, endTime, text, overlap }) => ({ chunkIndex, startTime, endTime, text, overlap }))).toEqual([
+        { chunkIndex: 0, startTime: 0, endTime: 30, text: 'welcome to the lecture on rivers', overlap: 0 },
+        { chunkIndex: 1, startTime: 30, endTime: 60, text: 'and how they flow', overlap: 0 }
+      ]);
+      expect(RAGTranscriptionService.combineTranscriptions(stitched))
+        .toBe('[00:00] welcome to the lecture on rivers\n\n[00:30] and how they flow');
+    });
+
+    test('leaves chunks next to a failed chunk as they were transcribed', () => {
+      const stitched = RAGTranscriptionService.stitchTranscriptions([
+        chunk(0, 0, 30, '[Audio segment 00:00-00:30 could not be transcribed]', 0, true),
+        chunk(1, 28, 60, 'could not be transcribed but this was', 2),
+        chunk(2, 58, 90, 'placeholder text', 2, true)
+      ]);
+
+      expect(stitched.map(({ text }) => text)).toEqual([
+        '[Audio segment 00:00-00:30 could not be transcribed]',
+        'could not be transcribed but this was',
+        'placeholder text'
+      ]);
+      expect(stitched.map(({ startTime }) => startTime)).toEqual([0, 30, 60]);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import TranscriptionProviders from '../src/services/transcriptionProviders.service.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Provider that takes `latencies[file]` ms per chunk file and fails on the files in `failing`
+const stubProvider = (name, latencies = {}, failing = []) => ({
+  name,
+  transcribeChunk: jest.fn(async (chunkPath) => {
+    await delay(latencies[chunkPath] ?? 5);
+    if (failing.includes(chunkPath)) throw new Error(`${name} could not hear ${chunkPath}`);
+    return { text: `${name} heard ${chunkPath}` };
+  }),
+  isConfigured: () => true,
+  healthCheck: async () => ({ status: 'healthy' })
+});
+
+// A registry using only `providers`, in that order
+const createRegistry = (...providers) => {
+  const registry = new TranscriptionProviders.constructor();
+  for (const provider of providers) registry.register(provider);
+  registry.order = providers.map(provider => provider.name);
+  return registry;
+};
+
+const chunks = (count) => Array.from({ length: count }, (_, index) => ({
+  index,
+  path: `chunk_${index}.wav`,
+  startTime: index * 30,
+  endTime: (index + 1) * 30,
+  duration: 30
+}));
+
+describe('TranscriptionProviderRegistry.transcribeAudioChunks', () => {
+  test('keeps the order of the chunks whatever order they finish in', async () => {
+    const provider = stubProvider('stub', { 'chunk_0.wav': 60, 'chunk_1.wav': 5, 'chunk_2.wav': 30, 'chunk_3.wav': 1 });
+    const finished = [];
+    const registry = createRegistry(provider);
+
+    const { transcriptions, summary } = await registry.transcribeAudioChunks(chunks(4), 'english', {
+      concurrency: 4,
+      onChunk: transcription => finished.push(transcription.chunkIndex)
+    });
+
+    expect(finished).not.toEqual([0, 1, 2, 3]);
+    expect(transcriptions.map(t => [t.chunkIndex, t.text, t.startTime])).toEqual([
+      [0, 'stub heard chunk_0.wav', 0],
+      [1, 'stub heard chunk_1.wav', 30],
+      [2, 'stub heard chunk_2.wav', 60],
+      [3, 'stub heard chunk_3.wav', 90]
+    ]);
+    expect(summary).toMatchObject({ totalChunks: 4, successfulChunks: 4, failedChunks: 0, providers: { stub: 4 } });
+  });
+
+  test('runs at most `concurrency` chunks at a time', async () => {
+    let running = 0;
+    let mostRunning = 0;
+    const provider = stubProvider('stub');
+    provider.transcribeChunk.mockImplementation(async (chunkPath) => {
+      mostRunning = Math.max(mostRunning, ++running);
+      await delay(10);
+      running--;
+      return { text: chunkPath };
+    });
+
+    await createRegistry(provider).transcribeAudioChunks(chunks(7), 'english', { concurrency: 3 });
+    expect(mostRunning).toBe(3);
+  });
+
+  test('reports progress once per chunk', async () => {
+    const progress = [];
+    const registry = createRegistry(stubProvider('stub', { 'chunk_0.wav': 40 }));
+
+    await registry.transcribeAudioChunks(chunks(5), 'english', {
+      concurrency: 2,
+      onProgress: update => progress.push(update)
+    });
+
+    expect(progress).toEqual([1, 2, 3, 4, 5].map(completed => ({ completed, total: 5 })));
+  });
+
+  test('falls back to the next provider and marks chunks no provider could hear', async () => {
+    const primary = stubProvider('primary', {}, ['chunk_1.wav', 'chunk_2.wav']);
+    const fallback = stubProvider('fallback', {}, ['chunk_2.wav']);
+    const saved = [];
+
+    const { transcriptions, summary } = await createRegistry(primary, fallback).transcribeAudioChunks(chunks(3), 'english', {
+      concurrency: 2,
+      onChunk: transcription => saved.push(transcription.chunkIndex)
+    });
+
+    expect(transcriptions.map(t => [t.provider, t.error])).toEqual([['primary', false], ['fallback', false], [null, true]]);
+    expect(transcriptions[2].text).toBe('[Audio segment 1:00-1:30 could not be transcribed]');
+    expect(saved.sort()).toEqual([0, 1]);
+    expect(summary).toMatchObject({ successfulChunks: 2, failedChunks: 1, providers: { primary: 1, fallback: 1 } });
+  });
+
+  test('reuses checkpointed transcriptions without transcribing them again', async () => {
+    const provider = stubProvider('stub');
+    const restored = { text: 'from an earlier attempt', chunkIndex: 1, startTime: 30, endTime: 60, provider: 'gemini', error: false };
+    const progress = [];
+
+    const { transcriptions, summary } = await createRegistry(provider).transcribeAudioChunks(chunks(3), 'english', {
+      concurrency: 2,
+      completed: new Map([[1, restored]]),
+      onProgress: ({ completed }) => progress.push(completed)
+    });
+
+    expect(provider.transcribeChunk.mock.calls.map(([chunkPath]) => chunkPath).sort()).toEqual(['chunk_0.wav', 'chunk_2.wav']);
+    expect(transcriptions[1]).toBe(restored);
+    expect(progress).toEqual([1, 2, 3]);
+    expect(summary.providers).toEqual({ stub: 2, gemini: 1 });
+  });
+
+  test('rejects on cancellation without marking chunks failed', async () => {
+    const provider = stubProvider('stub', { 'chunk_0.wav': 20, 'chunk_1.wav': 20 });
+    const cancelled = new Error('Processing cancelled by user: video1');
+    let checkpoints = 0;
+    const cancellation = {
+      // The third chunk sees the cancellation
+      checkpoint: async () => {
+        if (++checkpoints > 2) throw cancelled;
+      }
+    };
+    const saved = [];
+    const progress = [];
+
+    await expect(createRegistry(provider).transcribeAudioChunks(chunks(6), 'english', {
+      concurrency: 2,
+      cancellation,
+      onChunk: transcription => saved.push(transcription),
+      onProgress: ({ completed }) => progress.push(completed)
+    })).rejects.toBe(cancelled);
+
+    // The two chunks already running finish; no other chunk is started or recorded
+    expect(provider.transcribeChunk).toHaveBeenCalledTimes(2);
+    expect(saved.map(t => [t.chunkIndex, t.error])).toEqual([[0, false], [1, false]]);
+    expect(progress).toEqual([1, 2]);
+  });
+
+  test('rejects an empty chunk list', async () => {
+    await expect(createRegistry(stubProvider('stub')).transcribeAudioChunks([], 'english')).rejects.toThrow('Invalid chunks array provided');
+  });
+});
@@ -0,0 +1,59 @@
+import fs from 'fs';
+import express from 'express';
+import request from 'supertest';
+import { describe, test, expect } from '@jest/globals';
+import { TEMP_DIR, uploadVideoWithSubtitles, cleanupTempFiles } from '../src/middleware/upload.middleware.js';
+
+// The upload route's middleware in front of a handler that reports what reached it
+const app = express();
+app.post('/upload', uploadVideoWithSubtitles, async (req, res) => {
+  const files = [req.file?.originalname, req.subtitleFile?.originalname];
+  await cleanupTempFiles([req.file?.path, req.subtitleFile?.path]);
+  res.json({ files });
+});
+
+const MP3 = Buffer.concat([Buffer.from('ID3'), Buffer.from([0x04, 0x00, 0x00]), Buffer.alloc(64)]);
+const FRAME_SYNC_MP3 = Buffer.concat([Buffer.from([0xFF, 0xFB, 0x90, 0x64]), Buffer.alloc(64)]);
+const WAV = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WAVEfmt '), Buffer.alloc(64)]);
+const SRT = Buffer.from('1\n00:00:01,000 --> 00:00:02,000\nHello\n');
+
+// Temp files left behind by uploads named after `name`
+const leftovers = (name) => fs.readdirSync(TEMP_DIR).filter(file => file.includes(name));
+
+describe('uploadVideoWithSubtitles', () => {
+  test('accepts audio whose header matches its extension', async () => {
+    for (const [content, filename, contentType] of [
+      [MP3, 'id3_tagged.mp3', 'audio/mpeg'],
+      [FRAME_SYNC_MP3, 'frame_sync.mp3', 'audio/mpeg'],
+      [WAV, 'recording.wav', 'audio/wav']
+    ]) {
+      const res = await request(app)
+        .post('/upload')
+        .attach('video', content, { filename, contentType });
+
+      expect(res.status).toBe(200);
+      expect(res.body.files[0]).toBe(filename);
+    }
+  });
+
+  test('rejects an .mp3 whose content is not MPEG audio', async () => {
+    const res = await request(app)
+      .post('/upload')
+      .attach('video', Buffer.from('<html>not audio at all</html>'), { filename: 'fake_audio_upload.mp3', contentType: 'audio/mpeg' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_FILE_SIGNATURE');
+    expect(leftovers('fake_audio_upload')).toEqual([]);
+  });
+
+  test('rejects a WAV header sent as a video and removes its subtitles', async () => {
+    const res = await request(app)
+      .post('/upload')
+      .attach('video', WAV, { filename: 'renamed_wav_upload.avi', contentType: 'video/x-msvideo' })
+      .attach('subtitles', SRT, { filename: 'renamed_wav_captions.srt', contentType: 'application/x-subrip' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_FILE_SIGNATURE');
+    expect(leftovers('renamed_wav')).toEqual([]);
+  });
+});
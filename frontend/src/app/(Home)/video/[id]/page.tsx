@@ -5,14 +5,17 @@ import { useUser, useAuth } from '@clerk/nextjs';
 import { useParams, useRouter } from 'next/navigation';
 import dynamic from 'next/dynamic';
 import type { ReactPlayerProps } from 'react-player';
-import { Video, Message, ProcessingProgress } from '@/types';
+import { Video, Message, ProcessingProgress, Citation, CaptionFormat } from '@/types';
 import { ApiClientError } from '@/lib/api';
 import { apiClient } from '@/lib/api';
 import { getStatusBadgeClasses, getStatusIcon, getStatusDescription } from '@/lib/statusStyles';
+import { isAudioItem } from '@/lib/media';
+import AudioWaveform from '@/components/AudioWaveform';
+import ScrubPreview from '@/components/ScrubPreview';
 import toast from 'react-hot-toast';
 import {
   ArrowLeft, Brain, MessageCircle, FileText, 
-  Clock, AlertCircle, Zap, Sparkles
+  Clock, AlertCircle, Zap, Sparkles, Download, Copy
 } from 'lucide-react';
 
 const ReactPlayer = dynamic<ReactPlayerProps>(() => import('react-player'), { 
@@ -22,6 +25,9 @@ const ReactPlayer = dynamic<ReactPlayerProps>(() => import('react-player'), {
   </div>
 });
 
+// Matches the [mm:ss] / [hh:mm:ss] citation tags the backend leaves in answers
+const CITATION_PATTERN = /(\[\d{1,2}(?::\d{2}){1,2}\])/;
+
 // Simple Send icon component
 const Send = ({ className }: { className?: string }) => (
   <svg className={className} fill="currentColor" viewBox="0 0 24 24">
@@ -40,10 +46,17 @@ export default function VideoPage() {
   const [question, setQuestion] = useState('');
   const [messages, setMessages] = useState<Message[]>([]);
   const [isLoading, setIsLoading] = useState(false);
+  const [isStreaming, setIsStreaming] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
   const [processingProgress, setProcessingProgress] = useState<ProcessingProgress | null>(null);
   const [activeTab, setActiveTab] = useState<'chat' | 'transcript' | 'summary'>('chat');
   const [isPlaying, setIsPlaying] = useState(false);
+  // Playback position and length reported by the player, for the scrub preview timeline
+  const [playedSeconds, setPlayedSeconds] = useState(0);
+  const [playerDuration, setPlayerDuration] = useState(0);
+  const [captionFormat, setCaptionFormat] = useState<CaptionFormat>('srt');
+  const [isDownloading, setIsDownloading] = useState(false);
+  const [isLinking, setIsLinking] = useState(false);
   const messagesEndRef = useRef<HTMLDivElement>(null);
   const playerRef = useRef<any>(null);
 
@@ -82,7 +95,8 @@ export default function VideoPage() {
             type: 'ai' as const, 
             content: q.answer, 
             timestamp: new Date(q.askedAt),
-            videoId: id
+            videoId: id,
+            citations: q.citations || []
           },
         ]);
         
@@ -124,6 +138,11 @@ export default function VideoPage() {
             setIsProcessing(false);
             toast.error('Video processing failed');
             clearInterval(intervalId);
+          } else if (updatedVideo.status === 'cancelled') {
+            setIsProcessing(false);
+            setProcessingProgress(null);
+            toast('Video processing was cancelled');
+            clearInterval(intervalId);
           }
         } catch (error) {
           console.error('Error polling video status:', error);
@@ -158,17 +177,42 @@ export default function VideoPage() {
     
     setMessages(prev => [...prev, newUserMessage]);
 
+    // Replace the in-progress answer, which is always the last message while streaming
+    const updateStreamingMessage = (update: (message: Message) => Message) => {
+      setMessages(prev => [...prev.slice(0, -1), update(prev[prev.length - 1])]);
+    };
+
     try {
-      const result = await apiClient.askQuestion(id, userMessage, video.language);
+      let started = false;
+      const result = await apiClient.askQuestionStream(id, userMessage, (token) => {
+        if (!started) {
+          started = true;
+          setIsStreaming(true);
+          setMessages(prev => [...prev, {
+            type: 'ai',
+            content: token,
+            timestamp: new Date(),
+            videoId: id
+          }]);
+          return;
+        }
+        updateStreamingMessage(message => ({ ...message, content: message.content + token }));
+      }, video.language);
       
+      // The final answer has unresolvable citation tags removed, so it replaces the streamed text
       const aiMessage: Message = {
         type: 'ai',
         content: result.answer,
         timestamp: new Date(),
-        videoId: id
+        videoId: id,
+        citations: result.citations || []
       };
       
-      setMessages(prev => [...prev, aiMessage]);
+      if (started) {
+        updateStreamingMessage(() => aiMessage);
+      } else {
+        setMessages(prev => [...prev, aiMessage]);
+      }
       toast.success('Question answered!');
     } catch (error: any) {
       console.error('Error asking question:', error);
@@ -177,16 +221,48 @@ export default function VideoPage() {
         type: 'ai',
         content: 'Sorry, I encountered an error processing your question. Please try again.',
         timestamp: new Date(),
-        videoId: id
+        videoId: id,
+        error: true
       };
       
       setMessages(prev => [...prev, errorMessage]);
       toast.error('Failed to get answer. Please try again.');
     } finally {
       setIsLoading(false);
+      setIsStreaming(false);
     }
   };
 
+  const seekToCitation = (citation: Citation) => {
+    playerRef.current?.seekTo(citation.time, 'seconds');
+    setIsPlaying(true);
+  };
+
+  // Render answer text with its citation tags as buttons that seek the player
+  const renderMessageContent = (message: Message) => {
+    if (message.type !== 'ai' || !message.citations?.length) {
+      return message.content;
+    }
+
+    return message.content.split(CITATION_PATTERN).map((part, partIndex) => {
+      const citation = message.citations?.find(c => `[${c.label}]` === part);
+      if (!citation) return part;
+
+      return (
+        <button
+          key={partIndex}
+          type="button"
+          onClick={() => seekToCitation(citation)}
+          className="inline-flex items-center mx-0.5 px-1.5 py-0.5 rounded-md bg-cyan-500/30 text-cyan-100 text-xs font-mono hover:bg-cyan-500/50 transition-colors"
+          title={`Jump to ${citation.label}`}
+        >
+          <Clock className="h-3 w-3 mr-1" />
+          {citation.label}
+        </button>
+      );
+    });
+  };
+
   const generateSummary = async () => {
     if (!video) return;
     
@@ -202,6 +278,40 @@ export default function VideoPage() {
     }
   };
 
+  const handleDownloadTranscript = async () => {
+    setIsDownloading(true);
+    try {
+      const { blob, fileName } = await apiClient.downloadTranscript(id, captionFormat);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      const apiError = error as ApiClientError;
+      toast.error(apiError.message || 'Failed to download transcript');
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  const handleLinkDuplicate = async () => {
+    setIsLinking(true);
+    try {
+      await apiClient.linkDuplicate(id);
+      setVideo(await apiClient.getVideo(id));
+      setIsProcessing(false);
+      setProcessingProgress(null);
+      toast.success('Using the results of your earlier upload');
+    } catch (error) {
+      const apiError = error as ApiClientError;
+      toast.error(apiError.message || 'Failed to link the earlier upload');
+    } finally {
+      setIsLinking(false);
+    }
+  };
+
   const handleBackToDashboard = () => {
     router.push('/dashboard');
   };
@@ -218,7 +328,7 @@ export default function VideoPage() {
   }
 
   const canAskQuestions = video.status === 'completed' && !isProcessing;
-  const videoUrl = video.cloudinaryUrl || video.url;
+  const videoUrl = video.url || video.cloudinaryUrl;
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900">
@@ -261,13 +371,39 @@ export default function VideoPage() {
               <span className="capitalize">{video.language}</span>
             )}
           </div>
+
+          {video.status === 'queued' && video.duplicateOf && (
+            <div className="mt-6 flex flex-col sm:flex-row sm:items-center gap-4 bg-cyan-500/10 border border-cyan-400/30 rounded-2xl px-6 py-4">
+              <Copy className="h-6 w-6 text-cyan-400 flex-shrink-0" />
+              <p className="text-cyan-100 flex-1">
+                This is the same file as <span className="font-semibold text-white">{video.duplicateOf.title}</span>,
+                which is already processed. Use its transcript, summary and embeddings instead of processing it again?
+              </p>
+              <button
+                onClick={handleLinkDuplicate}
+                disabled={isLinking}
+                className="bg-cyan-500 text-white px-4 py-2 rounded-lg hover:bg-cyan-600 transition-colors disabled:opacity-50 whitespace-nowrap"
+              >
+                {isLinking ? 'Linking...' : 'Use existing results'}
+              </button>
+            </div>
+          )}
         </div>
 
         <div className="grid grid-cols-1 xl:grid-cols-3 gap-8">
           {/* Video Player Section */}
           <div className="xl:col-span-2">
             <div className="bg-black/30 backdrop-blur-lg rounded-2xl overflow-hidden border border-white/10 shadow-2xl">
-              {canAskQuestions && videoUrl ? (
+              {canAskQuestions && videoUrl && isAudioItem(video) ? (
+                <AudioWaveform
+                  ref={playerRef}
+                  url={videoUrl}
+                  fileSize={video.fileSize}
+                  playing={isPlaying}
+                  onPlay={() => setIsPlaying(true)}
+                  onPause={() => setIsPlaying(false)}
+                />
+              ) : canAskQuestions && videoUrl ? (
                 <div className="relative">
                   <ReactPlayer
                     ref={playerRef}
@@ -278,10 +414,13 @@ export default function VideoPage() {
                     playing={isPlaying}
                     onPlay={() => setIsPlaying(true)}
                     onPause={() => setIsPlaying(false)}
+                    onProgress={({ playedSeconds }) => setPlayedSeconds(playedSeconds)}
+                    onDuration={setPlayerDuration}
                     config={{
                       file: {
                         attributes: {
-                          controlsList: 'nodownload'
+                          controlsList: 'nodownload',
+                          poster: video.thumbnailUrl || undefined
                         }
                       }
                     }}
@@ -294,6 +433,14 @@ export default function VideoPage() {
                       <Sparkles className="h-4 w-4" />
                     </button>
                   </div>
+                  {video.sprite && (playerDuration || video.duration) ? (
+                    <ScrubPreview
+                      sprite={video.sprite}
+                      duration={playerDuration || video.duration || 0}
+                      currentTime={playedSeconds}
+                      onSeek={(seconds) => playerRef.current?.seekTo(seconds, 'seconds')}
+                    />
+                  ) : null}
                 </div>
               ) : (
                 <div className="w-full h-96 bg-gradient-to-br from-cyan-500/20 to-blue-600/20 flex items-center justify-center rounded-2xl">
@@ -358,6 +505,28 @@ export default function VideoPage() {
                 <div className="p-6 max-h-96 overflow-y-auto">
                   {activeTab === 'transcript' && video.transcript && (
                     <div className="prose prose-invert max-w-none">
+                      {video.status === 'completed' && (
+                        <div className="not-prose flex justify-end items-center gap-2 mb-4">
+                          <select
+                            value={captionFormat}
+                            onChange={(e) => setCaptionFormat(e.target.value as CaptionFormat)}
+                            className="bg-white/10 border border-white/20 text-cyan-100 text-sm rounded-lg px-2 py-1 focus:outline-none focus:ring-2 focus:ring-cyan-400"
+                            aria-label="Transcript file format"
+                          >
+                            <option value="srt" className="bg-slate-900">SubRip (.srt)</option>
+                            <option value="vtt" className="bg-slate-900">WebVTT (.vtt)</option>
+                            <option value="txt" className="bg-slate-900">Plain text (.txt)</option>
+                          </select>
+                          <button
+                            onClick={handleDownloadTranscript}
+                            disabled={isDownloading}
+                            className="flex items-center bg-cyan-500 text-white text-sm px-3 py-1 rounded-lg hover:bg-cyan-600 transition-colors disabled:opacity-50"
+                          >
+                            <Download className="h-4 w-4 mr-2" />
+                            {isDownloading ? 'Downloading...' : 'Download'}
+                          </button>
+                        </div>
+                      )}
                       <p className="text-cyan-100 whitespace-pre-wrap leading-relaxed">
                         {video.transcript}
                       </p>
@@ -431,12 +600,12 @@ export default function VideoPage() {
                                 <Brain className="h-3 w-3 mr-1" />
                               )}
                             </div>
-                            {message.content}
+                            {renderMessageContent(message)}
                           </div>
                         </div>
                       ))
                     )}
-                    {isLoading && (
+                    {isLoading && !isStreaming && (
                       <div className="flex justify-start">
                         <div className="bg-white/20 text-cyan-100 rounded-2xl px-4 py-3 backdrop-blur-lg">
                           <div className="flex items-center space-x-2">
@@ -0,0 +1,161 @@
+'use client';
+
+import { forwardRef, useEffect, useImperativeHandle, useRef, useState } from 'react';
+import { AudioWaveform as AudioWaveformIcon } from 'lucide-react';
+
+// Decoding happens in the browser, so large files only get a flat placeholder
+const MAX_DECODE_BYTES = 50 * 1024 * 1024;
+const BAR_COUNT = 160;
+
+export interface AudioWaveformHandle {
+  // Same call the video player takes, so citations can seek either
+  seekTo: (seconds: number, type?: 'seconds') => void;
+}
+
+interface AudioWaveformProps {
+  url: string;
+  fileSize?: number;
+  playing: boolean;
+  onPlay: () => void;
+  onPause: () => void;
+}
+
+// Peak amplitude of each of `count` equal slices of the first channel, scaled to 0..1
+const computePeaks = (buffer: AudioBuffer, count: number): number[] => {
+  const samples = buffer.getChannelData(0);
+  const sliceSize = Math.max(1, Math.floor(samples.length / count));
+  const peaks: number[] = [];
+
+  for (let i = 0; i < count; i++) {
+    let peak = 0;
+    const end = Math.min(samples.length, (i + 1) * sliceSize);
+    for (let j = i * sliceSize; j < end; j++) {
+      const value = Math.abs(samples[j]);
+      if (value > peak) peak = value;
+    }
+    peaks.push(peak);
+  }
+
+  const max = Math.max(...peaks, 0.01);
+  return peaks.map(peak => peak / max);
+};
+
+const formatTime = (seconds: number) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+const AudioWaveform = forwardRef<AudioWaveformHandle, AudioWaveformProps>(
+  ({ url, fileSize, playing, onPlay, onPause }, ref) => {
+    const audioRef = useRef<HTMLAudioElement>(null);
+    const [peaks, setPeaks] = useState<number[] | null>(null);
+    const [currentTime, setCurrentTime] = useState(0);
+    const [duration, setDuration] = useState(0);
+
+    useImperativeHandle(ref, () => ({
+      seekTo: (seconds: number) => {
+        if (audioRef.current) {
+          audioRef.current.currentTime = seconds;
+        }
+      }
+    }), []);
+
+    useEffect(() => {
+      if (fileSize && fileSize > MAX_DECODE_BYTES) return;
+
+      let cancelled = false;
+      const context = new AudioContext();
+
+      const loadPeaks = async () => {
+        try {
+          const response = await fetch(url);
+          const buffer = await context.decodeAudioData(await response.arrayBuffer());
+          if (!cancelled) {
+            setPeaks(computePeaks(buffer, BAR_COUNT));
+          }
+        } catch (error) {
+          console.warn('⚠️ Could not draw waveform:', error);
+        } finally {
+          context.close();
+        }
+      };
+
+      loadPeaks();
+      return () => {
+        cancelled = true;
+      };
+    }, [url, fileSize]);
+
+    useEffect(() => {
+      const audio = audioRef.current;
+      if (!audio) return;
+
+      if (playing && audio.paused) {
+        audio.play().catch(() => onPause());
+      } else if (!playing && !audio.paused) {
+        audio.pause();
+      }
+    }, [playing, onPause]);
+
+    const handleSeek = (e: React.MouseEvent<HTMLDivElement>) => {
+      const audio = audioRef.current;
+      if (!audio || !duration) return;
+
+      const rect = e.currentTarget.getBoundingClientRect();
+      audio.currentTime = ((e.clientX - rect.left) / rect.width) * duration;
+    };
+
+    const progress = duration ? currentTime / duration : 0;
+    const bars = peaks || Array(BAR_COUNT).fill(0.15);
+
+    return (
+      <div className="w-full h-[400px] bg-gradient-to-br from-cyan-500/20 to-blue-600/20 flex flex-col justify-center px-8 gap-6">
+        <div className="flex items-center text-cyan-100">
+          <AudioWaveformIcon className="h-5 w-5 mr-2 text-cyan-400" />
+          <span className="text-sm">Audio</span>
+          <span className="ml-auto text-sm tabular-nums">
+            {formatTime(currentTime)} / {formatTime(duration)}
+          </span>
+        </div>
+
+        <div
+          className="flex items-center gap-[2px] h-40 cursor-pointer"
+          onClick={handleSeek}
+          role="slider"
+          aria-label="Seek"
+          aria-valuemin={0}
+          aria-valuemax={Math.round(duration)}
+          aria-valuenow={Math.round(currentTime)}
+        >
+          {bars.map((peak, i) => (
+            <div
+              key={i}
+              className={`flex-1 rounded-full transition-colors ${
+                i / bars.length < progress ? 'bg-cyan-400' : 'bg-white/30'
+              }`}
+              style={{ height: `${Math.max(4, peak * 100)}%` }}
+            />
+          ))}
+        </div>
+
+        <audio
+          ref={audioRef}
+          src={url}
+          controls
+          controlsList="nodownload"
+          preload="metadata"
+          className="w-full"
+          onPlay={onPlay}
+          onPause={onPause}
+          onTimeUpdate={(e) => setCurrentTime(e.currentTarget.currentTime)}
+          onLoadedMetadata={(e) => setDuration(e.currentTarget.duration)}
+        />
+      </div>
+    );
+  }
+);
+
+AudioWaveform.displayName = 'AudioWaveform';
+
+export default AudioWaveform;
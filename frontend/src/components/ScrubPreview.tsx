@@ -0,0 +1,79 @@
+'use client';
+
+import { useState } from 'react';
+import { VideoSprite } from '@/types';
+
+interface ScrubPreviewProps {
+  sprite: VideoSprite;
+  duration: number;
+  currentTime: number;
+  onSeek: (seconds: number) => void;
+}
+
+const formatTime = (seconds: number) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+// Timeline under the player: hovering shows the sprite tile nearest the pointer's time, clicking seeks there
+const ScrubPreview = ({ sprite, duration, currentTime, onSeek }: ScrubPreviewProps) => {
+  const [hover, setHover] = useState<{ ratio: number; time: number } | null>(null);
+
+  const timeAt = (e: React.MouseEvent<HTMLDivElement>) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    return { ratio, time: ratio * duration };
+  };
+
+  const tile = hover ? Math.min(sprite.frameCount - 1, Math.floor(hover.time / sprite.interval)) : 0;
+  const rows = Math.ceil(sprite.frameCount / sprite.columns);
+  const progress = duration ? Math.min(1, currentTime / duration) : 0;
+
+  return (
+    <div className="px-4 py-3">
+      <div
+        className="relative h-2 bg-white/20 rounded-full cursor-pointer group"
+        onMouseMove={(e) => setHover(timeAt(e))}
+        onMouseLeave={() => setHover(null)}
+        onClick={(e) => onSeek(timeAt(e).time)}
+        role="slider"
+        aria-label="Seek with preview"
+        aria-valuemin={0}
+        aria-valuemax={Math.round(duration)}
+        aria-valuenow={Math.round(currentTime)}
+      >
+        <div
+          className="absolute inset-y-0 left-0 bg-cyan-400 rounded-full"
+          style={{ width: `${progress * 100}%` }}
+        />
+
+        {hover && (
+          <div
+            className="absolute bottom-4 -translate-x-1/2 pointer-events-none flex flex-col items-center"
+            style={{
+              // Keep the preview inside the strip at both ends
+              left: `clamp(${sprite.frameWidth / 2}px, ${hover.ratio * 100}%, calc(100% - ${sprite.frameWidth / 2}px))`
+            }}
+          >
+            <div
+              className="rounded-lg border border-white/20 shadow-2xl bg-black"
+              style={{
+                width: sprite.frameWidth,
+                height: sprite.frameHeight,
+                backgroundImage: `url(${sprite.url})`,
+                backgroundSize: `${sprite.columns * sprite.frameWidth}px ${rows * sprite.frameHeight}px`,
+                backgroundPosition: `-${(tile % sprite.columns) * sprite.frameWidth}px -${Math.floor(tile / sprite.columns) * sprite.frameHeight}px`
+              }}
+            />
+            <span className="mt-1 px-2 py-0.5 rounded bg-black/70 text-xs text-white tabular-nums">
+              {formatTime(hover.time)}
+            </span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ScrubPreview;
@@ -4,13 +4,22 @@ import { useState, useEffect, useCallback, useRef } from 'react';
 import { useUser, useAuth } from '@clerk/nextjs';
 import { useRouter } from 'next/navigation';
 import Link from 'next/link';
+import Image from 'next/image';
 import { Video, VideoFilters } from '@/types';
 import { apiClient, ApiClientError } from '@/lib/api';
 import { getStatusBadgeClasses, getStatusIcon } from '@/lib/statusStyles';
+import {
+  isAudioItem,
+  isSupportedSubtitleFile,
+  isSupportedUploadType,
+  SUBTITLE_ACCEPT,
+  SUPPORTED_FORMATS_LABEL,
+  UPLOAD_ACCEPT
+} from '@/lib/media';
 import { 
   Upload, Search, RefreshCw, AlertCircle, Video as VideoIcon, 
   Filter, Download, Play, Brain, Sparkles, Zap,
-  FileText, BarChart3, Clock, CheckCircle
+  FileText, BarChart3, Clock, CheckCircle, AudioWaveform
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
@@ -36,6 +45,7 @@ interface UploadFormData {
   description: string;
   file: File | null;
   language: string;
+  subtitles: File | null;
 }
 
 export default function Dashboard() {
@@ -49,7 +59,8 @@ export default function Dashboard() {
     title: '',
     description: '',
     file: null,
-    language: 'english'
+    language: 'english',
+    subtitles: null
   });
 
   const [state, setState] = useState<DashboardState>({
@@ -139,10 +150,16 @@ export default function Dashboard() {
     }));
   };
 
+  // Optional captions that replace transcription
+  const handleSubtitlesSelect = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const subtitles = e.target.files?.[0] || null;
+    setUploadForm(prev => ({ ...prev, subtitles }));
+  };
+
   // Handle upload with comprehensive validation
   const handleUpload = async () => {
     if (!uploadForm.file) {
-      toast.error('Please select a video file');
+      toast.error('Please select a video or audio file');
       return;
     }
 
@@ -153,18 +170,19 @@ export default function Dashboard() {
 
     // Client-side validation
     const maxSize = 500 * 1024 * 1024;
-    const allowedTypes = [
-      'video/mp4', 'video/mpeg', 'video/quicktime', 
-      'video/x-msvideo', 'video/webm', 'video/x-matroska'
-    ];
     
     if (uploadForm.file.size > maxSize) {
       toast.error('File size must be less than 500MB');
       return;
     }
     
-    if (!allowedTypes.includes(uploadForm.file.type)) {
-      toast.error('Please select a valid video file (MP4, MPEG, MOV, AVI, WebM, MKV)');
+    if (!isSupportedUploadType(uploadForm.file)) {
+      toast.error(`Please select a valid video or audio file (${SUPPORTED_FORMATS_LABEL})`);
+      return;
+    }
+
+    if (uploadForm.subtitles && !isSupportedSubtitleFile(uploadForm.subtitles)) {
+      toast.error('Subtitles must be an SRT or VTT file');
       return;
     }
 
@@ -197,7 +215,8 @@ export default function Dashboard() {
         title: '',
         description: '',
         file: null,
-        language: 'english'
+        language: 'english',
+        subtitles: null
       });
       setState(prev => ({ ...prev, showUploadModal: false }));
       
@@ -446,9 +465,26 @@ export default function Dashboard() {
                   className="group block focus:outline-none focus:ring-2 focus:ring-cyan-400 focus:ring-offset-2 focus:ring-offset-slate-900 rounded-2xl transition-all duration-300 transform hover:scale-105"
                 >
                   <div className="bg-white/10 backdrop-blur-lg border border-white/10 rounded-2xl overflow-hidden shadow-2xl hover:shadow-cyan-500/25 transition-all duration-300">
-                    {/* Video Thumbnail Placeholder */}
+                    {/* Video Thumbnail, or a placeholder until processing has extracted one */}
                     <div className="h-32 bg-gradient-to-br from-cyan-500/20 to-blue-600/20 flex items-center justify-center relative">
-                      <Play className="h-12 w-12 text-white/80 group-hover:text-cyan-400 transition-colors" />
+                      {isAudioItem(video) ? (
+                        <AudioWaveform className="h-12 w-12 text-white/80 group-hover:text-cyan-400 transition-colors" />
+                      ) : video.thumbnailUrl ? (
+                        <>
+                          {/* Unoptimized: signed storage URLs can come from any host */}
+                          <Image
+                            src={video.thumbnailUrl}
+                            alt=""
+                            fill
+                            unoptimized
+                            sizes="(min-width: 1024px) 33vw, 100vw"
+                            className="object-cover"
+                          />
+                          <Play className="relative h-12 w-12 text-white/80 drop-shadow-lg opacity-0 group-hover:opacity-100 group-hover:text-cyan-400 transition-all" />
+                        </>
+                      ) : (
+                        <Play className="h-12 w-12 text-white/80 group-hover:text-cyan-400 transition-colors" />
+                      )}
                       <div className="absolute top-3 right-3">
                         <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-bold ${getStatusBadgeClasses(video.status)}`}>
                           {getStatusIcon(video.status)} {video.status}
@@ -533,11 +569,11 @@ export default function Dashboard() {
             
             <div className="space-y-4">
               <div>
-                <label className="block text-cyan-100 text-sm mb-2">Video File</label>
+                <label className="block text-cyan-100 text-sm mb-2">Video or Audio File</label>
                 <input
                   type="file"
                   ref={fileInputRef}
-                  accept="video/*"
+                  accept={UPLOAD_ACCEPT}
                   onChange={handleFileSelect}
                   className="w-full text-cyan-100 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-cyan-500 file:text-white hover:file:bg-cyan-600"
                 />
@@ -565,6 +601,21 @@ export default function Dashboard() {
                 />
               </div>
               
+              <div>
+                <label className="block text-cyan-100 text-sm mb-2">Subtitles (optional, SRT or VTT)</label>
+                <input
+                  type="file"
+                  accept={SUBTITLE_ACCEPT}
+                  onChange={handleSubtitlesSelect}
+                  className="w-full text-cyan-100 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-slate-600 file:text-white hover:file:bg-slate-500"
+                />
+                {uploadForm.subtitles && (
+                  <p className="text-cyan-300/70 text-xs mt-1">
+                    The captions become the transcript; the audio is not transcribed.
+                  </p>
+                )}
+              </div>
+
               <div>
                 <label className="block text-cyan-100 text-sm mb-2">Language</label>
                 <select
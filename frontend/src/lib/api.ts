@@ -7,16 +7,30 @@ import {
   VideoFilters, 
   ApiError,
   HealthCheck,
+  QuestionHistory,
   UploadFormData,
   StandardApiResponse, 
-  ValidationResult
+  ValidationResult,
+  StructuredTranscript,
+  CaptionFormat,
+  VideoStatus
 } from "@/types";
+import {
+  getUploadMimeType,
+  isSupportedSubtitleFile,
+  isSupportedUploadType,
+  MAX_SUBTITLE_SIZE,
+  SUPPORTED_FORMATS_LABEL
+} from "@/lib/media";
 
 // Enhanced configuration with validation
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || "http://localhost:5000/api";
 const MAX_RETRY_ATTEMPTS = 3;
 const BASE_RETRY_DELAY = 1000;
 const REQUEST_TIMEOUT = 30000;
+const TUS_VERSION = '1.0.0';
+const TUS_CHUNK_SIZE = 8 * 1024 * 1024;
+const TUS_STORAGE_PREFIX = 'tus-upload::';
 
 // Validate environment configuration
 const validateEnvironment = (): void => {
@@ -247,11 +261,6 @@ class ApiClient {
   private validateFile(file: File): ValidationResult {
     const errors: string[] = [];
     const maxSize = 500 * 1024 * 1024; // 500MB
-    const allowedTypes = [
-      'video/mp4', 'video/mpeg', 'video/quicktime', 
-      'video/x-msvideo', 'video/webm', 'video/x-matroska'
-    ];
-
     if (!file) {
       errors.push('No file selected');
     } else {
@@ -259,8 +268,8 @@ class ApiClient {
         errors.push(`File size must be less than ${maxSize / (1024 * 1024)}MB`);
       }
       
-      if (!allowedTypes.includes(file.type)) {
-        errors.push('Invalid file type. Supported formats: MP4, MPEG, MOV, AVI, WebM, MKV');
+      if (!isSupportedUploadType(file)) {
+        errors.push(`Invalid file type. Supported formats: ${SUPPORTED_FORMATS_LABEL}`);
       }
       
       if (file.name.length > 255) {
@@ -299,6 +308,15 @@ class ApiClient {
       errors.push(...fileValidation.errors);
     }
 
+    if (formData.subtitles) {
+      if (!isSupportedSubtitleFile(formData.subtitles)) {
+        errors.push('Invalid subtitle file. Supported formats: .srt, .vtt');
+      }
+      if (formData.subtitles.size > MAX_SUBTITLE_SIZE) {
+        errors.push(`Subtitle file must be less than ${MAX_SUBTITLE_SIZE / (1024 * 1024)}MB`);
+      }
+    }
+
     const supportedLanguages = ['english', 'spanish', 'french', 'german', 'hindi', 'chinese'];
     if (formData.language && !supportedLanguages.includes(formData.language)) {
       errors.push(`Unsupported language. Supported: ${supportedLanguages.join(', ')}`);
@@ -310,53 +328,187 @@ class ApiClient {
     };
   }
 
-  async uploadVideo(formData: UploadFormData): Promise<UploadResponse['data']> {
-    const validation = this.validateUploadForm(formData);
-    if (!validation.isValid) {
-      throw new ApiClientError(
-        'Upload validation failed',
-        400,
-        'VALIDATION_ERROR',
-        validation.errors
-      );
+  // Key under which the URL of an unfinished upload of this file is remembered across reloads
+  private uploadStorageKey(file: File): string {
+    return `${TUS_STORAGE_PREFIX}${file.name}:${file.size}:${file.lastModified}:${file.type}`;
+  }
+
+  private encodeUploadMetadata(metadata: Record<string, string>): string {
+    const toBase64 = (value: string) =>
+      btoa(Array.from(new TextEncoder().encode(value), (byte) => String.fromCharCode(byte)).join(''));
+
+    return Object.entries(metadata)
+      .map(([key, value]) => `${key} ${toBase64(value)}`)
+      .join(',');
+  }
+
+  private dispatchUploadProgress(loaded: number, total: number, filename: string) {
+    window.dispatchEvent(new CustomEvent('upload-progress', { 
+      detail: { 
+        progress: Math.round((loaded * 100) / total),
+        loaded,
+        total,
+        filename
+      } 
+    }));
+  }
+
+  // Offset the server has for an upload, or null if it no longer exists
+  private async getUploadOffset(uploadUrl: string): Promise<{ offset: number; videoId?: string } | null> {
+    try {
+      const response = await this.axiosInstance.head(uploadUrl, {
+        headers: { 'Tus-Resumable': TUS_VERSION }
+      });
+      return {
+        offset: Number(response.headers['upload-offset']) || 0,
+        videoId: response.headers['x-video-id'] || undefined
+      };
+    } catch (error) {
+      const apiError = this.enhanceError(error);
+      if ([403, 404, 410].includes(apiError.status)) return null;
+      throw apiError;
     }
+  }
+
+  // One multipart request carrying the file and its captions; it cannot resume, so it is only used
+  // for uploads with subtitles, which the tus upload has no place for
+  private async uploadVideoWithSubtitles(formData: UploadFormData): Promise<UploadResponse['data']> {
+    const file = formData.file as File;
 
     return this.retryRequest(async () => {
       const uploadFormData = new FormData();
-      if (formData.file) uploadFormData.append('video', formData.file);
+      uploadFormData.append('video', file);
+      uploadFormData.append('subtitles', formData.subtitles as File);
       uploadFormData.append('title', formData.title.trim());
       uploadFormData.append('description', formData.description?.trim() || '');
-      if (formData.language) uploadFormData.append('language', formData.language);
+      uploadFormData.append('language', formData.language || 'english');
 
       const response = await this.axiosInstance.post<StandardApiResponse<UploadResponse['data']>>(
-        "/videos/upload", 
-        uploadFormData, 
+        "/videos/upload",
+        uploadFormData,
         {
-          headers: { 
-            "Content-Type": "multipart/form-data",
-            "X-Upload-Filename": formData.file?.name || 'unknown'
-          },
+          headers: { "Content-Type": "multipart/form-data" },
           timeout: 300000,
           onUploadProgress: (progressEvent) => {
             if (progressEvent.total && progressEvent.total > 0) {
-              const progress = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-              window.dispatchEvent(new CustomEvent('upload-progress', { 
-                detail: { 
-                  progress,
-                  loaded: progressEvent.loaded,
-                  total: progressEvent.total,
-                  filename: formData.file?.name
-                } 
-              }));
+              this.dispatchUploadProgress(progressEvent.loaded, progressEvent.total, file.name);
             }
           },
         }
       );
-      
+
       return response.data.data;
     }, "Video upload");
   }
 
+  // Resumable upload over the tus protocol: the file is sent in chunks and an interrupted upload,
+  // including one from before a page reload, continues from the last byte the server stored.
+  // Uploads with subtitles are sent in one multipart request instead.
+  async uploadVideo(formData: UploadFormData): Promise<UploadResponse['data']> {
+    const validation = this.validateUploadForm(formData);
+    if (!validation.isValid) {
+      throw new ApiClientError(
+        'Upload validation failed',
+        400,
+        'VALIDATION_ERROR',
+        validation.errors
+      );
+    }
+
+    if (formData.subtitles) {
+      return this.uploadVideoWithSubtitles(formData);
+    }
+
+    const file = formData.file as File;
+    const storageKey = this.uploadStorageKey(file);
+    let uploadUrl = localStorage.getItem(storageKey);
+    let offset = 0;
+
+    if (uploadUrl) {
+      const status = await this.retryRequest(() => this.getUploadOffset(uploadUrl as string), "Upload status");
+      if (status?.videoId) {
+        localStorage.removeItem(storageKey);
+        return { videoId: status.videoId, status: 'queued', title: formData.title.trim() };
+      }
+      if (status) {
+        offset = status.offset;
+        console.log(`⏯️ Resuming upload of ${file.name} at ${offset}/${file.size} bytes`);
+      } else {
+        uploadUrl = null;
+        localStorage.removeItem(storageKey);
+      }
+    }
+
+    if (!uploadUrl) {
+      const response = await this.retryRequest(() => this.axiosInstance.post("/videos/uploads", null, {
+        headers: {
+          'Tus-Resumable': TUS_VERSION,
+          'Upload-Length': String(file.size),
+          'Upload-Metadata': this.encodeUploadMetadata({
+            filename: file.name,
+            filetype: getUploadMimeType(file),
+            title: formData.title.trim(),
+            description: formData.description?.trim() || '',
+            language: formData.language || 'english'
+          })
+        }
+      }), "Upload creation");
+
+      uploadUrl = new URL(response.headers['location'], API_BASE_URL).toString();
+      localStorage.setItem(storageKey, uploadUrl);
+    }
+
+    let videoId: string | undefined;
+    let failures = 0;
+
+    while (!videoId) {
+      const chunkEnd = Math.min(offset + TUS_CHUNK_SIZE, file.size);
+      try {
+        const response = await this.axiosInstance.patch(uploadUrl, file.slice(offset, chunkEnd), {
+          headers: {
+            'Tus-Resumable': TUS_VERSION,
+            'Content-Type': 'application/offset+octet-stream',
+            'Upload-Offset': String(offset)
+          },
+          // The final chunk waits for the server to hand the file to cloud storage
+          timeout: 300000,
+          onUploadProgress: (progressEvent) => {
+            this.dispatchUploadProgress(offset + progressEvent.loaded, file.size, file.name);
+          },
+        });
+
+        offset = Number(response.headers['upload-offset']);
+        videoId = response.headers['x-video-id'] || undefined;
+        failures = 0;
+      } catch (error) {
+        const apiError = this.enhanceError(error);
+        failures++;
+        
+        // Offset conflicts are resolved by asking the server; anything else is retried with backoff
+        if ((!apiError.retryable && apiError.status !== 409) || failures > this.retryAttempts) {
+          throw apiError;
+        }
+
+        const delay = apiError.status === 409 ? 0 : this.baseRetryDelay * Math.pow(2, failures - 1);
+        console.warn(`🔄 Upload chunk failed, resuming in ${delay}ms:`, apiError.message);
+        await new Promise(resolve => setTimeout(resolve, delay));
+
+        const status = await this.retryRequest(() => this.getUploadOffset(uploadUrl as string), "Upload status");
+        if (!status) {
+          localStorage.removeItem(storageKey);
+          throw new ApiClientError('Upload expired - please start again', 410, 'UPLOAD_EXPIRED');
+        }
+        offset = status.offset;
+        videoId = status.videoId;
+      }
+    }
+
+    localStorage.removeItem(storageKey);
+    this.dispatchUploadProgress(file.size, file.size, file.name);
+
+    return { videoId, status: 'queued', title: formData.title.trim() };
+  }
+
   async getMyVideos(filters?: VideoFilters): Promise<PaginatedResponse<Video>> {
     return this.retryRequest(async () => {
       const params = new URLSearchParams();
@@ -406,6 +558,39 @@ class ApiClient {
     }, "Fetch transcript");
   }
 
+  // Transcript with timed segments and word times, for seeking and highlighting
+  async getTranscriptSegments(id: string): Promise<StructuredTranscript> {
+    if (!id || typeof id !== 'string') {
+      throw new ApiClientError('Invalid video ID', 400, 'INVALID_ID');
+    }
+
+    return this.retryRequest(async () => {
+      const response = await this.axiosInstance.get<StandardApiResponse<StructuredTranscript>>(
+        `/videos/${id}/transcript`,
+        { params: { format: 'json' } }
+      );
+      return response.data.data;
+    }, "Fetch transcript segments");
+  }
+
+  // Caption or plain-text file of the transcript, named by the server after the video title
+  async downloadTranscript(id: string, format: CaptionFormat): Promise<{ blob: Blob; fileName: string }> {
+    if (!id || typeof id !== 'string') {
+      throw new ApiClientError('Invalid video ID', 400, 'INVALID_ID');
+    }
+
+    return this.retryRequest(async () => {
+      const response = await this.axiosInstance.get<Blob>(`/videos/${id}/transcript`, {
+        params: { format },
+        responseType: 'blob'
+      });
+      const disposition = String(response.headers['content-disposition'] || '');
+      const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || `transcript.${format}`;
+
+      return { blob: response.data, fileName };
+    }, "Download transcript");
+  }
+
   async askQuestion(videoId: string, question: string, language?: string): Promise<Question> {
     if (!videoId || typeof videoId !== 'string') {
       throw new ApiClientError('Valid video ID is required', 400, 'INVALID_VIDEO_ID');
@@ -440,19 +625,118 @@ class ApiClient {
     }, "Ask question");
   }
 
+  // Streams the answer over Server-Sent Events; onToken receives text as it is generated and the
+  // promise resolves with the saved question (citations resolved) once the stream completes
+  async askQuestionStream(
+    videoId: string,
+    question: string,
+    onToken: (token: string) => void,
+    language?: string
+  ): Promise<Question> {
+    if (!videoId || typeof videoId !== 'string') {
+      throw new ApiClientError('Valid video ID is required', 400, 'INVALID_VIDEO_ID');
+    }
+    
+    const trimmedQuestion = question?.trim();
+    if (!trimmedQuestion) {
+      throw new ApiClientError('Question is required', 400, 'EMPTY_QUESTION');
+    }
+
+    const headers: Record<string, string> = {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream',
+      'X-Client-Version': process.env.NEXT_PUBLIC_APP_VERSION || '1.0.0',
+    };
+    if (this.tokenGetter) {
+      const token = await this.tokenGetter();
+      if (token) headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const payload: { videoId: string; question: string; language?: string } = { videoId: videoId.trim(), question: trimmedQuestion };
+    if (language) payload.language = language;
+
+    let response: Response;
+    try {
+      response = await fetch(`${API_BASE_URL}/questions/ask/stream`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(payload),
+        credentials: 'include',
+      });
+    } catch {
+      throw new ApiClientError('Network error - please check your internet connection', 0, 'NETWORK_ERROR', undefined, true);
+    }
+
+    if (!response.ok || !response.body) {
+      const data = await response.json().catch(() => ({}));
+      throw new ApiClientError(
+        data?.message || `Server error (${response.status})`,
+        response.status,
+        data?.code,
+        data?.errors,
+        response.status >= 500 || response.status === 429
+      );
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffered += decoder.decode(value, { stream: true });
+      const events = buffered.split('\n\n');
+      buffered = events.pop() || '';
+
+      for (const rawEvent of events) {
+        const eventName = rawEvent.match(/^event: (.+)$/m)?.[1];
+        const dataLine = rawEvent.match(/^data: (.+)$/m)?.[1];
+        if (!eventName || !dataLine) continue;
+
+        const data = JSON.parse(dataLine);
+        if (eventName === 'token') {
+          onToken(data.token);
+        } else if (eventName === 'complete') {
+          return data.question as Question;
+        } else if (eventName === 'error') {
+          throw new ApiClientError(data.message || 'Failed to answer question', 500, data.code);
+        }
+      }
+    }
+
+    throw new ApiClientError('Answer stream ended unexpectedly', 0, 'STREAM_INTERRUPTED', undefined, true);
+  }
+
   async getVideoQuestions(videoId: string): Promise<Question[]> {
     if (!videoId || typeof videoId !== 'string') {
       throw new ApiClientError('Invalid video ID', 400, 'INVALID_ID');
     }
     
     return this.retryRequest(async () => {
-      const response = await this.axiosInstance.get<StandardApiResponse<Question[]>>(
+      const response = await this.axiosInstance.get<StandardApiResponse<QuestionHistory>>(
         `/questions/video/${videoId}`
       );
-      return response.data.data;
+      return response.data.data.questions || [];
     }, "Fetch video questions");
   }
 
+  // Copy the results of the earlier upload of the same file instead of processing this one
+  async linkDuplicate(id: string, sourceVideoId?: string): Promise<{ videoId: string; status: VideoStatus; duplicateOf: string }> {
+    if (!id || typeof id !== 'string') {
+      throw new ApiClientError('Invalid video ID', 400, 'INVALID_ID');
+    }
+
+    return this.retryRequest(async () => {
+      const response = await this.axiosInstance.post<StandardApiResponse<{ videoId: string; status: VideoStatus; duplicateOf: string }>>(
+        `/videos/${id}/link-duplicate`,
+        sourceVideoId ? { sourceVideoId } : {}
+      );
+      return response.data.data;
+    }, "Link duplicate");
+  }
+
   async generateSummary(videoId: string, language?: string): Promise<{ summary: string }> {
     if (!videoId || typeof videoId !== 'string') {
       throw new ApiClientError('Invalid video ID', 400, 'INVALID_ID');
@@ -0,0 +1,50 @@
+import { Video } from '@/types';
+
+// Upload formats; the server accepts the same MIME types
+export const VIDEO_MIME_TYPES = [
+  'video/mp4', 'video/mpeg', 'video/quicktime',
+  'video/x-msvideo', 'video/webm', 'video/x-matroska'
+];
+
+export const AUDIO_MIME_TYPES = [
+  'audio/mpeg', 'audio/mp3', 'audio/mp4', 'audio/x-m4a', 'audio/m4a',
+  'audio/wav', 'audio/x-wav', 'audio/wave', 'audio/vnd.wave',
+  'audio/ogg', 'audio/opus', 'audio/flac', 'audio/x-flac'
+];
+
+export const SUPPORTED_FORMATS_LABEL = 'MP4, MPEG, MOV, AVI, WebM, MKV, MP3, M4A, WAV, OGG/Opus, FLAC';
+
+// File input filter; the extensions cover browsers that list audio formats without a MIME type
+export const UPLOAD_ACCEPT = 'video/*,audio/*,.mp3,.m4a,.wav,.ogg,.oga,.opus,.flac';
+
+// Caption files accepted with an upload; the server checks the same extensions and size
+export const SUBTITLE_ACCEPT = '.srt,.vtt';
+export const MAX_SUBTITLE_SIZE = 5 * 1024 * 1024;
+
+export const isSupportedSubtitleFile = (file: File): boolean =>
+  SUBTITLE_ACCEPT.split(',').some((extension) => file.name.toLowerCase().endsWith(extension));
+
+// Browsers leave File.type empty for some audio formats
+const AUDIO_TYPES_BY_EXTENSION: Record<string, string> = {
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  wav: 'audio/wav',
+  ogg: 'audio/ogg',
+  oga: 'audio/ogg',
+  opus: 'audio/opus',
+  flac: 'audio/flac'
+};
+
+export const getUploadMimeType = (file: File): string => {
+  if (file.type) return file.type;
+  const extension = file.name.split('.').pop()?.toLowerCase() || '';
+  return AUDIO_TYPES_BY_EXTENSION[extension] || '';
+};
+
+export const isSupportedUploadType = (file: File): boolean => {
+  const type = getUploadMimeType(file);
+  return VIDEO_MIME_TYPES.includes(type) || AUDIO_MIME_TYPES.includes(type);
+};
+
+export const isAudioItem = (video: Pick<Video, 'mediaType' | 'mimeType'>): boolean =>
+  video.mediaType === 'audio' || !!video.mimeType?.startsWith('audio/');
@@ -1,5 +1,5 @@
 import { io, Socket } from 'socket.io-client';
-import { VideoUploadProgress, ProcessingProgress, SocketConnectionState } from '@/types';
+import { VideoUploadProgress, ProcessingProgress, SocketConnectionState, Question } from '@/types';
 
 class SocketService {
   private socket: Socket | null = null;
@@ -197,6 +197,31 @@ class SocketService {
     });
   }
 
+  // Streamed answers (POST /questions/ask/stream with transport "socket") arrive in the user's room
+  onAnswerToken(callback: (data: { streamId: string; videoId: string; token: string }) => void) {
+    this.socket?.on('answer-token', (data) => {
+      if (data && typeof data.streamId === 'string' && typeof data.token === 'string') {
+        callback(data);
+      }
+    });
+  }
+
+  onAnswerComplete(callback: (data: { streamId: string; videoId: string; question: Question }) => void) {
+    this.socket?.on('answer-complete', (data) => {
+      if (data && typeof data.streamId === 'string' && data.question) {
+        callback(data);
+      }
+    });
+  }
+
+  onAnswerError(callback: (data: { streamId: string; message: string; code?: string }) => void) {
+    this.socket?.on('answer-error', (data) => {
+      if (data && typeof data.streamId === 'string') {
+        callback(data);
+      }
+    });
+  }
+
   // Validation methods
   private validateVideoData(data: any): boolean {
     return data && 
@@ -12,6 +12,8 @@ export const getStatusBadgeClasses = (status: VideoStatus): string => {
       return `${baseClasses} bg-gradient-to-r from-blue-500 to-cyan-600 text-white shadow-lg hover:shadow-xl transform hover:scale-105`;
     case 'failed':
       return `${baseClasses} bg-gradient-to-r from-red-500 to-pink-600 text-white shadow-lg hover:shadow-xl`;
+    case 'cancelled':
+      return `${baseClasses} bg-gradient-to-r from-slate-500 to-gray-600 text-white shadow-lg hover:shadow-xl`;
     default:
       return `${baseClasses} bg-gradient-to-r from-gray-500 to-gray-600 text-white shadow-lg`;
   }
@@ -27,6 +29,8 @@ export const getStatusIcon = (status: VideoStatus): string => {
       return '⏳'; // Hourglass
     case 'failed':
       return '❌'; // Cross mark
+    case 'cancelled':
+      return '🛑'; // Stop sign
     default:
       return '❓'; // Question mark
   }
@@ -42,6 +46,8 @@ export const getStatusDescription = (status: VideoStatus): string => {
       return 'Video is in queue - Processing will start soon';
     case 'failed':
       return 'Processing failed - Please try uploading again';
+    case 'cancelled':
+      return 'Processing was cancelled - Retry to process the video again';
     default:
       return 'Unknown status - Please refresh the page';
   }
@@ -57,6 +63,8 @@ export const getStatusColor = (status: VideoStatus): string => {
       return 'text-blue-400';
     case 'failed':
       return 'text-red-400';
+    case 'cancelled':
+      return 'text-slate-400';
     default:
       return 'text-gray-400';
   }
@@ -72,6 +80,8 @@ export const getStatusBgColor = (status: VideoStatus): string => {
       return 'bg-blue-500/20';
     case 'failed':
       return 'bg-red-500/20';
+    case 'cancelled':
+      return 'bg-slate-500/20';
     default:
       return 'bg-gray-500/20';
   }
@@ -87,6 +97,8 @@ export const getStatusBorderColor = (status: VideoStatus): string => {
       return 'border-blue-400/50';
     case 'failed':
       return 'border-red-400/50';
+    case 'cancelled':
+      return 'border-slate-400/50';
     default:
       return 'border-gray-400/50';
   }
@@ -113,6 +125,11 @@ export const getPhaseInfo = (phase: string) => {
       description: 'Downloading video from cloud storage',
       icon: '📥'
     },
+    thumbnails: { 
+      name: 'Extracting Thumbnails', 
+      description: 'Capturing a poster and preview keyframes',
+      icon: '🖼️'
+    },
     transcription: { 
       name: 'Transcribing', 
       description: 'Converting audio to text using AI',
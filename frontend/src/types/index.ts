@@ -3,8 +3,9 @@ export interface Video {
   _id: string;
   title: string;
   description: string;
-  url?: string;
+  url?: string | null;
   cloudinaryUrl?: string;
+  storageDriver?: 'cloudinary' | 'local' | 's3';
   status: VideoStatus;
   uploadedAt: string;
   createdAt?: string;
@@ -15,13 +16,75 @@ export interface Video {
   language?: string;
   fileSize?: number;
   mimeType?: string;
+  mediaType?: MediaType;
+  // Set for videos imported from a URL instead of uploaded
+  sourceUrl?: string;
+  // Earlier completed upload of the same file, whose results can be linked instead of processing
+  duplicateOf?: Pick<Video, '_id' | 'title' | 'status'> | null;
+  // Poster and keyframe sprite for scrub previews; null until processing has extracted them
+  thumbnailUrl?: string | null;
+  sprite?: VideoSprite | null;
   userId: string;
   error?: string;
   duration?: number;
   wordCount?: number;
+  processingHistory?: ProcessingStageRecord[];
+  // 'subtitles' when captions uploaded with the video were used instead of transcription
+  transcriptSource?: 'stt' | 'subtitles';
 }
 
-export type VideoStatus = 'queued' | 'processing' | 'completed' | 'failed';
+export type MediaType = 'video' | 'audio';
+
+// Grid of frameWidth x frameHeight tiles, left to right and top to bottom; tile i shows the
+// video at i * interval seconds
+export interface VideoSprite {
+  url: string;
+  interval: number;
+  frameCount: number;
+  columns: number;
+  frameWidth: number;
+  frameHeight: number;
+}
+
+export type VideoStatus = 'queued' | 'processing' | 'completed' | 'failed' | 'cancelled';
+
+export type ProcessingStage = 'download' | 'thumbnails' | 'extract' | 'chunk' | 'transcription' | 'summary' | 'embeddings';
+
+// A pipeline stage finished during processing; run counts up when a retry resumed from a checkpoint
+export interface ProcessingStageRecord {
+  stage: ProcessingStage;
+  run: number;
+  completedAt: string;
+}
+
+export interface TranscriptWord {
+  text: string;
+  startTime: number;
+  endTime: number;
+  confidence: number | null;
+}
+
+// Times in seconds from the start of the video
+export interface TranscriptSegment {
+  chunkIndex: number;
+  startTime: number;
+  endTime: number;
+  text: string;
+  words: TranscriptWord[];
+  wordTiming: 'provider' | 'estimated';
+  confidence: number | null;
+  provider: string | null;
+}
+
+// Transcript download formats of GET /videos/:id/transcript
+export type CaptionFormat = 'srt' | 'vtt' | 'txt';
+
+export interface StructuredTranscript {
+  videoId: string;
+  transcript: string;
+  wordCount: number;
+  segments: TranscriptSegment[];
+}
 
 export interface Question {
   _id: string;
@@ -29,6 +92,7 @@ export interface Question {
   answer: string;
   videoId: string;
   userId: string;
+  conversationId?: string | null;
   language?: string;
   askedAt: string;
   createdAt: string;
@@ -37,6 +101,35 @@ export interface Question {
   relevantChunks?: number;
   processingTime?: number;
   isFallback?: boolean;
+  citations?: Citation[];
+  sources?: AnswerSource[];
+}
+
+// A [mm:ss] tag in an answer, resolved to the transcript chunk it cites
+export interface Citation {
+  label: string;
+  time: number;
+  startTime?: number;
+  endTime?: number;
+  chunkIndex?: number;
+}
+
+export interface AnswerSource {
+  chunkIndex: number;
+  startTime: number;
+  endTime: number;
+  similarity: number;
+  text?: string;
+}
+
+export interface QuestionHistory {
+  questions: Question[];
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    pages: number;
+  };
 }
 
 export interface Message {
@@ -48,6 +141,7 @@ export interface Message {
   confidence?: number;
   error?: boolean;
   processingTime?: number;
+  citations?: Citation[];
 }
 
 export interface ApiResponse<T = any> {
@@ -82,7 +176,9 @@ export interface UploadResponse {
     videoId: string;
     status: VideoStatus;
     title: string;
-    cloudinaryUrl?: string;
+    url?: string | null;
+    transcriptSource?: 'stt' | 'subtitles';
+    duplicateOf?: string;
   };
 }
 
@@ -115,7 +211,7 @@ export interface SocketEvents {
   'video-failed': VideoUploadProgress;
   'video-processed': { 
     videoId: string; 
-    status: 'completed' | 'failed'; 
+    status: 'completed' | 'failed' | 'cancelled'; 
     error?: string;
     transcript?: string;
     summary?: string;
@@ -146,6 +242,8 @@ export interface UploadFormData {
   description: string;
   file: File | null;
   language?: string;
+  // SRT or WebVTT captions used as the transcript instead of transcribing the audio
+  subtitles?: File | null;
 }
 
 export interface VideoFilters {
@@ -160,6 +258,8 @@ export interface VideoFilters {
 export interface ProcessingProgress {
   phase: 'download' | 'transcription' | 'summary' | 'embeddings' | 'finalizing' | 'completed';
   progress: number;
+  chunksCompleted?: number;
+  totalChunks?: number;
   retryAttempt?: number;
   lastError?: string;
   timestamp?: string;